@@ -18,9 +18,49 @@ const defaultConfig = {
   WCC_BASE_URL: '',
   WCC_USER: '',
   WCC_PASSWORD: '',
+  WCC_TIMEOUT_MS: '',
+  WCC_DOWNLOAD_TIMEOUT_MS: '',
+  WCC_UPLOAD_TIMEOUT_MS: '',
+  WCC_MAX_RETRIES: '',
+  WCC_MAX_CONCURRENT_REQUESTS: '',
+  WCC_MODE: '',
+  WCC_DENY_TOOLS: '',
   useEnvVars: true
 };
 
+// Network settings from the GUI that override the environment when filled in
+const NETWORK_SETTINGS = [
+  'WCC_TIMEOUT_MS',
+  'WCC_DOWNLOAD_TIMEOUT_MS',
+  'WCC_UPLOAD_TIMEOUT_MS',
+  'WCC_MAX_RETRIES',
+  'WCC_MAX_CONCURRENT_REQUESTS'
+];
+
+// Environment with the GUI network settings applied
+function withNetworkSettings(env, config) {
+  const result = { ...env };
+  for (const name of NETWORK_SETTINGS) {
+    if (config[name] !== undefined && config[name] !== '') {
+      result[name] = String(config[name]);
+    }
+  }
+  return result;
+}
+
+// Environment with the GUI tool settings applied: the read-only checkbox sets
+// WCC_MODE, and unchecked categories are added to any WCC_DENY_TOOLS from the environment
+function withToolSettings(env, config) {
+  const result = { ...env };
+  if (config.WCC_MODE) {
+    result.WCC_MODE = config.WCC_MODE;
+  }
+  if (config.WCC_DENY_TOOLS) {
+    result.WCC_DENY_TOOLS = [env.WCC_DENY_TOOLS, config.WCC_DENY_TOOLS].filter(Boolean).join(',');
+  }
+  return result;
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 800,
@@ -75,7 +115,7 @@ function startMCPServer(config) {
     mcpServerProcess = null;
   }
 
-  const env = { ...process.env };
+  const env = withToolSettings(withNetworkSettings(process.env, config), config);
   
   // Set GUI mode flag
   env.ELECTRON_GUI_MODE = 'true';
@@ -313,15 +353,18 @@ ipcMain.handle('test-connection', async (event, config) => {
       ? path.join(__dirname, '..', 'src', 'webcenter-client.js')
       : path.join(process.resourcesPath, 'app.asar.unpacked', 'src', 'webcenter-client.js');
     const fileUrl = pathToFileURL(modulePath).href;
-    const { WebCenterContentClient } = await import(fileUrl);
+    const { WebCenterContentClient, getAuthOptionsFromEnv } = await import(fileUrl);
+    const { getHttpOptionsFromEnv } = await import(pathToFileURL(path.join(path.dirname(modulePath), 'http-policy.js')).href);
     
     // Get configuration values
     const baseUrl = config.useEnvVars ? process.env.WCC_BASE_URL : config.WCC_BASE_URL;
     const username = config.useEnvVars ? process.env.WCC_USER : config.WCC_USER;
     const password = config.useEnvVars ? process.env.WCC_PASSWORD : config.WCC_PASSWORD;
+    // OAuth2 / bearer auth is only configurable through environment variables
+    const authOptions = config.useEnvVars ? getAuthOptionsFromEnv(process.env) : {};
     
-    // Validate configuration
-    if (!baseUrl || !username || !password) {
+    // Validate configuration (the client checks token auth settings itself)
+    if (!baseUrl || ((!authOptions.type || authOptions.type === 'basic') && (!username || !password))) {
       return {
         success: false,
         message: 'Missing required configuration values'
@@ -329,7 +372,8 @@ ipcMain.handle('test-connection', async (event, config) => {
     }
     
     // Create client and test connection
-    const client = new WebCenterContentClient(baseUrl, username, password);
+    const httpOptions = getHttpOptionsFromEnv(withNetworkSettings(process.env, config));
+    const client = new WebCenterContentClient(baseUrl, username, password, authOptions, httpOptions);
     const result = await client.testConnection();
     
     return result;
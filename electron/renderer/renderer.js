@@ -5,6 +5,13 @@ const manualConfigDiv = document.getElementById('manualConfig');
 const baseUrlInput = document.getElementById('baseUrl');
 const usernameInput = document.getElementById('username');
 const passwordInput = document.getElementById('password');
+const timeoutInput = document.getElementById('timeoutMs');
+const downloadTimeoutInput = document.getElementById('downloadTimeoutMs');
+const uploadTimeoutInput = document.getElementById('uploadTimeoutMs');
+const maxRetriesInput = document.getElementById('maxRetries');
+const maxConcurrentInput = document.getElementById('maxConcurrentRequests');
+const readOnlyModeCheckbox = document.getElementById('readOnlyMode');
+const categoryCheckboxes = document.querySelectorAll('input[name="toolCategory"]');
 const testConnectionBtn = document.getElementById('testConnection');
 const startServerBtn = document.getElementById('startServer');
 const stopServerBtn = document.getElementById('stopServer');
@@ -59,10 +66,42 @@ function updateFormFromConfig(config) {
     baseUrlInput.value = config.WCC_BASE_URL || '';
     usernameInput.value = config.WCC_USER || '';
     passwordInput.value = config.WCC_PASSWORD || '';
+    timeoutInput.value = config.WCC_TIMEOUT_MS || '';
+    downloadTimeoutInput.value = config.WCC_DOWNLOAD_TIMEOUT_MS || '';
+    uploadTimeoutInput.value = config.WCC_UPLOAD_TIMEOUT_MS || '';
+    maxRetriesInput.value = config.WCC_MAX_RETRIES || '';
+    maxConcurrentInput.value = config.WCC_MAX_CONCURRENT_REQUESTS || '';
+    readOnlyModeCheckbox.checked = config.WCC_MODE === 'readonly';
+    const deniedCategories = (config.WCC_DENY_TOOLS || '').split(',');
+    categoryCheckboxes.forEach((checkbox) => {
+        checkbox.checked = !deniedCategories.includes(checkbox.value);
+    });
     
     toggleManualConfig();
 }
 
+// Network settings from the form; blank fields fall back to env vars or defaults
+function getNetworkSettings() {
+    return {
+        WCC_TIMEOUT_MS: timeoutInput.value,
+        WCC_DOWNLOAD_TIMEOUT_MS: downloadTimeoutInput.value,
+        WCC_UPLOAD_TIMEOUT_MS: uploadTimeoutInput.value,
+        WCC_MAX_RETRIES: maxRetriesInput.value,
+        WCC_MAX_CONCURRENT_REQUESTS: maxConcurrentInput.value
+    };
+}
+
+// Tool settings from the form: read-only mode and the unchecked categories to deny
+function getToolSettings() {
+    return {
+        WCC_MODE: readOnlyModeCheckbox.checked ? 'readonly' : '',
+        WCC_DENY_TOOLS: Array.from(categoryCheckboxes)
+            .filter((checkbox) => !checkbox.checked)
+            .map((checkbox) => checkbox.value)
+            .join(',')
+    };
+}
+
 // Toggle manual configuration visibility
 function toggleManualConfig() {
     if (useEnvVarsCheckbox.checked) {
@@ -128,7 +167,9 @@ async function handleConfigSubmit(event) {
         useEnvVars: useEnvVarsCheckbox.checked,
         WCC_BASE_URL: baseUrlInput.value,
         WCC_USER: usernameInput.value,
-        WCC_PASSWORD: passwordInput.value
+        WCC_PASSWORD: passwordInput.value,
+        ...getNetworkSettings(),
+        ...getToolSettings()
     };
     
     try {
@@ -153,7 +194,9 @@ async function handleTestConnection() {
         useEnvVars: useEnvVarsCheckbox.checked,
         WCC_BASE_URL: baseUrlInput.value,
         WCC_USER: usernameInput.value,
-        WCC_PASSWORD: passwordInput.value
+        WCC_PASSWORD: passwordInput.value,
+        ...getNetworkSettings(),
+        ...getToolSettings()
     };
     
     // Validate configuration
@@ -200,7 +243,9 @@ async function handleStartServer() {
         useEnvVars: useEnvVarsCheckbox.checked,
         WCC_BASE_URL: baseUrlInput.value,
         WCC_USER: usernameInput.value,
-        WCC_PASSWORD: passwordInput.value
+        WCC_PASSWORD: passwordInput.value,
+        ...getNetworkSettings(),
+        ...getToolSettings()
     };
     
     console.log('Using config:', serverConfig);
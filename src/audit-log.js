@@ -0,0 +1,236 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import dgram from 'dgram';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Defaults when the MCP_AUDIT_* variables are not set
+const DEFAULT_AUDIT_FILE = path.join(os.homedir(), '.webcenter-content-mcp', 'audit.jsonl');
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+// Argument names whose values never reach the log
+const SECRET_KEY = /password|passwd|secret|token|api[-_]?key|authorization|credential/i;
+
+// Outcomes recorded for a tool call
+export const AUDIT_OUTCOMES = ['success', 'error', 'dry-run', 'confirmation-required'];
+
+// Arguments that name what a call acted on
+const TARGET_KEYS = ['dDocName', 'dID', 'fFolderGUID'];
+
+// Longest string argument kept as-is
+const MAX_LOGGED_STRING = 500;
+
+// Syslog facility codes (RFC 5424)
+const SYSLOG_FACILITIES = {
+  user: 1, local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23,
+};
+
+// HTTP status of the last WebCenter Content response in the current tool call
+const requestTrace = new AsyncLocalStorage();
+
+/**
+ * Read the audit settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { file, maxBytes, maxFiles (rotated files kept), syslog: { host, port, facility } | null }
+ */
+export function loadAuditConfig(env = process.env) {
+  const setting = env.MCP_AUDIT_LOG;
+  const file = ['off', 'false', 'none'].includes(String(setting).toLowerCase()) ? null : path.resolve(setting || DEFAULT_AUDIT_FILE);
+  const maxBytes = parseInt(env.MCP_AUDIT_MAX_BYTES, 10);
+  const maxFiles = parseInt(env.MCP_AUDIT_MAX_FILES, 10);
+
+  let syslog = null;
+  if (env.MCP_AUDIT_SYSLOG) {
+    const match = env.MCP_AUDIT_SYSLOG.match(/^udp:\/\/([^:/]+|\[[^\]]+\])(?::(\d+))?\/?$/i);
+    if (!match) {
+      throw new Error(`Invalid MCP_AUDIT_SYSLOG "${env.MCP_AUDIT_SYSLOG}". Use udp://host:port, e.g. udp://localhost:514`);
+    }
+    const facility = env.MCP_AUDIT_SYSLOG_FACILITY || 'local0';
+    if (!(facility in SYSLOG_FACILITIES)) {
+      throw new Error(`Invalid MCP_AUDIT_SYSLOG_FACILITY "${facility}". Use one of: ${Object.keys(SYSLOG_FACILITIES).join(', ')}`);
+    }
+    syslog = { host: match[1].replace(/^\[|\]$/g, ''), port: match[2] ? Number(match[2]) : 514, facility };
+  }
+
+  return {
+    file,
+    maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES,
+    maxFiles: maxFiles > 0 ? maxFiles : DEFAULT_MAX_FILES,
+    syslog,
+  };
+}
+
+/**
+ * Run a tool call while noting the HTTP status of each WebCenter Content response
+ * @param {Object} trace - Object whose `status` is updated
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} Task result
+ */
+export function withRequestTrace(trace, task) {
+  return requestTrace.run(trace, task);
+}
+
+/**
+ * Note a response status for the tool call in progress, if it is being traced
+ * @param {number} status - HTTP status
+ */
+export function traceResponseStatus(status) {
+  const trace = requestTrace.getStore();
+  if (trace && status) trace.status = status;
+}
+
+/**
+ * Copy tool arguments for the log: secrets redacted, inline file content
+ * replaced by its size, long strings shortened
+ * @param {*} value - Arguments
+ * @param {string} key - Key of this value in its parent (optional)
+ * @returns {*} Sanitized copy
+ */
+export function sanitizeArguments(value, key = '') {
+  if (key && SECRET_KEY.test(key)) return '[redacted]';
+  if (Array.isArray(value)) return value.map((item) => sanitizeArguments(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, sanitizeArguments(item, name)]));
+  }
+  if (typeof value === 'string') {
+    if (/content$/i.test(key)) return `[${value.length} characters]`;
+    if (value.length > MAX_LOGGED_STRING) return `${value.slice(0, MAX_LOGGED_STRING)}... [${value.length} characters]`;
+  }
+  return value;
+}
+
+/**
+ * The document, revision and folder a call acted on
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Target identifiers present in the arguments
+ */
+export function auditTarget(args = {}) {
+  return Object.fromEntries(TARGET_KEYS.filter((key) => args[key] !== undefined && args[key] !== null).map((key) => [key, args[key]]));
+}
+
+/**
+ * Append-only JSONL record of tool calls, rotated by size (audit.jsonl,
+ * audit.jsonl.1, ...), optionally mirrored to syslog over UDP. Logging never
+ * fails a tool call: write errors are reported once on stderr.
+ */
+export class AuditLog {
+  /**
+   * @param {Object} config - Settings from loadAuditConfig
+   */
+  constructor(config) {
+    this.config = config;
+    this.writing = Promise.resolve();
+    this.reportedError = false;
+    this.socket = null;
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} entry - Entry fields; the timestamp is added here
+   * @returns {Promise<void>} Resolves once the entry is written
+   */
+  record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    if (this.config.syslog) this.sendSyslog(line, entry.outcome);
+    if (!this.config.file) return Promise.resolve();
+
+    // One write at a time keeps lines whole and rotation consistent
+    this.writing = this.writing.then(() => this.append(line)).catch((error) => {
+      if (!this.reportedError) {
+        this.reportedError = true;
+        console.error(`Could not write audit log ${this.config.file}:`, error.message);
+      }
+    });
+    return this.writing;
+  }
+
+  /**
+   * Append a line, rotating first if the file would grow past maxBytes
+   * @param {string} line - JSON line
+   */
+  async append(line) {
+    const { file, maxBytes } = this.config;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const size = await fs.stat(file).then((stats) => stats.size, () => 0);
+    if (size > 0 && size + Buffer.byteLength(line) + 1 > maxBytes) {
+      await this.rotate();
+    }
+    await fs.appendFile(file, `${line}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Shift audit.jsonl.N-1 to .N, ..., audit.jsonl to .1, dropping the oldest
+   */
+  async rotate() {
+    const { file, maxFiles } = this.config;
+    await fs.rm(`${file}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index -= 1) {
+      await fs.rename(`${file}.${index}`, `${file}.${index + 1}`).catch(() => {});
+    }
+    await fs.rename(file, `${file}.1`);
+  }
+
+  /**
+   * Send an entry to syslog (RFC 5424 over UDP)
+   * @param {string} line - JSON entry
+   * @param {string} outcome - Call outcome, which sets the severity
+   */
+  sendSyslog(line, outcome) {
+    const { host, port, facility } = this.config.syslog;
+    if (!this.socket) {
+      this.socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+      this.socket.on('error', () => {});
+      this.socket.unref();
+    }
+    // notice (5) for calls that went through, warning (4) for failures
+    const priority = SYSLOG_FACILITIES[facility] * 8 + (outcome === 'error' ? 4 : 5);
+    const message = Buffer.from(`<${priority}>1 ${new Date().toISOString()} ${os.hostname()} webcenter-content-mcp ${process.pid} audit - ${line}`);
+    this.socket.send(message, port, host);
+  }
+
+  /**
+   * Read recent entries, newest first, across the current and rotated files
+   * @param {Object} filters - Filters (all optional)
+   * @param {number} filters.limit - Entries to return (default 50)
+   * @param {string} filters.tool - Tool name
+   * @param {string} filters.caller - API key name
+   * @param {string} filters.outcome - One of AUDIT_OUTCOMES
+   * @param {string} filters.target - dDocName, dID or fFolderGUID the call acted on
+   * @param {string} filters.since - Only entries at or after this ISO timestamp
+   * @returns {Promise<Object>} { entries, file }
+   */
+  async query({ limit = 50, tool, caller, outcome, target, since } = {}) {
+    const { file, maxFiles } = this.config;
+    if (!file) {
+      throw new Error('The audit log file is turned off (MCP_AUDIT_LOG=off); only syslog output is written');
+    }
+    await this.writing;
+
+    const matches = (entry) => (!tool || entry.tool === tool)
+      && (!caller || entry.caller === caller)
+      && (!outcome || entry.outcome === outcome)
+      && (!target || Object.values(entry.target || {}).map(String).includes(String(target)))
+      && (!since || entry.timestamp >= since);
+
+    const entries = [];
+    const files = [file, ...Array.from({ length: maxFiles }, (_, index) => `${file}.${index + 1}`)];
+    for (const name of files) {
+      const text = await fs.readFile(name, 'utf8').catch(() => null);
+      if (text === null) continue;
+      const lines = text.split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (since && entry.timestamp < since) return { entries, file };
+        if (matches(entry)) entries.push(entry);
+        if (entries.length >= limit) return { entries, file };
+      }
+    }
+    return { entries, file };
+  }
+}
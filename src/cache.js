@@ -0,0 +1,160 @@
+// Defaults when the WCC_CACHE_* variables are not set
+const DEFAULT_CACHE_OPTIONS = {
+  ttlMs: 60 * 1000,
+  schemaTtlMs: 60 * 60 * 1000,
+  maxEntries: 500,
+};
+
+/**
+ * Read cache settings from environment variables. A named connection can
+ * override each one (e.g. WCC_PROD_CACHE_TTL_MS); a TTL of 0 disables caching
+ * for that kind of data.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @param {string} prefix - Variable prefix, e.g. WCC_ or WCC_PROD_
+ * @returns {Object} { ttlMs, schemaTtlMs, maxEntries }
+ */
+export function getCacheOptionsFromEnv(env = process.env, prefix = 'WCC_') {
+  const setting = (name, fallback) => {
+    const value = parseInt(env[`${prefix}${name}`] ?? env[`WCC_${name}`], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+  };
+  return {
+    ttlMs: setting('CACHE_TTL_MS', DEFAULT_CACHE_OPTIONS.ttlMs),
+    schemaTtlMs: setting('CACHE_SCHEMA_TTL_MS', DEFAULT_CACHE_OPTIONS.schemaTtlMs),
+    maxEntries: setting('CACHE_MAX_ENTRIES', DEFAULT_CACHE_OPTIONS.maxEntries),
+  };
+}
+
+/**
+ * In-memory cache with a per-entry TTL and a least-recently-used size cap.
+ * Entries carry tags (e.g. "doc:PROJ_001", "search", "schema") so writes can
+ * evict everything that depends on what they changed. Values are copied in
+ * and out, so callers may modify what they get back.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} options - Cache options (optional, see getCacheOptionsFromEnv)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CACHE_OPTIONS, ...options };
+    this.entries = new Map();
+    // Times each tag has been invalidated, and the whole cache cleared, so a
+    // load that was in flight at the time does not store its stale result
+    this.tagGenerations = new Map();
+    this.generation = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get a live entry, marking it most recently used
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses += 1;
+      return undefined;
+    }
+    // Map order is insertion order: re-insert to move the entry to the end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store a value, dropping the least recently used entries past the size cap
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {number} ttlMs - Time to live; 0 skips caching
+   * @param {Array<string>} tags - Tags for invalidation (optional)
+   */
+  set(key, value, ttlMs, tags = []) {
+    if (!(ttlMs > 0) || this.options.maxEntries === 0) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs, tags });
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+  }
+
+  /**
+   * Return the cached value for a key, or load and cache it. The loaded value
+   * is not cached if one of its tags was invalidated while it was loading.
+   * @param {string} key - Cache key
+   * @param {Object} options - { ttlMs, tags }
+   * @param {Function} load - () => Promise<value>
+   * @returns {Promise<*>} Value
+   */
+  async wrap(key, { ttlMs, tags = [] }, load) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+    const started = this.snapshot(tags);
+    const value = await load();
+    if (this.snapshot(tags) === started) {
+      this.set(key, value, ttlMs, tags);
+    }
+    return value;
+  }
+
+  /**
+   * Summarize how often the cache and the given tags have been invalidated
+   * @param {Array<string>} tags - Tags
+   * @returns {string} Changes whenever any of them is invalidated
+   */
+  snapshot(tags) {
+    return [this.generation, ...tags.map((tag) => this.tagGenerations.get(tag) || 0)].join(',');
+  }
+
+  /**
+   * Remove every entry carrying a tag
+   * @param {string} tag - Tag
+   * @returns {number} Entries removed
+   */
+  invalidateTag(tag) {
+    this.tagGenerations.set(tag, (this.tagGenerations.get(tag) || 0) + 1);
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.includes(tag)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all entries
+   * @returns {number} Entries removed
+   */
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.tagGenerations.clear();
+    this.generation += 1;
+    return removed;
+  }
+
+  /**
+   * Hit/miss counters and current size
+   * @returns {Object} Stats
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.options.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+      evictions: this.evictions,
+      ttlMs: this.options.ttlMs,
+      schemaTtlMs: this.options.schemaTtlMs,
+    };
+  }
+}
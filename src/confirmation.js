@@ -0,0 +1,113 @@
+import { randomUUID } from 'crypto';
+
+// Default lifetime of a confirmation token
+const DEFAULT_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// Tokens kept at once; the oldest are dropped first
+const MAX_PENDING_CONFIRMATIONS = 200;
+
+/**
+ * Parse a comma-separated list of tool names
+ * @param {string} value - Variable value
+ * @returns {Set<string>} Tool names
+ */
+function toolList(value) {
+  return new Set((value || '').split(',').map((name) => name.trim()).filter(Boolean));
+}
+
+/**
+ * Read the confirmation settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { destructive, tools, skipTools, elicitation, ttlMs }
+ */
+export function loadConfirmationConfig(env = process.env) {
+  const ttlMs = parseInt(env.MCP_CONFIRM_TTL_MS, 10);
+  return {
+    destructive: env.MCP_CONFIRM_DESTRUCTIVE !== 'false',
+    tools: toolList(env.MCP_CONFIRM_TOOLS),
+    skipTools: toolList(env.MCP_CONFIRM_SKIP_TOOLS),
+    elicitation: env.MCP_CONFIRM_ELICITATION !== 'false',
+    ttlMs: ttlMs > 0 ? ttlMs : DEFAULT_TOKEN_TTL_MS,
+  };
+}
+
+/**
+ * Whether a tool only runs after the user confirms it. Destructive tools do
+ * by default; MCP_CONFIRM_TOOLS adds tools and MCP_CONFIRM_SKIP_TOOLS exempts them.
+ * @param {Object} tool - Tool definition
+ * @param {Object} config - Settings from loadConfirmationConfig
+ * @returns {boolean} True if confirmation is required
+ */
+export function requiresConfirmation(tool, config) {
+  if (config.skipTools.has(tool.name)) return false;
+  return config.tools.has(tool.name) || (config.destructive && tool.annotations?.destructiveHint === true);
+}
+
+/**
+ * Serialize arguments with sorted keys, so the same call always gives the same string
+ * @param {*} value - Arguments
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * One-time confirmation tokens for the two-phase confirm flow. A token is
+ * bound to the tool, its exact arguments and the caller, so it cannot be
+ * reused for a different call or by another API key.
+ */
+export class ConfirmationStore {
+  /**
+   * @param {number} ttlMs - Token lifetime
+   */
+  constructor(ttlMs = DEFAULT_TOKEN_TTL_MS) {
+    this.ttlMs = ttlMs;
+    this.pending = new Map();
+  }
+
+  /**
+   * Issue a token for a call
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Tool arguments, without confirmationToken
+   * @param {string} callerName - API key name, or null for stdio
+   * @returns {Object} { token, expiresAt }
+   */
+  issue(toolName, args, callerName = null) {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt <= now) this.pending.delete(token);
+    }
+    while (this.pending.size >= MAX_PENDING_CONFIRMATIONS) {
+      this.pending.delete(this.pending.keys().next().value);
+    }
+
+    const token = randomUUID();
+    const expiresAt = now + this.ttlMs;
+    this.pending.set(token, { call: canonicalJson({ toolName, args, callerName }), expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Use up a token. Throws if it is unknown, expired, or was issued for another call.
+   * @param {string} token - Token from the preview
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Tool arguments, without confirmationToken
+   * @param {string} callerName - API key name, or null for stdio
+   */
+  consume(token, toolName, args, callerName = null) {
+    const entry = this.pending.get(token);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.pending.delete(token);
+      throw new Error(`Confirmation token for ${toolName} is unknown or expired. Call ${toolName} again without confirmationToken for a new one`);
+    }
+    if (entry.call !== canonicalJson({ toolName, args, callerName })) {
+      throw new Error(`Confirmation token was issued for a different ${toolName} call. Resubmit exactly the previewed arguments, or call again without confirmationToken`);
+    }
+    this.pending.delete(token);
+  }
+}
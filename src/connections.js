@@ -0,0 +1,68 @@
+import { getAuthOptionsFromEnv } from './webcenter-client.js';
+import { getHttpOptionsFromEnv } from './http-policy.js';
+import { getCacheOptionsFromEnv } from './cache.js';
+
+// Name of the connection built from the unprefixed WCC_* variables
+export const DEFAULT_CONNECTION_NAME = 'default';
+
+/**
+ * Environment variable prefix for a named connection, e.g. "prod-eu" -> WCC_PROD_EU_
+ * @param {string} name - Connection name
+ * @returns {string} Prefix
+ */
+function connectionPrefix(name) {
+  return `WCC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+}
+
+/**
+ * Read one connection profile from environment variables
+ * @param {Object} env - Environment
+ * @param {string} name - Connection name
+ * @param {string} prefix - Variable prefix
+ * @returns {Object} { name, baseUrl, username, password, authOptions, httpOptions, cacheOptions }
+ */
+function readProfile(env, name, prefix) {
+  return {
+    name,
+    baseUrl: env[`${prefix}BASE_URL`],
+    username: env[`${prefix}USER`],
+    password: env[`${prefix}PASSWORD`],
+    authOptions: getAuthOptionsFromEnv(env, prefix),
+    httpOptions: getHttpOptionsFromEnv(env, prefix),
+    cacheOptions: getCacheOptionsFromEnv(env, prefix),
+  };
+}
+
+/**
+ * Build the WebCenter Content connection profiles from environment variables.
+ *
+ * The unprefixed WCC_BASE_URL / WCC_USER / WCC_PASSWORD (and WCC_AUTH_TYPE etc.)
+ * define the "default" connection. WCC_CONNECTIONS lists further named
+ * connections, each configured with the same variables under a WCC_<NAME>_
+ * prefix, e.g. WCC_CONNECTIONS=dev,prod with WCC_PROD_BASE_URL=...
+ * WCC_DEFAULT_CONNECTION picks the connection used when a tool call names none.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { profiles: Map<name, profile>, defaultName }
+ */
+export function loadConnectionProfiles(env = process.env) {
+  const profiles = new Map();
+  const names = (env.WCC_CONNECTIONS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  // Keep the single-connection setup working, and make it the fallback when nothing is configured
+  if (env.WCC_BASE_URL || names.length === 0) {
+    profiles.set(DEFAULT_CONNECTION_NAME, readProfile(env, DEFAULT_CONNECTION_NAME, 'WCC_'));
+  }
+  for (const name of names) {
+    profiles.set(name, readProfile(env, name, connectionPrefix(name)));
+  }
+
+  const defaultName = env.WCC_DEFAULT_CONNECTION || profiles.keys().next().value;
+  if (!profiles.has(defaultName)) {
+    throw new Error(`WCC_DEFAULT_CONNECTION "${defaultName}" is not a configured connection. Available: ${[...profiles.keys()].join(', ')}`);
+  }
+
+  return { profiles, defaultName };
+}
@@ -0,0 +1,37 @@
+import { ValidationError } from './errors.js';
+
+// Hint sent with cursor errors, in place of the metadata hint ValidationError carries
+const CURSOR_HINT = 'Pass nextCursor unchanged to the tool that returned it, or call the tool again without cursor to start from the first page';
+
+/**
+ * Encode paging state as an opaque cursor for tool results
+ * @param {string} kind - Tool the cursor belongs to, e.g. "search-documents"
+ * @param {Object} state - Whatever the tool needs to fetch the next page
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(kind, state) {
+  return Buffer.from(JSON.stringify({ ...state, kind })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous result's nextCursor
+ * @param {string} kind - Tool decoding it; cursors from other tools are rejected
+ * @returns {Object} Paging state, without the kind
+ */
+export function decodeCursor(cursor, kind) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    // fall through
+  }
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new ValidationError('Invalid cursor: it is not a nextCursor value from this server', { hint: CURSOR_HINT });
+  }
+  const { kind: cursorKind, ...page } = state;
+  if (cursorKind !== kind) {
+    throw new ValidationError(`This cursor was not returned by ${kind}${typeof cursorKind === 'string' ? ` but by ${cursorKind}` : ''}`, { hint: CURSOR_HINT });
+  }
+  return page;
+}
@@ -0,0 +1,201 @@
+import path from 'path';
+import { fileNameFromContentDisposition } from './downloads.js';
+import { NotFoundError } from './errors.js';
+import { buildQueryAst, serializeQuery } from './search-query.js';
+
+// Largest document read into memory for the model, unless MCP_MAX_CONTENT_BYTES says otherwise
+const DEFAULT_MAX_CONTENT_BYTES = 5 * 1024 * 1024;
+
+// MIME types by extension, for servers that answer with application/octet-stream
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.xml': 'application/xml',
+  '.json': 'application/json',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+const TEXT_APPLICATION_TYPES = ['application/json', 'application/xml', 'application/yaml', 'application/javascript', 'image/svg+xml'];
+
+/**
+ * Size cap for document content returned to the model
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {number} Maximum bytes
+ */
+export function getMaxContentBytes(env = process.env) {
+  const configured = parseInt(env.MCP_MAX_CONTENT_BYTES, 10);
+  return configured > 0 ? configured : DEFAULT_MAX_CONTENT_BYTES;
+}
+
+/**
+ * Whether content of this MIME type can be handed to the model as text
+ * @param {string} mimeType - MIME type without parameters
+ * @returns {boolean} True for text-like types
+ */
+function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/') || TEXT_APPLICATION_TYPES.includes(mimeType) || /\+(json|xml)$/.test(mimeType);
+}
+
+/**
+ * Read a download stream into memory, stopping once it passes the cap
+ * @param {ReadableStream} stream - Download stream
+ * @param {number} maxBytes - Cap
+ * @returns {Promise<Object>} { buffer, truncated }
+ */
+async function readCapped(stream, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      return { buffer: Buffer.concat(chunks).subarray(0, maxBytes), truncated: true };
+    }
+  }
+  return { buffer: Buffer.concat(chunks), truncated: false };
+}
+
+/**
+ * Fetch a document rendition into memory for the model. Text-like content is
+ * decoded (and cut at the cap with `truncated` set); anything else is
+ * returned as base64 and must fit under the cap.
+ * @param {WebCenterContentClient} client - Client to download with
+ * @param {Object} options - What to read
+ * @param {string} options.dDocName - Document name
+ * @param {string} options.dID - Revision ID of dDocName; reads that revision instead of by version (optional)
+ * @param {string} options.version - Document version (optional)
+ * @param {string} options.rendition - Rendition (optional)
+ * @param {number} options.maxBytes - Size cap (optional, defaults to MCP_MAX_CONTENT_BYTES)
+ * @returns {Promise<Object>} { uri, fileName, mimeType, size, truncated, text } or { ..., blob }
+ */
+export async function readDocumentContent(client, options) {
+  const { dDocName, dID = null, version = null, rendition = null } = options;
+  const maxBytes = Math.min(options.maxBytes || Infinity, getMaxContentBytes());
+  if (dID) await assertRevisionOf(client, dDocName, dID);
+  const { stream, headers } = dID
+    ? await client.downloadDocumentByRevisionId(dID, rendition)
+    : await client.downloadDocument(dDocName, version, rendition);
+
+  const fileName = fileNameFromContentDisposition(headers['content-disposition']) || dDocName;
+  let mimeType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!mimeType || mimeType === 'application/octet-stream') {
+    mimeType = MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+  const isText = isTextMimeType(mimeType);
+
+  const declaredSize = parseInt(headers['content-length'], 10);
+  if (!isText && declaredSize > maxBytes) {
+    stream.destroy();
+    throw new Error(
+      `${fileName} is ${declaredSize} bytes, over the ${maxBytes} byte limit for returning content. ` +
+      'Use download-document to save it locally instead'
+    );
+  }
+
+  const { buffer, truncated } = await readCapped(stream, maxBytes);
+  if (truncated && !isText) {
+    throw new Error(
+      `${fileName} is over the ${maxBytes} byte limit for returning content. Use download-document to save it locally instead`
+    );
+  }
+
+  const content = {
+    uri: documentUri(dDocName, dID),
+    fileName,
+    mimeType,
+    size: Number.isNaN(declaredSize) ? buffer.length : declaredSize,
+    truncated,
+  };
+  return isText
+    ? { ...content, text: buffer.toString('utf8') }
+    : { ...content, blob: buffer.toString('base64') };
+}
+
+/**
+ * Confirm that a revision belongs to a document. The latest revision is
+ * checked through the document metadata; older ones through a search on both IDs.
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {string} dDocName - Document name
+ * @param {string} dID - Revision ID
+ * @throws {NotFoundError} If dID is not a revision of dDocName
+ */
+export async function assertRevisionOf(client, dDocName, dID) {
+  const notFound = () => new NotFoundError(`Revision ${dID} is not a revision of document ${dDocName}`, { dDocName, dID });
+  if (!/^\d+$/.test(String(dID))) throw notFound();
+
+  const latest = await client.getDocumentMetadata(dDocName);
+  if (String(latest?.dID) === String(dID)) return;
+
+  const query = serializeQuery(buildQueryAst({
+    filters: {
+      dDocName: { operator: 'matches', value: dDocName },
+      dID: { operator: '=', value: Number(dID) },
+    },
+  }));
+  const results = await client.searchDocuments(query, { fields: 'dID,dDocName', limit: 1 });
+  const revision = results?.items?.[0];
+  if (String(revision?.dID) !== String(dID) || String(revision?.dDocName).toUpperCase() !== String(dDocName).toUpperCase()) {
+    throw notFound();
+  }
+}
+
+/**
+ * Resource URI for a document or one of its revisions
+ * @param {string} dDocName - Document name
+ * @param {string} dID - Revision ID (optional)
+ * @returns {string} webcenter:// URI
+ */
+export function documentUri(dDocName, dID = null) {
+  const uri = `webcenter://files/${encodeURIComponent(dDocName)}`;
+  return dID ? `${uri}/revisions/${encodeURIComponent(dID)}` : uri;
+}
+
+/**
+ * Convert read document content into MCP tool result content
+ * @param {Object} document - Result of readDocumentContent
+ * @returns {Array<Object>} Content items: a summary line, then the text, image or embedded resource
+ */
+export function toToolContent(document) {
+  const { uri, fileName, mimeType, size, truncated, text, blob } = document;
+  const summary = {
+    type: 'text',
+    text: `${fileName} (${mimeType}, ${size} bytes)${truncated ? ' - truncated to the content size limit' : ''}`,
+  };
+
+  if (text !== undefined) {
+    return [summary, { type: 'text', text }];
+  }
+  if (mimeType.startsWith('image/')) {
+    return [summary, { type: 'image', data: blob, mimeType }];
+  }
+  return [summary, { type: 'resource', resource: { uri, mimeType, blob } }];
+}
+
+/**
+ * Convert read document content into resources/read contents
+ * @param {Object} document - Result of readDocumentContent
+ * @param {string} uri - URI the client asked for (defaults to the document URI)
+ * @returns {Array<Object>} Resource contents
+ */
+export function toResourceContents(document, uri = document.uri) {
+  const { mimeType, text, blob } = document;
+  return [text !== undefined ? { uri, mimeType, text } : { uri, mimeType, blob }];
+}
@@ -0,0 +1,207 @@
+import { createHash } from 'crypto';
+import { createReadStream, createWriteStream, existsSync, statSync } from 'fs';
+import { mkdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+
+/**
+ * Pick the file name out of a Content-Disposition header, preferring the
+ * RFC 5987 `filename*` form. Only the base name is kept so a server-supplied
+ * name cannot point outside the target directory.
+ * @param {string} header - Content-Disposition header value
+ * @returns {string|null} File name, or null if the header has none
+ */
+export function fileNameFromContentDisposition(header) {
+  if (!header) return null;
+
+  const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+  let name = null;
+  if (extended) {
+    try {
+      name = decodeURIComponent(extended[2].trim());
+    } catch {
+      name = null;
+    }
+  }
+  if (!name) {
+    const plain = header.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i);
+    name = plain ? (plain[1] ?? plain[2]).trim() : null;
+  }
+
+  const baseName = name ? path.basename(name.replace(/\\/g, '/')) : null;
+  return baseName && baseName !== '.' && baseName !== '..' ? baseName : null;
+}
+
+/**
+ * The validator identifying the remote file version a response carries, for
+ * If-Range: a strong ETag, or else Last-Modified (weak ETags cannot be used)
+ * @param {Object} headers - Response headers
+ * @returns {string|null} Validator, or null if the server sent neither
+ */
+function responseValidator(headers) {
+  const etag = headers?.etag;
+  if (etag && !etag.startsWith('W/')) return etag;
+  return headers?.['last-modified'] || null;
+}
+
+/**
+ * A leftover partial download that can be resumed: its size and the validator
+ * of the version it came from. Without a recorded validator the partial file
+ * cannot be matched to the remote file, so it is not resumed.
+ * @param {string} partPath - Partial file path
+ * @returns {Promise<Object|null>} { start, validator }, or null to start from 0
+ */
+async function partialDownload(partPath) {
+  if (!existsSync(partPath)) return null;
+  const saved = await readFile(`${partPath}.json`, 'utf8').then(JSON.parse, () => null);
+  const start = statSync(partPath).size;
+  return saved?.validator && start > 0 ? { start, validator: saved.validator } : null;
+}
+
+/**
+ * Remove a partial file and its validator
+ * @param {string} partPath - Partial file path
+ */
+async function removePartial(partPath) {
+  await unlink(partPath).catch(() => {});
+  await unlink(`${partPath}.json`).catch(() => {});
+}
+
+/**
+ * Stream a WebCenter Content download to disk without buffering it in memory.
+ *
+ * Data is written to `<target>.part` and renamed over the target once the
+ * transfer completes, so a failed download never leaves a truncated file at
+ * the target path. With `resume` enabled the partial file is kept on failure,
+ * together with the ETag or Last-Modified of the version being downloaded
+ * (`<target>.part.json`). The next call continues from its end with a Range
+ * request and If-Range, so if the document changed in between (or the server
+ * ignores the range) the whole file is sent again and the download restarts.
+ * @param {Function} openDownload - (options) => Promise<{ stream, status, headers }>, e.g. a bound client download method
+ * @param {string} outputPath - Target file, or an existing directory (or path ending in a separator) to save under the server's file name
+ * @param {Object} options - Save options (optional)
+ * @param {string} options.defaultFileName - File name to use in a directory when the server sends none
+ * @param {boolean} options.resume - Keep and resume partial downloads (default: false)
+ * @param {boolean} options.overwrite - Replace an existing file at the target (default: true)
+ * @returns {Promise<Object>} { path, bytes, sha256, resumedFrom }
+ */
+export async function saveDownload(openDownload, outputPath, options = {}) {
+  const { defaultFileName = 'download', resume = false, overwrite = true } = options;
+  const toDirectory = /[\\/]$/.test(outputPath) || (existsSync(outputPath) && statSync(outputPath).isDirectory());
+
+  let targetPath = toDirectory ? null : outputPath;
+  if (targetPath) refuseClobber(targetPath, overwrite);
+  let partial = targetPath && resume ? await partialDownload(`${targetPath}.part`) : null;
+  let download = await openRange(openDownload, partial);
+
+  // The file name is only known once the server has answered
+  if (toDirectory) {
+    const fileName = fileNameFromContentDisposition(download.headers['content-disposition']) || defaultFileName;
+    targetPath = path.join(outputPath, fileName);
+    if (!overwrite && existsSync(targetPath)) {
+      download.stream.destroy();
+      refuseClobber(targetPath, overwrite);
+    }
+    partial = resume ? await partialDownload(`${targetPath}.part`) : null;
+    if (partial) {
+      download.stream.destroy();
+      download = await openRange(openDownload, partial);
+    }
+  }
+
+  const partPath = `${targetPath}.part`;
+  const validator = responseValidator(download.headers);
+  // A range from a different version (a server that ignored If-Range) is not appended
+  if (partial && download.status === 206 && validator && validator !== partial.validator) {
+    download.stream.destroy();
+    download = await openRange(openDownload, null);
+  }
+  const resumed = Boolean(partial) && download.status === 206;
+  const start = resumed ? partial.start : 0;
+  const hash = createHash('sha256');
+  let bytes = 0;
+
+  try {
+    await mkdir(path.dirname(targetPath), { recursive: true });
+
+    // Record which version the partial file holds, so a resume can check it
+    if (resume && !resumed) {
+      await unlink(`${partPath}.json`).catch(() => {});
+      if (validator) await writeFile(`${partPath}.json`, JSON.stringify({ validator }));
+    }
+
+    // The checksum covers the whole file, so fold in what is already on disk
+    if (resumed) {
+      for await (const chunk of createReadStream(partPath)) {
+        hash.update(chunk);
+        bytes += chunk.length;
+      }
+    }
+  } catch (error) {
+    // An unread response holds its connection and request slot until destroyed
+    download.stream.destroy();
+    throw error;
+  }
+
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(download.stream, measure, createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }));
+  } catch (error) {
+    const kept = resume && validator;
+    if (!kept) {
+      await removePartial(partPath);
+    }
+    throw new Error(`Download to ${targetPath} failed${kept ? ' (partial file kept for resume)' : ''}: ${error.message}`);
+  }
+
+  await rename(partPath, targetPath);
+  await unlink(`${partPath}.json`).catch(() => {});
+
+  return {
+    path: targetPath,
+    bytes,
+    sha256: hash.digest('hex'),
+    resumedFrom: resumed ? start : 0,
+  };
+}
+
+/**
+ * Fail before downloading if the target exists and must not be replaced
+ * @param {string} targetPath - Download target
+ * @param {boolean} overwrite - Whether replacing is allowed
+ */
+function refuseClobber(targetPath, overwrite) {
+  if (!overwrite && existsSync(targetPath)) {
+    throw new Error(`${targetPath} already exists. Pass overwrite: true to replace it`);
+  }
+}
+
+/**
+ * Open a download where a partial file ends, or from the beginning. If-Range
+ * makes the server send the whole file instead if its version has changed.
+ * @param {Function} openDownload - Download opener
+ * @param {Object|null} partial - { start, validator } from partialDownload, or null
+ * @returns {Promise<Object>} { stream, status, headers }
+ */
+async function openRange(openDownload, partial) {
+  if (!partial) {
+    return openDownload({ start: 0 });
+  }
+  try {
+    return await openDownload({ start: partial.start, ifRange: partial.validator });
+  } catch (error) {
+    // 416: the partial file no longer matches the remote file
+    if (error.status === 416) {
+      return openDownload({ start: 0 });
+    }
+    throw error;
+  }
+}
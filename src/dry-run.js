@@ -0,0 +1,126 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import FormData from 'form-data';
+
+// Methods that only read, and still go to the server during a dry run
+const READ_METHODS = ['get', 'head', 'options'];
+
+// Requests recorded by the dry run in progress, if any
+const dryRunContext = new AsyncLocalStorage();
+
+/**
+ * Whether WCC_DRY_RUN is set
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {boolean} True if writes should be recorded instead of sent
+ */
+export function isDryRunEnabled(env = process.env) {
+  return ['true', '1', 'yes'].includes(String(env.WCC_DRY_RUN || '').toLowerCase());
+}
+
+/**
+ * Run a task with writes recorded instead of sent. Reads made by the task
+ * (lookups, validation) still reach the server.
+ * @param {Function} task - async () => result
+ * @returns {Promise<Object>} { result, requests: [{ method, url, params, body }] }
+ */
+export async function runDryRun(task) {
+  const requests = [];
+  const result = await dryRunContext.run(requests, task);
+  return { result, requests };
+}
+
+/**
+ * Whether the current call is part of a dry run
+ * @returns {boolean} True inside runDryRun
+ */
+export function isDryRun() {
+  return dryRunContext.getStore() !== undefined;
+}
+
+/**
+ * Describe a multipart body part by part. Files are listed by name and size
+ * (or local path) rather than content, and their streams are closed unread.
+ * @param {FormData} formData - form-data body
+ * @returns {Object} Field name to value or file description
+ */
+function describeFormData(formData) {
+  const parts = {};
+  let current = null;
+  // form-data keeps each part as a header string followed by its value
+  for (const item of formData._streams || []) {
+    if (typeof item === 'string' && item.includes('Content-Disposition')) {
+      const name = item.match(/name="([^"]*)"/)?.[1];
+      const fileName = item.match(/filename="([^"]*)"/)?.[1];
+      current = { name, fileName };
+      continue;
+    }
+    if (!current || typeof item === 'function') continue;
+
+    const { name, fileName } = current;
+    if (typeof item === 'string') {
+      try {
+        parts[name] = JSON.parse(item);
+      } catch {
+        parts[name] = item;
+      }
+    } else if (Buffer.isBuffer(item)) {
+      parts[name] = { file: fileName || null, bytes: item.length };
+    } else if (item && typeof item.pipe === 'function') {
+      // Streams are wrapped (DelayedStream); the file stream is the source
+      const stream = item.source ?? item;
+      parts[name] = { file: fileName || null, path: stream.path ? String(stream.path) : null };
+      stream.on?.('error', () => {});
+      stream.destroy?.();
+    } else {
+      parts[name] = item;
+    }
+    current = null;
+  }
+  return parts;
+}
+
+/**
+ * Describe a request body as it would be sent
+ * @param {*} data - axios request data, after transformRequest
+ * @returns {*} JSON value, form fields, text or null
+ */
+function describeBody(data) {
+  if (data === undefined || data === null || data === '') return null;
+  if (data instanceof FormData) return { multipart: describeFormData(data) };
+  if (Buffer.isBuffer(data)) return { bytes: data.length };
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return data;
+    }
+  }
+  return data;
+}
+
+/**
+ * Wrap an axios adapter so that, during a dry run, writes are recorded and
+ * answered with a stand-in response instead of being sent
+ * @param {Function} adapter - axios adapter
+ * @returns {Function} axios adapter
+ */
+export function createDryRunAdapter(adapter) {
+  return async (config) => {
+    const requests = dryRunContext.getStore();
+    const method = (config.method || 'get').toLowerCase();
+    if (!requests || READ_METHODS.includes(method)) {
+      return adapter(config);
+    }
+
+    const url = /^https?:\/\//i.test(config.url)
+      ? config.url
+      : `${(config.baseURL || '').replace(/\/+$/, '')}/${(config.url || '').replace(/^\/+/, '')}`;
+    const request = {
+      method: method.toUpperCase(),
+      url,
+      params: config.params && Object.keys(config.params).length > 0 ? config.params : null,
+      body: describeBody(config.data),
+    };
+    requests.push(request);
+    return { data: { dryRun: true, ...request }, status: 200, statusText: 'OK (dry run)', headers: {}, config, request: null };
+  };
+}
@@ -0,0 +1,111 @@
+// Tool input schemas specialised to one WebCenter Content instance. The static
+// schemas only know the standard fields; once the metadata model is loaded
+// (see loadMetadataModel) these helpers add the custom xFields with their
+// types, option lists and required flags, and list the real document types.
+// With several connections the schema is shared by all of them, so it only
+// suggests values; each write is still checked against its own connection.
+
+/**
+ * JSON schema for one custom metadata field
+ * @param {Object} field - Field from the metadata model
+ * @param {boolean} strict - Constrain values (enum, maxLength, default); otherwise
+ *   option lists become examples and nothing else is imposed
+ * @returns {Object} Property schema
+ */
+function fieldSchema(field, strict) {
+  const details = [field.caption !== field.name && field.caption, field.type === 'date' && 'date, e.g. 2024-03-31 or 2024-03-31T17:00:00'];
+  const schema = {
+    type: field.schemaType,
+    description: details.filter(Boolean).join('; ') || field.name,
+  };
+  if (!strict) {
+    if (field.options && field.options.length > 0) schema.examples = field.options;
+    return schema;
+  }
+  if (field.options && field.options.length > 0) {
+    if (field.validatedOptions && !field.multiselect) {
+      schema.enum = field.options;
+    } else {
+      schema.examples = field.options;
+    }
+  }
+  if (field.maxLength && field.schemaType === 'string' && field.type !== 'date') {
+    schema.maxLength = field.maxLength;
+  }
+  // Defaults written in Idoc Script (<$dUser$>) are evaluated by the server
+  if (field.defaultValue && !field.defaultValue.includes('<$')) {
+    const value = field.schemaType === 'string' ? field.defaultValue : Number(field.defaultValue);
+    if (typeof value === 'string' || Number.isFinite(value)) schema.default = value;
+  }
+  return schema;
+}
+
+/**
+ * Add the instance's custom fields and document types to a tool's `metadata` object
+ * @param {Object} inputSchema - Tool input schema with a metadata property
+ * @param {Object} model - Metadata model
+ * @param {Object} options - Options (optional)
+ * @param {boolean} options.required - Mark fields the server requires as required (for check-ins)
+ * @param {boolean} options.strict - The model belongs to the only connection, so its option
+ *   lists and required fields can be enforced (default: true). Otherwise they are only suggested.
+ * @returns {Object} Schema including the custom fields
+ */
+export function withMetadataFields(inputSchema, model, { required = false, strict = true } = {}) {
+  const metadata = inputSchema.properties.metadata;
+  const properties = { ...metadata.properties };
+
+  for (const field of model.fields) {
+    properties[field.name] = fieldSchema(field, strict);
+  }
+  if (model.docTypes.length > 0) {
+    properties.dDocType = { ...(properties.dDocType || { type: 'string', description: 'Document type' }), [strict ? 'enum' : 'examples']: model.docTypes };
+  }
+
+  const requiredFields = required && strict
+    ? [...new Set([...(metadata.required || []), ...model.fields.filter((field) => field.required).map((field) => field.name)])]
+    : metadata.required;
+
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      metadata: {
+        ...metadata,
+        ...(!strict && {
+          description: `${metadata.description}. Fields and values listed are those of the default connection; other connections check writes against their own definitions`,
+        }),
+        properties,
+        ...(requiredFields && requiredFields.length > 0 && { required: requiredFields }),
+        additionalProperties: true,
+      },
+    },
+  };
+}
+
+/**
+ * Add the instance's searchable custom fields to build-search-query `filters`
+ * @param {Object} inputSchema - build-search-query input schema
+ * @param {Object} model - Metadata model
+ * @param {Object} filterSchema - Schema of one filter condition
+ * @returns {Object} Schema including the custom fields
+ */
+export function withQueryFields(inputSchema, model, filterSchema) {
+  const filters = inputSchema.properties.filters;
+  const properties = { ...filters.properties };
+
+  for (const field of model.fields.filter((entry) => entry.searchable)) {
+    const values = field.options && field.options.length > 0 ? `; values: ${field.options.slice(0, 20).join(', ')}` : '';
+    properties[field.name] = {
+      ...filterSchema,
+      description: `${field.caption} (${field.type}${values})`,
+    };
+  }
+
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      filters: { ...filters, properties },
+    },
+  };
+}
@@ -0,0 +1,233 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Largest error body read from a streamed (download) response
+const MAX_ERROR_BODY_BYTES = 64 * 1024;
+
+// Network failures that mean the server could not be reached at all
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNABORTED', 'EHOSTUNREACH'];
+
+/**
+ * A failed WebCenter Content request. Carries the HTTP status, the server's
+ * own error code and message, the document involved and a hint on what to do
+ * next. `rpcCode` is the JSON-RPC error code used when the error reaches MCP.
+ */
+export class WebCenterContentError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details (optional)
+   * @param {number} details.status - HTTP status, if the server answered
+   * @param {string} details.serverCode - WebCenter Content errorCode
+   * @param {string} details.serverMessage - WebCenter Content errorMessage
+   * @param {string} details.dDocName - Document involved
+   * @param {string} details.dID - Revision involved
+   * @param {string} details.operation - Request, e.g. "GET /files/DOC1"
+   * @param {string} details.hint - Suggested remediation
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status ?? null;
+    this.serverCode = details.serverCode ?? null;
+    this.serverMessage = details.serverMessage ?? null;
+    this.dDocName = details.dDocName ?? null;
+    this.dID = details.dID ?? null;
+    this.operation = details.operation ?? null;
+    this.hint = details.hint ?? this.constructor.hint;
+  }
+
+  static rpcCode = ErrorCode.InternalError;
+  static summary = 'Request failed';
+  static hint = null;
+
+  get rpcCode() {
+    return this.constructor.rpcCode;
+  }
+
+  /**
+   * Error details for the JSON-RPC error `data` field
+   * @returns {Object} Details without empty values
+   */
+  toJSON() {
+    const { name, status, serverCode, serverMessage, dDocName, dID, operation, hint } = this;
+    return Object.fromEntries(
+      Object.entries({ type: name, status, serverCode, serverMessage, dDocName, dID, operation, hint })
+        .filter(([, value]) => value !== null && value !== undefined)
+    );
+  }
+}
+
+export class NotFoundError extends WebCenterContentError {
+  static rpcCode = -32002;
+  static summary = 'Not found';
+  static hint = 'Check the dDocName or dID; search-documents can find the current name and revision';
+}
+
+export class ForbiddenError extends WebCenterContentError {
+  static rpcCode = -32003;
+  static summary = 'Access denied';
+  static hint = 'The account lacks rights to this item (security group or account). Ask an administrator for access or use another connection';
+}
+
+export class CheckedOutError extends WebCenterContentError {
+  static rpcCode = -32004;
+  static summary = 'Document is checked out';
+  static hint = 'The document is checked out. Check in a new revision or call reverse-checkout to release it, then retry';
+}
+
+export class ValidationError extends WebCenterContentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details, as for WebCenterContentError, plus
+   *   `violations` ([{ field, message }]) when metadata was checked before sending
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.violations = details.violations ?? null;
+  }
+
+  static rpcCode = ErrorCode.InvalidParams;
+  static summary = 'Invalid request';
+  static hint = 'Fix the values named in the message; get-document-meta-info and get-document-types list the valid fields and types';
+
+  toJSON() {
+    return { ...super.toJSON(), ...(this.violations && { violations: this.violations }) };
+  }
+}
+
+export class AuthExpiredError extends WebCenterContentError {
+  static rpcCode = -32005;
+  static summary = 'Authentication failed';
+  static hint = 'Authentication was rejected. Check the user, password or OAuth settings for this connection (see list-connections)';
+}
+
+export class ServerUnavailableError extends WebCenterContentError {
+  static rpcCode = -32006;
+  static summary = 'Server unavailable';
+  static hint = 'WebCenter Content is unreachable or overloaded. Retry later, or check the base URL of this connection';
+}
+
+/**
+ * Read a JSON (or text) error body, including one sent as a download stream
+ * @param {*} data - axios response data
+ * @returns {Promise<*>} Parsed body, text, or null
+ */
+async function readErrorBody(data) {
+  if (data && typeof data.pipe === 'function') {
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of data) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= MAX_ERROR_BODY_BYTES) break;
+      }
+    } catch {
+      return null;
+    } finally {
+      data.destroy?.();
+    }
+    data = Buffer.concat(chunks).toString('utf8');
+  }
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return data.trim() || null;
+    }
+  }
+  return data ?? null;
+}
+
+/**
+ * Pick the server's error code and message out of a REST or IdcService error body
+ * @param {*} body - Parsed error body
+ * @returns {Object} { serverCode, serverMessage }
+ */
+function serverError(body) {
+  if (!body) return { serverCode: null, serverMessage: null };
+  if (typeof body === 'string') {
+    // HTML error pages from a proxy or the app server say nothing useful
+    return { serverCode: null, serverMessage: body.startsWith('<') ? null : body.slice(0, 500) };
+  }
+  return {
+    serverCode: body.errorCode ?? body['o:errorCode'] ?? body.LocalData?.StatusCode ?? null,
+    serverMessage: body.errorMessage || body.detail || body.LocalData?.StatusMessage || body.message || body.title || null,
+  };
+}
+
+/**
+ * The document a request was about, from its path or parameters
+ * @param {Object} config - axios request config
+ * @returns {Object} { dDocName, dID }
+ */
+function requestTarget(config = {}) {
+  const url = config.url || '';
+  const byRevision = url.match(/^\/files\/\.by\.did\/([^/]+)/);
+  const byName = url.match(/^\/files\/([^/.][^/]*)/);
+  const dDocName = config.params?.dDocName
+    ?? (byName && !['search', 'data', 'workInProgress'].includes(byName[1]) ? decodeURIComponent(byName[1]) : null);
+  const dID = config.params?.dID ?? (byRevision ? decodeURIComponent(byRevision[1]) : null);
+  return { dDocName, dID };
+}
+
+/**
+ * Choose the error class for a failed request
+ * @param {number} status - HTTP status (undefined if there was no response)
+ * @param {string} code - Network error code
+ * @param {string} serverMessage - Server error message
+ * @returns {Function} Error class
+ */
+function errorClass(status, code, serverMessage) {
+  const text = serverMessage || '';
+  if (!status) {
+    return UNREACHABLE_CODES.includes(code) ? ServerUnavailableError : WebCenterContentError;
+  }
+  if (status === 401) return AuthExpiredError;
+  if (status === 403 || /access denied|insufficient privilege|not authorized/i.test(text)) return ForbiddenError;
+  if (/checked out/i.test(text) || status === 409) return CheckedOutError;
+  if (status === 404 || /not found|does not exist|unable to find/i.test(text)) return NotFoundError;
+  if ([429, 502, 503, 504].includes(status)) return ServerUnavailableError;
+  if (status === 400 || status === 422) return ValidationError;
+  return WebCenterContentError;
+}
+
+/**
+ * Turn an axios error from a WebCenter Content request into a typed error
+ * @param {Error} error - axios error
+ * @returns {Promise<WebCenterContentError>} Typed error
+ */
+export async function toWebCenterError(error) {
+  if (error instanceof WebCenterContentError) return error;
+
+  const { response, config } = error;
+  const status = response?.status;
+  const { serverCode, serverMessage } = serverError(await readErrorBody(response?.data));
+  const { dDocName, dID } = requestTarget(config);
+  const ErrorClass = errorClass(status, error.code, serverMessage);
+
+  const subject = dID ? `revision ${dID}` : dDocName ? `document ${dDocName}` : null;
+  const reason = serverMessage || (status ? ErrorClass.summary : error.message);
+  const codes = [status && `HTTP ${status}`, serverCode && `errorCode ${serverCode}`].filter(Boolean);
+  const message = `${subject ? `WebCenter Content ${subject}: ` : ''}${reason}${codes.length > 0 ? ` (${codes.join(', ')})` : ''}`;
+
+  return new ErrorClass(message, {
+    status,
+    serverCode,
+    serverMessage,
+    dDocName,
+    dID,
+    operation: config ? `${(config.method || 'get').toUpperCase()} ${config.url}` : null,
+  });
+}
+
+/**
+ * Convert a typed error into the JSON-RPC error sent to the MCP client, with
+ * the hint appended to the message and the details in `data`
+ * @param {WebCenterContentError} error - Typed error
+ * @param {string} context - What was being done, e.g. "Error executing tool get-document-metadata"
+ * @returns {McpError} MCP error
+ */
+export function toMcpError(error, context) {
+  const message = `${context}: ${error.message}${error.hint ? `. ${error.hint}` : ''}`;
+  return new McpError(error.rpcCode, message, error.toJSON());
+}
@@ -0,0 +1,274 @@
+import { NotFoundError, ValidationError } from './errors.js';
+import { ROOT_FOLDER_GUID, hasMoreResults } from './webcenter-client.js';
+
+// Children fetched per request when walking a whole folder
+const CHILD_PAGE_SIZE = 100;
+
+// Deepest folder nesting followed when building a path, in case of a parent loop
+const MAX_FOLDER_DEPTH = 100;
+
+const NOT_FOUND_HINT = 'Check the spelling of each folder; list-folder-children shows what a folder contains';
+
+// Hints for bad paths and arguments, in place of the metadata hint ValidationError carries
+const PATH_SYNTAX_HINT = 'Separate names with "/", and inside a name write "\\/" for a slash and "\\\\" for a backslash; get-folder-path returns paths in this form';
+const AMBIGUOUS_NAME_HINT = 'Spell the name with its exact case; list-folder-children shows the names in a folder';
+const FOLDER_TARGET_HINT = 'Pass exactly one of fFolderGUID or fFileGUID';
+const PARENT_LOOP_HINT = 'Check the fParentGUID of each folder on the way up with get-folder-info';
+
+/**
+ * Split a path like "/Enterprise Libraries/Contracts/2024" into folder names.
+ * A "/" inside a name is written "\/" and a backslash "\\"; names are kept
+ * exactly as written, spaces included.
+ * @param {string} path - Slash-separated path; the leading slash is optional
+ * @returns {Array<string>} Names, without empty segments
+ */
+export function splitFolderPath(path) {
+  const text = String(path || '');
+  const names = [];
+  let name = '';
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === '\\') {
+      const next = text[index + 1];
+      if (next !== '/' && next !== '\\') {
+        throw new ValidationError(`Invalid escape "\\${next ?? ''}" at position ${index} of path ${text}`, { hint: PATH_SYNTAX_HINT });
+      }
+      name += next;
+      index += 1;
+    } else if (char === '/') {
+      if (name) names.push(name);
+      name = '';
+    } else {
+      name += char;
+    }
+  }
+  if (name) names.push(name);
+  return names;
+}
+
+/**
+ * Join folder names into a path, escaping slashes and backslashes in names so
+ * that splitFolderPath gives the names back
+ * @param {Array<string>} names - Folder (and file) names from the root down
+ * @returns {string} Path with a leading slash; "/" for the root
+ */
+export function joinFolderPath(names) {
+  return `/${names.map((name) => String(name).replace(/[\\/]/g, '\\$&')).join('/')}`;
+}
+
+/**
+ * Tag a folder search result as a folder or a file
+ * @param {Object} item - Item from /folders/search/items
+ * @returns {Object} Item with type
+ */
+function withType(item) {
+  return { ...item, type: item.fFileGUID ? 'file' : 'folder' };
+}
+
+/**
+ * One page of the items directly inside a folder
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {string} fFolderGUID - Folder GUID
+ * @param {Object} options - Paging options (optional)
+ * @param {number} options.limit - Items per page (default: 50)
+ * @param {number} options.offset - Items to skip (default: 0)
+ * @param {string} options.orderBy - Sort order, e.g. "fFolderName asc" (optional)
+ * @returns {Promise<Object>} { items, hasMore, returned } where each item has type folder or file
+ */
+export async function listFolderChildren(client, fFolderGUID, { limit = 50, offset = 0, orderBy } = {}) {
+  const options = { limit, offset };
+  if (orderBy) options.orderBy = orderBy;
+  const page = await client.searchInFolder(fFolderGUID, options);
+  const items = page?.items || [];
+
+  // Keep only direct children, in case the server also returns deeper items
+  const children = items.filter((item) => !item.fParentGUID || item.fParentGUID === fFolderGUID);
+  return {
+    items: children.map(withType),
+    hasMore: items.length > 0 && hasMoreResults(page, limit),
+    returned: items.length,
+  };
+}
+
+/**
+ * Iterate over every item directly inside a folder, fetching pages as needed
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {string} fFolderGUID - Folder GUID
+ * @returns {AsyncGenerator<Object>} Children with type folder or file
+ */
+async function* allFolderChildren(client, fFolderGUID) {
+  let offset = 0;
+  for (;;) {
+    const page = await listFolderChildren(client, fFolderGUID, { limit: CHILD_PAGE_SIZE, offset });
+    yield* page.items;
+    if (!page.hasMore) return;
+    offset += page.returned;
+  }
+}
+
+/**
+ * Find a child by name: an exact match first, otherwise the only
+ * case-insensitive match
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {string} fFolderGUID - Parent folder GUID
+ * @param {string} name - Folder or file name
+ * @param {string} parentPath - Path of the parent, for error messages
+ * @returns {Promise<Object|null>} Child, or null if there is none
+ */
+async function findChild(client, fFolderGUID, name, parentPath) {
+  const matches = [];
+  for await (const child of allFolderChildren(client, fFolderGUID)) {
+    const childName = child.type === 'folder' ? child.fFolderName : child.fFileName;
+    if (childName === name) return child;
+    if (typeof childName === 'string' && childName.toLowerCase() === name.toLowerCase()) matches.push(child);
+  }
+  if (matches.length > 1) {
+    throw new ValidationError(`"${name}" matches more than one item in ${parentPath} when ignoring case; use the exact spelling`, { hint: AMBIGUOUS_NAME_HINT });
+  }
+  return matches[0] ?? null;
+}
+
+/**
+ * Resolve a path to the folder or file it names, one level at a time from the root
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {string} path - Path such as "/Enterprise Libraries/Contracts/2024"
+ * @returns {Promise<Object>} { path, type, fFolderGUID, fFolderName, folders } for a folder, or
+ *   { path, type, fFileGUID, fFileName, dDocName, fParentGUID, folders } for a file; folders lists
+ *   the folders on the way down as { fFolderGUID, fFolderName }
+ */
+export async function resolveFolderPath(client, path) {
+  const names = splitFolderPath(path);
+  const folders = [];
+  let fFolderGUID = ROOT_FOLDER_GUID;
+
+  for (const [index, name] of names.entries()) {
+    const parentPath = joinFolderPath(names.slice(0, index));
+    const child = await findChild(client, fFolderGUID, name, parentPath);
+    if (!child) {
+      throw new NotFoundError(`No folder or file named "${name}" in ${parentPath}`, { hint: NOT_FOUND_HINT });
+    }
+
+    if (child.type === 'file') {
+      if (index < names.length - 1) {
+        throw new NotFoundError(`${joinFolderPath(names.slice(0, index + 1))} is a file, not a folder`, { hint: NOT_FOUND_HINT });
+      }
+      return {
+        path: joinFolderPath([...folders.map((folder) => folder.fFolderName), child.fFileName]),
+        type: 'file',
+        fFileGUID: child.fFileGUID,
+        fFileName: child.fFileName,
+        dDocName: child.dDocName,
+        fParentGUID: fFolderGUID,
+        folders,
+      };
+    }
+    folders.push({ fFolderGUID: child.fFolderGUID, fFolderName: child.fFolderName });
+    fFolderGUID = child.fFolderGUID;
+  }
+
+  return {
+    path: joinFolderPath(folders.map((folder) => folder.fFolderName)),
+    type: 'folder',
+    fFolderGUID,
+    fFolderName: folders.length > 0 ? folders[folders.length - 1].fFolderName : '',
+    folders,
+  };
+}
+
+/**
+ * Build the path of a folder or file by following its parents up to the root
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {Object} target - Exactly one of fFolderGUID or fFileGUID
+ * @returns {Promise<Object>} Same shape as resolveFolderPath
+ */
+export async function getFolderPath(client, { fFolderGUID, fFileGUID }) {
+  if (Boolean(fFolderGUID) === Boolean(fFileGUID)) {
+    throw new ValidationError('Provide either fFolderGUID or fFileGUID', { hint: FOLDER_TARGET_HINT });
+  }
+
+  let file = null;
+  let current = fFolderGUID;
+  if (fFileGUID) {
+    file = await client.getFolderFileInfo(fFileGUID);
+    current = file.fParentGUID;
+  }
+
+  const folders = [];
+  const seen = new Set();
+  while (current && current !== ROOT_FOLDER_GUID) {
+    if (seen.has(current) || seen.size >= MAX_FOLDER_DEPTH) {
+      throw new ValidationError(`Could not build the path: the parents of ${fFolderGUID || fFileGUID} form a loop or nest deeper than ${MAX_FOLDER_DEPTH} folders`, { hint: PARENT_LOOP_HINT });
+    }
+    seen.add(current);
+    const info = await client.getFolderInfo(current);
+    folders.unshift({ fFolderGUID: info.fFolderGUID || current, fFolderName: info.fFolderName });
+    current = info.fParentGUID;
+  }
+
+  const names = folders.map((folder) => folder.fFolderName);
+  if (file) {
+    return {
+      path: joinFolderPath([...names, file.fFileName]),
+      type: 'file',
+      fFileGUID,
+      fFileName: file.fFileName,
+      dDocName: file.dDocName,
+      fParentGUID: file.fParentGUID,
+      folders,
+    };
+  }
+  return {
+    path: joinFolderPath(names),
+    type: 'folder',
+    fFolderGUID,
+    fFolderName: folders.length > 0 ? folders[folders.length - 1].fFolderName : '',
+    folders,
+  };
+}
+
+/**
+ * List the folders (and optionally files) below a folder, level by level, so
+ * that when maxNodes runs out the shallower levels are complete
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {Object} root - { fFolderGUID, fFolderName, path } of the starting folder
+ * @param {Object} options - Options (optional)
+ * @param {number} options.depth - Levels below the root to list (default: 2)
+ * @param {boolean} options.includeFiles - Also list files (default: false)
+ * @param {number} options.maxNodes - Stop after this many folders and files (default: 500)
+ * @returns {Promise<Object>} { tree, depth, nodeCount, truncated }. Each folder node has
+ *   fFolderGUID, fFolderName, path and, if it was listed, folders (and files)
+ */
+export async function getFolderTree(client, root, { depth = 2, includeFiles = false, maxNodes = 500 } = {}) {
+  const tree = { fFolderGUID: root.fFolderGUID, fFolderName: root.fFolderName, path: root.path };
+  let level = [tree];
+  let nodeCount = 0;
+  let truncated = false;
+
+  for (let current = 1; current <= depth && level.length > 0 && !truncated; current += 1) {
+    const next = [];
+    for (const node of level) {
+      if (truncated) break;
+      node.folders = [];
+      if (includeFiles) node.files = [];
+
+      for await (const child of allFolderChildren(client, node.fFolderGUID)) {
+        if (nodeCount >= maxNodes) {
+          truncated = true;
+          break;
+        }
+        if (child.type === 'folder') {
+          const folder = { fFolderGUID: child.fFolderGUID, fFolderName: child.fFolderName, path: joinFolderPath([...splitFolderPath(node.path), child.fFolderName]) };
+          node.folders.push(folder);
+          next.push(folder);
+          nodeCount += 1;
+        } else if (includeFiles) {
+          node.files.push({ fFileGUID: child.fFileGUID, fFileName: child.fFileName, dDocName: child.dDocName });
+          nodeCount += 1;
+        }
+      }
+    }
+    level = next;
+  }
+
+  return { tree, depth, nodeCount, truncated };
+}
@@ -0,0 +1,165 @@
+import { timingSafeEqual } from 'crypto';
+import { TOOL_CATEGORIES } from './tool-registry.js';
+
+// Scopes an API key may hold, and the tool categories each one unlocks.
+// read-only is special: it allows any tool annotated with readOnlyHint.
+const SCOPE_CATEGORIES = {
+  documents: ['documents', 'attachments', 'workflow'],
+  folders: ['folders', 'links'],
+  admin: TOOL_CATEGORIES,
+};
+
+export const HTTP_AUTH_SCOPES = ['read-only', ...Object.keys(SCOPE_CATEGORIES)];
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Split a comma separated environment value into trimmed, non-empty entries
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>} Entries
+ */
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split an MCP_API_KEYS entry into name, key and scope list. The name ends at
+ * the first colon and the scopes start after the last, so the key itself may
+ * contain colons as long as the scopes are given.
+ * @param {string} entry - One entry
+ * @returns {Array<string>} [name, key, scopeList]; scopeList is undefined without scopes
+ */
+function splitApiKeyEntry(entry) {
+  const first = entry.indexOf(':');
+  if (first === -1) return [entry.trim(), ''];
+  const last = entry.lastIndexOf(':');
+  if (last === first) return [entry.slice(0, first).trim(), entry.slice(first + 1).trim()];
+  return [entry.slice(0, first).trim(), entry.slice(first + 1, last).trim(), entry.slice(last + 1).trim()];
+}
+
+/**
+ * Parse MCP_API_KEYS. Entries are separated by semicolons and take the form
+ * `name:key:scope1,scope2`; the name is used in logs and to bind sessions.
+ * @param {string} value - Raw MCP_API_KEYS value
+ * @returns {Array<Object>} Keys as { name, key, scopes }
+ */
+function parseApiKeys(value) {
+  return (value || '')
+    .split(';')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const [name, key, scopeList] = splitApiKeyEntry(entry);
+      // The entry holds the key, so errors name the entry by position instead
+      if (!name) {
+        throw new Error(`Invalid MCP_API_KEYS entry ${index + 1}: the name before the first ":" is empty; expected name:key:scopes`);
+      }
+      if (!key) {
+        throw new Error(`Invalid MCP_API_KEYS entry "${name}": the key is empty; expected name:key:scopes`);
+      }
+
+      const scopes = splitList(scopeList || 'read-only');
+      const unknown = scopes.filter((scope) => !HTTP_AUTH_SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown scope(s) for API key "${name}": ${unknown.join(', ')}. Valid scopes: ${HTTP_AUTH_SCOPES.join(', ')}. A key containing ":" must be followed by :scopes`);
+      }
+
+      return { name, key, scopes };
+    });
+}
+
+/**
+ * Build the HTTP endpoint security settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { host, allowedOrigins, apiKeys }
+ */
+export function loadHttpAuthConfig(env = process.env) {
+  return {
+    host: env.MCP_HOST || 'localhost',
+    allowedOrigins: splitList(env.MCP_ALLOWED_ORIGINS),
+    apiKeys: parseApiKeys(env.MCP_API_KEYS),
+  };
+}
+
+/**
+ * Whether a bind address only accepts connections from this machine
+ * @param {string} host - Bind address
+ * @returns {boolean} True for loopback addresses
+ */
+export function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host);
+}
+
+/**
+ * Whether a browser Origin may call the endpoint. Requests without an
+ * Origin header come from non-browser clients and are always allowed.
+ * @param {string} origin - Origin header value
+ * @param {Array<string>} allowedOrigins - Configured origins ("*" allows any)
+ * @returns {boolean} True if allowed
+ */
+export function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin) {
+    return true;
+  }
+  return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
+
+/**
+ * Compare two secrets without leaking their contents through timing
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Identify the caller of an HTTP request from its bearer token or X-API-Key header
+ * @param {Object} req - Express request
+ * @param {Object} config - Config from loadHttpAuthConfig
+ * @returns {Object|null} Caller as { name, scopes }, or null if the credentials are missing or wrong
+ */
+export function authenticateRequest(req, config) {
+  if (config.apiKeys.length === 0) {
+    // No keys configured: only reachable when bound to loopback (enforced at startup)
+    return { name: 'local', scopes: ['admin'] };
+  }
+
+  const authorization = req.headers.authorization || '';
+  const presented = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : req.headers['x-api-key'];
+  if (!presented) {
+    return null;
+  }
+
+  const match = config.apiKeys.find(({ key }) => safeEqual(key, presented));
+  return match ? { name: match.name, scopes: match.scopes } : null;
+}
+
+/**
+ * Whether a caller's scopes permit a tool
+ * @param {Object} tool - Tool definition from the registry
+ * @param {Object|null} caller - Caller from authenticateRequest; null means unrestricted (stdio)
+ * @returns {boolean} True if allowed
+ */
+export function isToolAllowed(tool, caller) {
+  if (!caller) {
+    return true;
+  }
+  if (tool.adminOnly) {
+    return caller.scopes.includes('admin');
+  }
+  return caller.scopes.some((scope) => {
+    if (scope === 'read-only') {
+      return tool.annotations?.readOnlyHint === true;
+    }
+    return SCOPE_CATEGORIES[scope].includes(tool.category);
+  });
+}
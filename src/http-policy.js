@@ -0,0 +1,217 @@
+import axios from 'axios';
+import { finished } from 'stream';
+
+// Used for any setting not given in the environment
+export const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 30 * 1000,
+  downloadTimeoutMs: 5 * 60 * 1000,
+  uploadTimeoutMs: 5 * 60 * 1000,
+  maxRetries: 3,
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 10 * 1000,
+};
+
+export const DEFAULT_MAX_CONCURRENT_REQUESTS = 8;
+
+// Methods that can be repeated without changing anything on the server
+const RETRY_METHODS = ['get', 'head', 'options'];
+
+// Gateway and throttling responses worth another attempt
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+// Connection failures worth another attempt (ECONNABORTED is an axios timeout)
+const RETRY_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Read one numeric setting, preferring the connection's own variable
+ * @param {Object} env - Environment
+ * @param {string} prefix - Connection variable prefix
+ * @param {string} name - Variable name without prefix
+ * @param {number} fallback - Default value
+ * @returns {number} Setting
+ */
+function numberSetting(env, prefix, name, fallback) {
+  const value = parseInt(env[`${prefix}${name}`] ?? env[`WCC_${name}`], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Read timeout and retry settings from environment variables. A named
+ * connection can override each one (e.g. WCC_PROD_TIMEOUT_MS); otherwise the
+ * unprefixed variable applies.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @param {string} prefix - Variable prefix, e.g. WCC_ or WCC_PROD_
+ * @returns {Object} HTTP options for the WebCenterContentClient constructor
+ */
+export function getHttpOptionsFromEnv(env = process.env, prefix = 'WCC_') {
+  return {
+    timeoutMs: numberSetting(env, prefix, 'TIMEOUT_MS', DEFAULT_HTTP_OPTIONS.timeoutMs),
+    downloadTimeoutMs: numberSetting(env, prefix, 'DOWNLOAD_TIMEOUT_MS', DEFAULT_HTTP_OPTIONS.downloadTimeoutMs),
+    uploadTimeoutMs: numberSetting(env, prefix, 'UPLOAD_TIMEOUT_MS', DEFAULT_HTTP_OPTIONS.uploadTimeoutMs),
+    maxRetries: numberSetting(env, prefix, 'MAX_RETRIES', DEFAULT_HTTP_OPTIONS.maxRetries),
+    retryBaseDelayMs: numberSetting(env, prefix, 'RETRY_BASE_DELAY_MS', DEFAULT_HTTP_OPTIONS.retryBaseDelayMs),
+    retryMaxDelayMs: numberSetting(env, prefix, 'RETRY_MAX_DELAY_MS', DEFAULT_HTTP_OPTIONS.retryMaxDelayMs),
+  };
+}
+
+/**
+ * Global limit on WebCenter Content requests in flight, shared by all connections
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {number} Maximum concurrent requests
+ */
+export function getMaxConcurrentRequests(env = process.env) {
+  const configured = parseInt(env.WCC_MAX_CONCURRENT_REQUESTS, 10);
+  return configured > 0 ? configured : DEFAULT_MAX_CONCURRENT_REQUESTS;
+}
+
+/**
+ * Create a limiter that runs at most `max` tasks at once; the rest wait in order
+ * @param {number} max - Maximum concurrent tasks
+ * @returns {Object} { acquire(), run(task), active, queued }
+ */
+export function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active -= 1;
+    const next = waiting.shift();
+    if (next) next();
+  };
+
+  /**
+   * Wait for a slot and take it
+   * @returns {Promise<Function>} Releases the slot; later calls do nothing
+   */
+  const acquire = async () => {
+    if (active >= max) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    active += 1;
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        release();
+      }
+    };
+  };
+
+  return {
+    acquire,
+    async run(task) {
+      const done = await acquire();
+      try {
+        return await task();
+      } finally {
+        done();
+      }
+    },
+    get active() {
+      return active;
+    },
+    get queued() {
+      return waiting.length;
+    },
+  };
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or an HTTP date)
+ * @param {string} header - Retry-After value
+ * @returns {number|null} Milliseconds, or null if absent or unparseable
+ */
+export function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to base * 2^attempt, capped
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} options - HTTP options
+ * @returns {number} Milliseconds
+ */
+function backoffMs(attempt, options) {
+  return Math.random() * Math.min(options.retryMaxDelayMs, options.retryBaseDelayMs * 2 ** attempt);
+}
+
+/**
+ * How long to wait before retrying a failed request, or null to give up
+ * @param {Error} error - axios error
+ * @param {number} attempt - Retries so far
+ * @param {Object} options - HTTP options
+ * @returns {number|null} Milliseconds to wait
+ */
+function retryDelay(error, attempt, options) {
+  const { config, response } = error;
+  if (attempt >= options.maxRetries || !RETRY_METHODS.includes((config?.method || 'get').toLowerCase())) {
+    return null;
+  }
+  if (response) {
+    if (!RETRY_STATUSES.includes(response.status)) return null;
+    const requested = retryAfterMs(response.headers?.['retry-after']);
+    if (requested !== null) {
+      // Waiting longer than the retry cap would hang the tool call; report the error instead
+      return requested <= options.retryMaxDelayMs ? requested : null;
+    }
+    return backoffMs(attempt, options);
+  }
+  return RETRY_CODES.includes(error.code) ? backoffMs(attempt, options) : null;
+}
+
+/**
+ * Send one request in a limiter slot. A streamed response keeps its slot
+ * until the body has been read or destroyed, so downloads count against the
+ * limit for as long as they transfer.
+ * @param {Function} send - axios adapter
+ * @param {Object} config - Request config
+ * @param {Object} limiter - Limiter from createLimiter
+ * @returns {Promise<Object>} axios response
+ */
+async function sendInSlot(send, config, limiter) {
+  const release = await limiter.acquire();
+  let response;
+  try {
+    response = await send(config);
+  } catch (error) {
+    release();
+    throw error;
+  }
+  const body = response.data;
+  if (config.responseType === 'stream' && body && typeof body.pipe === 'function') {
+    finished(body, release);
+  } else {
+    release();
+  }
+  return response;
+}
+
+/**
+ * Wrap an axios adapter so every request waits for a limiter slot, and
+ * idempotent requests are retried on gateway errors, throttling and dropped
+ * connections. Retries happen below the interceptors, so auth and error
+ * mapping see only the final outcome.
+ * @param {Object} options - HTTP options ({ maxRetries, retryBaseDelayMs, retryMaxDelayMs })
+ * @param {Object} limiter - Limiter from createLimiter
+ * @returns {Function} axios adapter
+ */
+export function createPolicyAdapter(options, limiter) {
+  const send = axios.getAdapter(axios.defaults.adapter);
+
+  return async (config) => {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await sendInSlot(send, config, limiter);
+      } catch (error) {
+        const delay = retryDelay(error, attempt, options);
+        if (delay === null) throw error;
+        error.response?.data?.destroy?.();
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  };
+}
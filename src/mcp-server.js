@@ -2,19 +2,37 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import {
   CallToolRequestSchema,
+  ErrorCode,
+  ListResourceTemplatesRequestSchema,
   ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  McpError,
   ReadResourceRequestSchema,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js';
-import { WebCenterContentClient } from './webcenter-client.js';
+import { ROOT_FOLDER_GUID, WebCenterContentClient } from './webcenter-client.js';
+import { loadConnectionProfiles } from './connections.js';
+import { createLimiter, getMaxConcurrentRequests } from './http-policy.js';
+import { loadPathPolicy } from './path-policy.js';
+import { STATIC_RESOURCE_TOOLS, listResourceTemplates, matchResourceTemplate, resourceToolName } from './resource-templates.js';
+import { RESULT_FORMATS, formatResult, loadResultFormatConfig } from './result-format.js';
+import { toStructuredContent } from './output-schemas.js';
+import { loadMetadataModel } from './metadata-fields.js';
+import { ConfirmationStore, loadConfirmationConfig, requiresConfirmation } from './confirmation.js';
+import { isDryRunEnabled, runDryRun } from './dry-run.js';
+import { isToolEnabled, loadToolPolicy } from './tool-policy.js';
+import { AuditLog, auditTarget, loadAuditConfig, sanitizeArguments, withRequestTrace } from './audit-log.js';
+import { WebCenterContentError, toMcpError } from './errors.js';
+import { changesServer, getTool, isFormattable, listTools } from './tool-registry.js';
+import { authenticateRequest, isLoopbackHost, isOriginAllowed, isToolAllowed, loadHttpAuthConfig } from './http-auth.js';
 import dotenv from 'dotenv';
-import { writeFileSync, existsSync, mkdirSync } from 'fs';
-import path from 'path';
 import express from 'express';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
 
 // Load environment variables
 dotenv.config();
@@ -35,4257 +53,620 @@ class WebCenterContentMCPServer {
     }
     
     
-    this.server = new Server(
-      {
-        name: 'webcenter-content-mcp-server',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          resources: {},
-          tools: {},
-        },
-      }
-    );
-
-    // Initialize WebCenter Content client (lazy initialization)
-    this.wccClient = null;
-
-    this.setupHandlers();
-    
-    if (this.mode === 'http') {
-      this.setupHttpServer();
-    }
-  }
-
-  getWccClient() {
-    if (!this.wccClient) {
-      this.wccClient = new WebCenterContentClient(
-        process.env.WCC_BASE_URL,
-        process.env.WCC_USER,
-        process.env.WCC_PASSWORD
-      );
-    }
-    return this.wccClient;
-  }
-
-  // Helper methods for HTTP MCP protocol
-  async handleToolsList() {
-    return {
-      tools: [
-        {
-          name: 'search-documents',
-          description: 'Search for documents in WebCenter Content',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Search query string',
-              },
-              limit: {
-                type: 'number',
-                description: 'Maximum number of results to return',
-                default: 10,
-              },
-              orderBy: {
-                type: 'string',
-                description: 'Sort order (e.g., "dInDate desc")',
-              },
-            },
-            required: ['query'],
-          },
-        },
-        {
-          name: 'get-document-metadata',
-          description: 'Get metadata for a specific document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'download-document',
-          description: 'Download a document from WebCenter Content',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              version: {
-                type: 'string',
-                description: 'Document version (optional)',
-              },
-              rendition: {
-                type: 'string',
-                description: 'Rendition type (optional)',
-              },
-              outputPath: {
-                type: 'string',
-                description: 'Local path to save the downloaded file',
-              },
-            },
-            required: ['dDocName', 'outputPath'],
-          },
-        },
-        {
-          name: 'update-document-metadata',
-          description: 'Update metadata for a document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              metadata: {
-                type: 'object',
-                description: 'Metadata values to update',
-              },
-              version: {
-                type: 'string',
-                description: 'Document version (optional)',
-              },
-              createPrimaryMetaFile: {
-                type: 'boolean',
-                description: 'Create primary meta file (optional)',
-              },
-              createAlternateMetaFile: {
-                type: 'boolean',
-                description: 'Create alternate meta file (optional)',
-              },
-            },
-            required: ['dDocName', 'metadata'],
-          },
-        },
-        {
-          name: 'create-folder',
-          description: 'Create a new folder in WebCenter Content',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              folderName: {
-                type: 'string',
-                description: 'Name of the folder to create',
-              },
-              parentFolderGUID: {
-                type: 'string',
-                description: 'Parent folder GUID (optional)',
-              },
-              description: {
-                type: 'string',
-                description: 'Folder description (optional)',
-              },
-            },
-            required: ['folderName'],
-          },
-        },
-        {
-          name: 'get-folder-info',
-          description: 'Get information about a specific folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-            },
-            required: ['fFolderGUID'],
-          },
-        },
-        {
-          name: 'search-in-folder',
-          description: 'Search for items within a specific folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID to search within',
-              },
-              query: {
-                type: 'string',
-                description: 'Search query (optional)',
-              },
-              limit: {
-                type: 'number',
-                description: 'Maximum number of results',
-                default: 10,
-              },
-            },
-            required: ['fFolderGUID'],
-          },
-        },
-        {
-          name: 'checkout-document',
-          description: 'Checkout a document for editing',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'reverse-checkout',
-          description: 'Reverse checkout (undo checkout) of a document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'get-document-capabilities',
-          description: 'Get capabilities/permissions for a document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              testedCapabilities: {
-                type: 'string',
-                description: 'Comma-separated list of capabilities to test',
-              },
-            },
-            required: ['dDocName', 'testedCapabilities'],
-          },
-        },
-        {
-          name: 'delete-document',
-          description: 'Delete a document from WebCenter Content',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              version: {
-                type: 'string',
-                description: 'Document version (optional)',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'upload-document-revision',
-          description: 'Upload a new revision of a document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              filePath: {
-                type: 'string',
-                description: 'Path to the file to upload',
-              },
-              metadata: {
-                type: 'object',
-                description: 'Document metadata',
-              },
-            },
-            required: ['dDocName', 'filePath', 'metadata'],
-          },
-        },
-        {
-          name: 'download-document-by-revision-id',
-          description: 'Download document by revision ID',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dID: {
-                type: 'string',
-                description: 'Document revision ID',
-              },
-              rendition: {
-                type: 'string',
-                description: 'Rendition type (optional)',
-              },
-              outputPath: {
-                type: 'string',
-                description: 'Local path to save the downloaded file',
-              },
-            },
-            required: ['dID', 'outputPath'],
-          },
-        },
-        {
-          name: 'update-document-by-revision-id',
-          description: 'Update document by revision ID',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dID: {
-                type: 'string',
-                description: 'Document revision ID',
-              },
-              metadata: {
-                type: 'object',
-                description: 'Updated metadata',
-              },
-              createPrimaryMetaFile: {
-                type: 'boolean',
-                description: 'Create primary meta file (optional)',
-              },
-              createAlternateMetaFile: {
-                type: 'boolean',
-                description: 'Create alternate meta file (optional)',
-              },
-            },
-            required: ['dID', 'metadata'],
-          },
-        },
-        {
-          name: 'resubmit-conversion',
-          description: 'Resubmit failed conversion',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              version: {
-                type: 'string',
-                description: 'Document version (optional)',
-              },
-              alwaysResubmit: {
-                type: 'boolean',
-                description: 'Always resubmit flag (optional)',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'resubmit-conversion-by-revision-id',
-          description: 'Resubmit failed conversion by revision ID',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dID: {
-                type: 'string',
-                description: 'Document revision ID',
-              },
-            },
-            required: ['dID'],
-          },
-        },
-        {
-          name: 'update-storage-tier',
-          description: 'Change storage tier for a document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              storageTier: {
-                type: 'string',
-                description: 'Storage tier',
-              },
-              version: {
-                type: 'string',
-                description: 'Document version (optional)',
-              },
-            },
-            required: ['dDocName', 'storageTier'],
-          },
-        },
-        {
-          name: 'update-storage-tier-by-revision-id',
-          description: 'Change storage tier by revision ID',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dID: {
-                type: 'string',
-                description: 'Document revision ID',
-              },
-              storageTier: {
-                type: 'string',
-                description: 'Storage tier',
-              },
-            },
-            required: ['dID', 'storageTier'],
-          },
-        },
-        {
-          name: 'restore-from-archive',
-          description: 'Restore document from archive',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name (dDocName)',
-              },
-              version: {
-                type: 'string',
-                description: 'Document version (optional)',
-              },
-              hours: {
-                type: 'number',
-                description: 'Hours to restore for (optional)',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'restore-from-archive-by-revision-id',
-          description: 'Restore document from archive by revision ID',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dID: {
-                type: 'string',
-                description: 'Document revision ID',
-              },
-              hours: {
-                type: 'number',
-                description: 'Hours to restore for (optional)',
-              },
-            },
-            required: ['dID'],
-          },
-        },
-        {
-          name: 'delete-folder',
-          description: 'Delete a folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-            },
-            required: ['fFolderGUID'],
-          },
-        },
-        {
-          name: 'get-folder-file-info',
-          description: 'Get file info in folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFileGUID: {
-                type: 'string',
-                description: 'File GUID',
-              },
-            },
-            required: ['fFileGUID'],
-          },
-        },
-        {
-          name: 'delete-folder-file',
-          description: 'Delete file in folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFileGUID: {
-                type: 'string',
-                description: 'File GUID',
-              },
-            },
-            required: ['fFileGUID'],
-          },
-        },
-        {
-          name: 'create-file-link',
-          description: 'Create file link in folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-              dDocName: {
-                type: 'string',
-                description: 'Document name',
-              },
-              fFileType: {
-                type: 'string',
-                description: 'File type (optional)',
-              },
-              ConflictResolutionMethod: {
-                type: 'string',
-                description: 'Conflict resolution method (optional)',
-              },
-            },
-            required: ['fFolderGUID', 'dDocName'],
-          },
-        },
-        {
-          name: 'get-folder-capabilities',
-          description: 'Test folder capabilities',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-              testedCapabilities: {
-                type: 'string',
-                description: 'Comma-separated list of capabilities to test',
-              },
-            },
-            required: ['fFolderGUID', 'testedCapabilities'],
-          },
-        },
-        {
-          name: 'create-public-link-for-file',
-          description: 'Create public link for file',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFileGUID: {
-                type: 'string',
-                description: 'File GUID',
-              },
-              publicLinkData: {
-                type: 'object',
-                description: 'Public link data',
-              },
-            },
-            required: ['fFileGUID', 'publicLinkData'],
-          },
-        },
-        {
-          name: 'get-public-links-for-file',
-          description: 'List public links for file',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFileGUID: {
-                type: 'string',
-                description: 'File GUID',
-              },
-              offset: {
-                type: 'number',
-                description: 'Offset for pagination (optional)',
-              },
-              limit: {
-                type: 'number',
-                description: 'Limit for pagination (optional)',
-              },
-            },
-            required: ['fFileGUID'],
-          },
-        },
-        {
-          name: 'create-public-link-for-folder',
-          description: 'Create public link for folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-              publicLinkData: {
-                type: 'object',
-                description: 'Public link data',
-              },
-            },
-            required: ['fFolderGUID', 'publicLinkData'],
-          },
-        },
-        {
-          name: 'get-public-links-for-folder',
-          description: 'List public links for folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-              offset: {
-                type: 'number',
-                description: 'Offset for pagination (optional)',
-              },
-              limit: {
-                type: 'number',
-                description: 'Limit for pagination (optional)',
-              },
-            },
-            required: ['fFolderGUID'],
-          },
-        },
-        {
-          name: 'get-public-link-info',
-          description: 'Get public link info',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dLinkID: {
-                type: 'string',
-                description: 'Link ID',
-              },
-            },
-            required: ['dLinkID'],
-          },
-        },
-        {
-          name: 'create-application-link',
-          description: 'Create application link',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-              applicationLinkData: {
-                type: 'object',
-                description: 'Application link data',
-              },
-            },
-            required: ['fFolderGUID', 'applicationLinkData'],
-          },
-        },
-        {
-          name: 'get-application-links-for-folder',
-          description: 'List application links for folder',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fFolderGUID: {
-                type: 'string',
-                description: 'Folder GUID',
-              },
-              offset: {
-                type: 'number',
-                description: 'Offset for pagination (optional)',
-              },
-              limit: {
-                type: 'number',
-                description: 'Limit for pagination (optional)',
-              },
-            },
-            required: ['fFolderGUID'],
-          },
-        },
-        {
-          name: 'get-application-link-info',
-          description: 'Get application link info',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dAppLinkID: {
-                type: 'string',
-                description: 'Application link ID',
-              },
-            },
-            required: ['dAppLinkID'],
-          },
-        },
-        {
-          name: 'delete-application-link',
-          description: 'Delete application link',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dAppLinkID: {
-                type: 'string',
-                description: 'Application link ID',
-              },
-            },
-            required: ['dAppLinkID'],
-          },
-        },
-        {
-          name: 'refresh-application-link-token',
-          description: 'Refresh application link access token',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dAppLinkID: {
-                type: 'string',
-                description: 'Application link ID',
-              },
-              refreshData: {
-                type: 'object',
-                description: 'Refresh token data',
-              },
-            },
-            required: ['dAppLinkID', 'refreshData'],
-          },
-        },
-        {
-          name: 'start-bulk-delete-job',
-          description: 'Start bulk delete job',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              jobRequest: {
-                type: 'object',
-                description: 'Job request data',
-              },
-            },
-            required: ['jobRequest'],
-          },
-        },
-        {
-          name: 'start-bulk-download-job',
-          description: 'Start bulk download job',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              jobRequest: {
-                type: 'object',
-                description: 'Job request data',
-              },
-            },
-            required: ['jobRequest'],
-          },
-        },
-        {
-          name: 'start-bulk-add-category-job',
-          description: 'Start bulk add category job',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              jobRequest: {
-                type: 'object',
-                description: 'Job request data',
-              },
-            },
-            required: ['jobRequest'],
-          },
-        },
-        {
-          name: 'start-bulk-remove-category-job',
-          description: 'Start bulk remove category job',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              jobRequest: {
-                type: 'object',
-                description: 'Job request data',
-              },
-            },
-            required: ['jobRequest'],
-          },
-        },
-        {
-          name: 'cancel-background-job',
-          description: 'Cancel a background job',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dJobID: {
-                type: 'string',
-                description: 'Job ID',
-              },
-            },
-            required: ['dJobID'],
-          },
-        },
-        {
-          name: 'get-background-job-status',
-          description: 'Get status of a background job',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dJobID: {
-                type: 'string',
-                description: 'Job ID',
-              },
-            },
-            required: ['dJobID'],
-          },
-        },
-        {
-          name: 'download-background-job-package',
-          description: 'Download background job package',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dJobID: {
-                type: 'string',
-                description: 'Job ID',
-              },
-              outputPath: {
-                type: 'string',
-                description: 'Local path to save the package',
-              },
-            },
-            required: ['dJobID', 'outputPath'],
-          },
-        },
-        {
-          name: 'create-taxonomy',
-          description: 'Create a taxonomy',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              taxonomyData: {
-                type: 'object',
-                description: 'Taxonomy creation data',
-              },
-            },
-            required: ['taxonomyData'],
-          },
-        },
-        {
-          name: 'get-taxonomy',
-          description: 'Get a taxonomy',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dTaxonomyGUID: {
-                type: 'string',
-                description: 'Taxonomy GUID',
-              },
-            },
-            required: ['dTaxonomyGUID'],
-          },
-        },
-        {
-          name: 'update-taxonomy',
-          description: 'Update a taxonomy',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dTaxonomyGUID: {
-                type: 'string',
-                description: 'Taxonomy GUID',
-              },
-              taxonomyData: {
-                type: 'object',
-                description: 'Taxonomy update data',
-              },
-            },
-            required: ['dTaxonomyGUID', 'taxonomyData'],
-          },
-        },
-        {
-          name: 'get-document-types',
-          description: 'List document types',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-          },
-        },
-        {
-          name: 'get-document-config-info',
-          description: 'Get configuration info',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              rowLimit: {
-                type: 'number',
-                description: 'Row limit (optional)',
-              },
-              includeResultSets: {
-                type: 'string',
-                description: 'Include result sets (optional)',
-              },
-            },
-          },
-        },
-        {
-          name: 'get-document-meta-info',
-          description: 'Get metadata fields info',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-          },
-        },
-        {
-          name: 'query-data-source',
-          description: 'Query data source',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dataSource: {
-                type: 'string',
-                description: 'Data source name',
-              },
-              whereClause: {
-                type: 'string',
-                description: 'Where clause (optional)',
-              },
-              orderClause: {
-                type: 'string',
-                description: 'Order clause (optional)',
-              },
-              maxRows: {
-                type: 'number',
-                description: 'Maximum rows (optional)',
-              },
-              startRow: {
-                type: 'number',
-                description: 'Start row (optional)',
-              },
-            },
-            required: ['dataSource'],
-          },
-        },
-        {
-          name: 'create-workflow',
-          description: 'Create a new workflow',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              workflowData: {
-                type: 'object',
-                description: 'Workflow data',
-              },
-            },
-            required: ['workflowData'],
-          },
-        },
-        {
-          name: 'get-workflow',
-          description: 'Get workflow information',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dWfName: {
-                type: 'string',
-                description: 'Workflow name',
-              },
-            },
-            required: ['dWfName'],
-          },
-        },
-        {
-          name: 'update-workflow',
-          description: 'Edit workflow',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dWfName: {
-                type: 'string',
-                description: 'Workflow name',
-              },
-              workflowData: {
-                type: 'object',
-                description: 'Workflow update data',
-              },
-            },
-            required: ['dWfName', 'workflowData'],
-          },
-        },
-        {
-          name: 'approve-workflow',
-          description: 'Approve workflow for document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'reject-workflow',
-          description: 'Reject workflow for document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name',
-              },
-              rejectMessage: {
-                type: 'string',
-                description: 'Rejection message (optional)',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'add-attachment',
-          description: 'Add attachment to document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name',
-              },
-              extRenditionName: {
-                type: 'string',
-                description: 'External rendition name',
-              },
-              filePath: {
-                type: 'string',
-                description: 'Path to attachment file',
-              },
-              extRenditionDescription: {
-                type: 'string',
-                description: 'External rendition description (optional)',
-              },
-              version: {
-                type: 'string',
-                description: 'Version (optional)',
-              },
-            },
-            required: ['dDocName', 'extRenditionName', 'filePath'],
-          },
-        },
-        {
-          name: 'get-attachments',
-          description: 'List attachments for document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name',
-              },
-            },
-            required: ['dDocName'],
-          },
-        },
-        {
-          name: 'download-attachment',
-          description: 'Download attachment',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name',
-              },
-              extRenditionName: {
-                type: 'string',
-                description: 'External rendition name',
-              },
-              outputPath: {
-                type: 'string',
-                description: 'Local path to save the attachment',
-              },
-            },
-            required: ['dDocName', 'extRenditionName', 'outputPath'],
-          },
-        },
-        {
-          name: 'delete-attachment',
-          description: 'Delete attachment',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dDocName: {
-                type: 'string',
-                description: 'Document name',
-              },
-              extRenditionName: {
-                type: 'string',
-                description: 'External rendition name',
-              },
-            },
-            required: ['dDocName', 'extRenditionName'],
-          },
-        },
-        {
-          name: 'build-search-query',
-          description: `Build a properly formatted search query for WebCenter Content. Use this BEFORE calling search-documents when you need to search by metadata fields or combine text with filters.
-
-METADATA FIELDS MAPPING:
-- Security Group → dSecurityGroup
-- Document Title → dDocTitle  
-- Document Name/Public ID → dDocName
-- Internal ID → dID
-- Author → dDocAuthor
-- Document Type → dDocType
-- Original Filename → dOriginalName
-- Creation Date → dInDate
-- Modified Date → dOutDate
-
-EXAMPLES:
-- "Find files by security group abc" → filters: {dSecurityGroup: {operator: "contains", value: "abc"}}
-- "Search documents by title contract" → filters: {dDocTitle: {operator: "contains", value: "contract"}}
-- "Find files by author john" → filters: {dDocAuthor: {operator: "contains", value: "john"}}
-- "Search for contract files in fishbowl security group" → text: "contract", filters: {dSecurityGroup: {operator: "contains", value: "fishbowl"}}`,
-          inputSchema: {
-            type: 'object',
-            properties: {
-              text: {
-                type: 'string',
-                description: 'Simple text to search for (optional)',
-              },
-              filters: {
-                type: 'object',
-                description: 'Metadata filters (optional)',
-                properties: {
-                  dSecurityGroup: {
-                    type: 'object',
-                    properties: {
-                      operator: {
-                        type: 'string',
-                        enum: ['contains', 'equals'],
-                        description: 'Filter operator',
-                      },
-                      value: {
-                        type: 'string',
-                        description: 'Filter value',
-                      },
-                    },
-                    required: ['operator', 'value'],
-                  },
-                  dDocAuthor: {
-                    type: 'object',
-                    properties: {
-                      operator: {
-                        type: 'string',
-                        enum: ['contains', 'equals'],
-                        description: 'Filter operator',
-                      },
-                      value: {
-                        type: 'string',
-                        description: 'Filter value',
-                      },
-                    },
-                    required: ['operator', 'value'],
-                  },
-                  dDocTitle: {
-                    type: 'object',
-                    properties: {
-                      operator: {
-                        type: 'string',
-                        enum: ['contains', 'equals'],
-                        description: 'Filter operator',
-                      },
-                      value: {
-                        type: 'string',
-                        description: 'Filter value',
-                      },
-                    },
-                    required: ['operator', 'value'],
-                  },
-                  dOriginalName: {
-                    type: 'object',
-                    properties: {
-                      operator: {
-                        type: 'string',
-                        enum: ['contains', 'equals'],
-                        description: 'Filter operator',
-                      },
-                      value: {
-                        type: 'string',
-                        description: 'Filter value',
-                      },
-                    },
-                    required: ['operator', 'value'],
-                  },
-                  dDocType: {
-                    type: 'object',
-                    properties: {
-                      operator: {
-                        type: 'string',
-                        enum: ['contains', 'equals'],
-                        description: 'Filter operator',
-                      },
-                      value: {
-                        type: 'string',
-                        description: 'Filter value',
-                      },
-                    },
-                    required: ['operator', 'value'],
-                  },
-                  dInDate: {
-                    type: 'object',
-                    properties: {
-                      operator: {
-                        type: 'string',
-                        enum: ['contains', 'equals'],
-                        description: 'Filter operator',
-                      },
-                      value: {
-                        type: 'string',
-                        description: 'Creation date (YYYY-MM-DD format)',
-                      },
-                    },
-                    required: ['operator', 'value'],
-                  },
-                  dOutDate: {
-                    type: 'object',
-                    properties: {
-                      operator: {
-                        type: 'string',
-                        enum: ['contains', 'equals'],
-                        description: 'Filter operator',
-                      },
-                      value: {
-                        type: 'string',
-                        description: 'Modified date (YYYY-MM-DD format)',
-                      },
-                    },
-                    required: ['operator', 'value'],
-                  },
-                },
-                additionalProperties: true,
-              },
-            },
-          },
-        },
-      ],
-    };
-  }
-
-  async handleResourcesList() {
-    return {
-      resources: [
-        {
-          uri: 'webcenter://documents',
-          name: 'WebCenter Documents',
-          description: 'Access to WebCenter Content documents',
-          mimeType: 'application/json',
-        },
-        {
-          uri: 'webcenter://folders',
-          name: 'WebCenter Folders',
-          description: 'Access to WebCenter Content folders',
-          mimeType: 'application/json',
-        },
-        {
-          uri: 'webcenter://work-in-progress',
-          name: 'Work in Progress',
-          description: 'Documents currently being worked on',
-          mimeType: 'application/json',
-        },
-      ],
-    };
-  }
-
-  async handleResourceRead(params) {
-    const { uri } = params;
-
-    try {
-      switch (uri) {
-        case 'webcenter://documents':
-          const searchResults = await this.getWccClient().searchDocuments('*', {
-            limit: 20
-          });
-          return {
-            contents: [
-              {
-                uri,
-                mimeType: 'application/json',
-                text: JSON.stringify(searchResults, null, 2),
-              },
-            ],
-          };
-
-        case 'webcenter://folders':
-          return {
-            contents: [
-              {
-                uri,
-                mimeType: 'application/json',
-                text: JSON.stringify({ message: 'Use search-folders tool to find specific folders' }, null, 2),
-              },
-            ],
-          };
-
-        case 'webcenter://work-in-progress':
-          const wipItems = await this.getWccClient().listWorkInProgress();
-          return {
-            contents: [
-              {
-                uri,
-                mimeType: 'application/json',
-                text: JSON.stringify(wipItems, null, 2),
-              },
-            ],
-          };
-
-        default:
-          throw new Error(`Unknown resource: ${uri}`);
-      }
-    } catch (error) {
-      throw new Error(`Failed to read resource ${uri}: ${error.message}`);
-    }
-  }
-
-  async handleToolCall(params) {
-    const { name, arguments: args } = params;
-
-    try {
-      switch (name) {
-        case 'search-documents':
-          const searchOptions = {
-            limit: args.limit || 10,
-          };
-          if (args.orderBy) {
-            searchOptions.orderBy = args.orderBy;
-          }
-          const searchResults = await this.getWccClient().searchDocuments(
-            args.query || '*',
-            searchOptions
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(searchResults, null, 2),
-              },
-            ],
-          };
-
-        case 'get-document-metadata':
-          const metadata = await this.getWccClient().getDocumentMetadata(args.dDocName);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(metadata, null, 2),
-              },
-            ],
-          };
-
-        case 'download-document':
-          const stream = await this.getWccClient().downloadDocument(
-            args.dDocName,
-            args.version,
-            args.rendition
-          );
-          
-          const outputDir = path.dirname(args.outputPath);
-          if (!existsSync(outputDir)) {
-            mkdirSync(outputDir, { recursive: true });
-          }
-
-          const chunks = [];
-          for await (const chunk of stream) {
-            chunks.push(chunk);
-          }
-          const buffer = Buffer.concat(chunks);
-          writeFileSync(args.outputPath, buffer);
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Document downloaded successfully to: ${args.outputPath}`,
-              },
-            ],
-          };
-
-        case 'update-document-metadata':
-          const updateResult = await this.getWccClient().updateDocumentMetadata(
-            args.dDocName,
-            args.metadata,
-            args.version,
-            args.createPrimaryMetaFile,
-            args.createAlternateMetaFile
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(updateResult, null, 2),
-              },
-            ],
-          };
-
-        case 'create-folder':
-          const folderResult = await this.getWccClient().createFolder(
-            args.parentFolderGUID,
-            args.folderName,
-            null, // fTargetGUID
-            null, // ConflictResolutionMethod
-            null  // isForceInheritSecurityForFolderCreation
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(folderResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-folder-info':
-          const folderInfo = await this.getWccClient().getFolderInfo(args.fFolderGUID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(folderInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'search-in-folder':
-          const folderSearchResults = await this.getWccClient().searchInFolder(
-            args.fFolderGUID,
-            {
-              query: args.query,
-              limit: args.limit || 10,
-            }
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(folderSearchResults, null, 2),
-              },
-            ],
-          };
-
-        case 'checkout-document':
-          const checkoutResult = await this.getWccClient().checkoutDocument(args.dDocName);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(checkoutResult, null, 2),
-              },
-            ],
-          };
-
-        case 'reverse-checkout':
-          const reverseCheckoutResult = await this.getWccClient().reverseCheckout(args.dDocName);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(reverseCheckoutResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-document-capabilities':
-          const capabilities = await this.getWccClient().getDocumentCapabilities(args.dDocName, args.testedCapabilities);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(capabilities, null, 2),
-              },
-            ],
-          };
-
-        case 'delete-document':
-          const deleteResult = await this.getWccClient().deleteDocument(args.dDocName, args.version);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(deleteResult, null, 2),
-              },
-            ],
-          };
-
-        case 'upload-document-revision':
-          const revisionResult = await this.getWccClient().uploadDocumentRevision(args.dDocName, args.filePath, args.metadata);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(revisionResult, null, 2),
-              },
-            ],
-          };
-
-        case 'download-document-by-revision-id':
-          const revisionStream = await this.getWccClient().downloadDocumentByRevisionId(args.dID, args.rendition);
-          
-          const revisionOutputDir = path.dirname(args.outputPath);
-          if (!existsSync(revisionOutputDir)) {
-            mkdirSync(revisionOutputDir, { recursive: true });
-          }
-
-          const revisionChunks = [];
-          for await (const chunk of revisionStream) {
-            revisionChunks.push(chunk);
-          }
-          const revisionBuffer = Buffer.concat(revisionChunks);
-          writeFileSync(args.outputPath, revisionBuffer);
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Document downloaded successfully to: ${args.outputPath}`,
-              },
-            ],
-          };
-
-        case 'update-document-by-revision-id':
-          const updateByIdResult = await this.getWccClient().updateDocumentByRevisionId(
-            args.dID,
-            args.metadata,
-            args.createPrimaryMetaFile,
-            args.createAlternateMetaFile
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(updateByIdResult, null, 2),
-              },
-            ],
-          };
-
-        case 'resubmit-conversion':
-          const resubmitResult = await this.getWccClient().resubmitConversion(
-            args.dDocName,
-            args.version,
-            args.alwaysResubmit
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(resubmitResult, null, 2),
-              },
-            ],
-          };
-
-        case 'resubmit-conversion-by-revision-id':
-          const resubmitByIdResult = await this.getWccClient().resubmitConversionByRevisionId(args.dID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(resubmitByIdResult, null, 2),
-              },
-            ],
-          };
-
-        case 'update-storage-tier':
-          const storageResult = await this.getWccClient().updateStorageTier(
-            args.dDocName,
-            args.storageTier,
-            args.version
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(storageResult, null, 2),
-              },
-            ],
-          };
-
-        case 'update-storage-tier-by-revision-id':
-          const storageByIdResult = await this.getWccClient().updateStorageTierByRevisionId(
-            args.dID,
-            args.storageTier
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(storageByIdResult, null, 2),
-              },
-            ],
-          };
-
-        case 'restore-from-archive':
-          const restoreResult = await this.getWccClient().restoreFromArchive(
-            args.dDocName,
-            args.version,
-            args.hours
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(restoreResult, null, 2),
-              },
-            ],
-          };
-
-        case 'restore-from-archive-by-revision-id':
-          const restoreByIdResult = await this.getWccClient().restoreFromArchiveByRevisionId(
-            args.dID,
-            args.hours
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(restoreByIdResult, null, 2),
-              },
-            ],
-          };
-
-        case 'delete-folder':
-          const deleteFolderResult = await this.getWccClient().deleteFolder(args.fFolderGUID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(deleteFolderResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-folder-file-info':
-          const folderFileInfo = await this.getWccClient().getFolderFileInfo(args.fFileGUID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(folderFileInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'delete-folder-file':
-          const deleteFolderFileResult = await this.getWccClient().deleteFolderFile(args.fFileGUID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(deleteFolderFileResult, null, 2),
-              },
-            ],
-          };
-
-        case 'create-file-link':
-          const fileLinkResult = await this.getWccClient().createFileLink(
-            args.fFolderGUID,
-            args.dDocName,
-            args.fFileType,
-            args.ConflictResolutionMethod
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(fileLinkResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-folder-capabilities':
-          const folderCapabilities = await this.getWccClient().getFolderCapabilities(
-            args.fFolderGUID,
-            args.testedCapabilities
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(folderCapabilities, null, 2),
-              },
-            ],
-          };
-
-        case 'create-public-link-for-file':
-          const publicLinkFileResult = await this.getWccClient().createPublicLinkForFile(
-            args.fFileGUID,
-            args.publicLinkData
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(publicLinkFileResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-public-links-for-file':
-          const publicLinksFile = await this.getWccClient().getPublicLinksForFile(
-            args.fFileGUID,
-            args.offset,
-            args.limit
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(publicLinksFile, null, 2),
-              },
-            ],
-          };
-
-        case 'create-public-link-for-folder':
-          const publicLinkFolderResult = await this.getWccClient().createPublicLinkForFolder(
-            args.fFolderGUID,
-            args.publicLinkData
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(publicLinkFolderResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-public-links-for-folder':
-          const publicLinksFolder = await this.getWccClient().getPublicLinksForFolder(
-            args.fFolderGUID,
-            args.offset,
-            args.limit
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(publicLinksFolder, null, 2),
-              },
-            ],
-          };
-
-        case 'get-public-link-info':
-          const publicLinkInfo = await this.getWccClient().getPublicLinkInfo(args.dLinkID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(publicLinkInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'create-application-link':
-          const appLinkResult = await this.getWccClient().createApplicationLink(
-            args.fFolderGUID,
-            args.applicationLinkData
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(appLinkResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-application-links-for-folder':
-          const appLinksFolder = await this.getWccClient().getApplicationLinksForFolder(
-            args.fFolderGUID,
-            args.offset,
-            args.limit
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(appLinksFolder, null, 2),
-              },
-            ],
-          };
-
-        case 'get-application-link-info':
-          const appLinkInfo = await this.getWccClient().getApplicationLinkInfo(args.dAppLinkID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(appLinkInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'delete-application-link':
-          const deleteAppLinkResult = await this.getWccClient().deleteApplicationLink(args.dAppLinkID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(deleteAppLinkResult, null, 2),
-              },
-            ],
-          };
-
-        case 'refresh-application-link-token':
-          const refreshTokenResult = await this.getWccClient().refreshApplicationLinkToken(
-            args.dAppLinkID,
-            args.refreshData
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(refreshTokenResult, null, 2),
-              },
-            ],
-          };
-
-        case 'start-bulk-delete-job':
-          const bulkDeleteResult = await this.getWccClient().startBulkDeleteJob(args.jobRequest);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(bulkDeleteResult, null, 2),
-              },
-            ],
-          };
-
-        case 'start-bulk-download-job':
-          const bulkDownloadResult = await this.getWccClient().startBulkDownloadJob(args.jobRequest);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(bulkDownloadResult, null, 2),
-              },
-            ],
-          };
-
-        case 'start-bulk-add-category-job':
-          const bulkAddCategoryResult = await this.getWccClient().startBulkAddCategoryJob(args.jobRequest);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(bulkAddCategoryResult, null, 2),
-              },
-            ],
-          };
-
-        case 'start-bulk-remove-category-job':
-          const bulkRemoveCategoryResult = await this.getWccClient().startBulkRemoveCategoryJob(args.jobRequest);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(bulkRemoveCategoryResult, null, 2),
-              },
-            ],
-          };
-
-        case 'cancel-background-job':
-          const cancelJobResult = await this.getWccClient().cancelBackgroundJob(args.dJobID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(cancelJobResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-background-job-status':
-          const jobStatus = await this.getWccClient().getBackgroundJobStatus(args.dJobID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(jobStatus, null, 2),
-              },
-            ],
-          };
-
-        case 'download-background-job-package':
-          const packageStream = await this.getWccClient().downloadBackgroundJobPackage(args.dJobID);
-          
-          const packageDir = path.dirname(args.outputPath);
-          if (!existsSync(packageDir)) {
-            mkdirSync(packageDir, { recursive: true });
-          }
-
-          const packageChunks = [];
-          for await (const chunk of packageStream) {
-            packageChunks.push(chunk);
-          }
-          const packageBuffer = Buffer.concat(packageChunks);
-          writeFileSync(args.outputPath, packageBuffer);
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Package downloaded successfully to: ${args.outputPath}`,
-              },
-            ],
-          };
-
-        case 'create-taxonomy':
-          const taxonomyResult = await this.getWccClient().createTaxonomy(args.taxonomyData);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(taxonomyResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-taxonomy':
-          const taxonomyInfo = await this.getWccClient().getTaxonomy(args.dTaxonomyGUID);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(taxonomyInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'update-taxonomy':
-          const updateTaxonomyResult = await this.getWccClient().updateTaxonomy(
-            args.dTaxonomyGUID,
-            args.taxonomyData
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(updateTaxonomyResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-document-types':
-          const docTypes = await this.getWccClient().getDocumentTypes();
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(docTypes, null, 2),
-              },
-            ],
-          };
-
-        case 'get-document-config-info':
-          const configInfo = await this.getWccClient().getDocumentConfigInfo(
-            args.rowLimit,
-            args.includeResultSets
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(configInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'get-document-meta-info':
-          const metaInfo = await this.getWccClient().getDocumentMetaInfo();
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(metaInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'query-data-source':
-          const dataSourceResult = await this.getWccClient().queryDataSource(
-            args.dataSource,
-            args.whereClause,
-            args.orderClause,
-            args.maxRows,
-            args.startRow
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(dataSourceResult, null, 2),
-              },
-            ],
-          };
-
-        case 'create-workflow':
-          const workflowResult = await this.getWccClient().createWorkflow(args.workflowData);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(workflowResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-workflow':
-          const workflowInfo = await this.getWccClient().getWorkflow(args.dWfName);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(workflowInfo, null, 2),
-              },
-            ],
-          };
-
-        case 'update-workflow':
-          const updateWorkflowResult = await this.getWccClient().updateWorkflow(
-            args.dWfName,
-            args.workflowData
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(updateWorkflowResult, null, 2),
-              },
-            ],
-          };
-
-        case 'approve-workflow':
-          const approveResult = await this.getWccClient().approveWorkflow(args.dDocName);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(approveResult, null, 2),
-              },
-            ],
-          };
-
-        case 'reject-workflow':
-          const rejectResult = await this.getWccClient().rejectWorkflow(
-            args.dDocName,
-            args.rejectMessage
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(rejectResult, null, 2),
-              },
-            ],
-          };
-
-        case 'add-attachment':
-          const attachmentResult = await this.getWccClient().addAttachment(
-            args.dDocName,
-            args.extRenditionName,
-            args.filePath,
-            args.extRenditionDescription,
-            args.version
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(attachmentResult, null, 2),
-              },
-            ],
-          };
-
-        case 'get-attachments':
-          const attachments = await this.getWccClient().getAttachments(args.dDocName);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(attachments, null, 2),
-              },
-            ],
-          };
-
-        case 'download-attachment':
-          const attachmentStream = await this.getWccClient().downloadAttachment(
-            args.dDocName,
-            args.extRenditionName
-          );
-          
-          const attachmentDir = path.dirname(args.outputPath);
-          if (!existsSync(attachmentDir)) {
-            mkdirSync(attachmentDir, { recursive: true });
-          }
-
-          const attachmentChunks = [];
-          for await (const chunk of attachmentStream) {
-            attachmentChunks.push(chunk);
-          }
-          const attachmentBuffer = Buffer.concat(attachmentChunks);
-          writeFileSync(args.outputPath, attachmentBuffer);
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Attachment downloaded successfully to: ${args.outputPath}`,
-              },
-            ],
-          };
-
-        case 'delete-attachment':
-          const deleteAttachmentResult = await this.getWccClient().deleteAttachment(
-            args.dDocName,
-            args.extRenditionName
-          );
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(deleteAttachmentResult, null, 2),
-              },
-            ],
-          };
-
-        case 'build-search-query':
-          const formattedQuery = this.getWccClient().buildSearchQuery(args);
-          return {
-            content: [
-              {
-                type: 'text',
-                text: formattedQuery,
-              },
-            ],
-          };
-
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error executing tool ${name}: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
-  }
-
-  setupHandlers() {
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
-      return {
-        resources: [
-          {
-            uri: 'webcenter://documents',
-            name: 'WebCenter Documents',
-            description: 'Access to WebCenter Content documents',
-            mimeType: 'application/json',
-          },
-          {
-            uri: 'webcenter://folders',
-            name: 'WebCenter Folders',
-            description: 'Access to WebCenter Content folders',
-            mimeType: 'application/json',
-          },
-          {
-            uri: 'webcenter://work-in-progress',
-            name: 'Work in Progress',
-            description: 'Documents currently being worked on',
-            mimeType: 'application/json',
-          },
-        ],
-      };
-    });
-
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-      const { uri } = request.params;
-
-      try {
-        switch (uri) {
-          case 'webcenter://documents':
-            // Return recent documents or search results
-            const searchResults = await this.getWccClient().searchDocuments('*', {
-              limit: 20
-            });
-            return {
-              contents: [
-                {
-                  uri,
-                  mimeType: 'application/json',
-                  text: JSON.stringify(searchResults, null, 2),
-                },
-              ],
-            };
-
-          case 'webcenter://folders':
-            // This would need a specific folder GUID in a real implementation
-            // For now, return a placeholder
-            return {
-              contents: [
-                {
-                  uri,
-                  mimeType: 'application/json',
-                  text: JSON.stringify({ message: 'Use search-folders tool to find specific folders' }, null, 2),
-                },
-              ],
-            };
-
-          case 'webcenter://work-in-progress':
-            const wipItems = await this.getWccClient().listWorkInProgress();
-            return {
-              contents: [
-                {
-                  uri,
-                  mimeType: 'application/json',
-                  text: JSON.stringify(wipItems, null, 2),
-                },
-              ],
-            };
-
-          default:
-            throw new Error(`Unknown resource: ${uri}`);
-        }
-      } catch (error) {
-        throw new Error(`Failed to read resource ${uri}: ${error.message}`);
-      }
-    });
-
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: 'search-documents',
-            description: 'Search for documents in WebCenter Content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'Search query string',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of results to return',
-                  default: 10,
-                },
-                orderBy: {
-                  type: 'string',
-                  description: 'Sort order (e.g., "dInDate desc")',
-                },
-              },
-              required: ['query'],
-            },
-          },
-          {
-            name: 'get-document-metadata',
-            description: 'Get metadata for a specific document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name (dDocName)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'download-document',
-            description: 'Download a document from WebCenter Content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name (dDocName)',
-                },
-                version: {
-                  type: 'string',
-                  description: 'Document version (optional)',
-                },
-                rendition: {
-                  type: 'string',
-                  description: 'Rendition type (optional)',
-                },
-                outputPath: {
-                  type: 'string',
-                  description: 'Local path to save the downloaded file',
-                },
-              },
-              required: ['dDocName', 'outputPath'],
-            },
-          },
-          {
-            name: 'update-document-metadata',
-            description: 'Update metadata for a document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name (dDocName)',
-                },
-                metadata: {
-                  type: 'object',
-                  description: 'Metadata values to update',
-                },
-                version: {
-                  type: 'string',
-                  description: 'Document version (optional)',
-                },
-                createPrimaryMetaFile: {
-                  type: 'boolean',
-                  description: 'Create primary meta file (optional)',
-                },
-                createAlternateMetaFile: {
-                  type: 'boolean',
-                  description: 'Create alternate meta file (optional)',
-                },
-              },
-              required: ['dDocName', 'metadata'],
-            },
-          },
-          {
-            name: 'create-folder',
-            description: 'Create a new folder in WebCenter Content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                folderName: {
-                  type: 'string',
-                  description: 'Name of the folder to create',
-                },
-                parentFolderGUID: {
-                  type: 'string',
-                  description: 'Parent folder GUID (optional)',
-                },
-                description: {
-                  type: 'string',
-                  description: 'Folder description (optional)',
-                },
-              },
-              required: ['folderName'],
-            },
-          },
-          {
-            name: 'get-folder-info',
-            description: 'Get information about a specific folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-              },
-              required: ['fFolderGUID'],
-            },
-          },
-          {
-            name: 'search-in-folder',
-            description: 'Search for items within a specific folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID to search within',
-                },
-                query: {
-                  type: 'string',
-                  description: 'Search query (optional)',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of results',
-                  default: 10,
-                },
-              },
-              required: ['fFolderGUID'],
-            },
-          },
-          {
-            name: 'checkout-document',
-            description: 'Checkout a document for editing',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name (dDocName)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'reverse-checkout',
-            description: 'Reverse checkout (undo checkout) of a document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name (dDocName)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'get-document-capabilities',
-            description: 'Get capabilities/permissions for a document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name (dDocName)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'delete-document',
-            description: 'Delete a document from WebCenter Content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name (dDocName)',
-                },
-                version: {
-                  type: 'string',
-                  description: 'Document version (optional)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'build-search-query',
-            description: `Build a properly formatted search query for WebCenter Content. Use this BEFORE calling search-documents when you need to search by metadata fields or combine text with filters.
-
-METADATA FIELDS MAPPING:
-- Security Group → dSecurityGroup
-- Document Title → dDocTitle  
-- Document Name/Public ID → dDocName
-- Internal ID → dID
-- Author → dDocAuthor
-- Document Type → dDocType
-- Original Filename → dOriginalName
-- Creation Date → dInDate
-- Modified Date → dOutDate
-
-EXAMPLES:
-- "Find files by security group abc" → filters: {dSecurityGroup: {operator: "contains", value: "abc"}}
-- "Search documents by title contract" → filters: {dDocTitle: {operator: "contains", value: "contract"}}
-- "Find files by author john" → filters: {dDocAuthor: {operator: "contains", value: "john"}}
-- "Search for contract files in fishbowl security group" → text: "contract", filters: {dSecurityGroup: {operator: "contains", value: "fishbowl"}}`,
-            inputSchema: {
-              type: 'object',
-              properties: {
-                text: {
-                  type: 'string',
-                  description: 'Simple text to search for (optional)',
-                },
-                filters: {
-                  type: 'object',
-                  description: 'Metadata filters (optional)',
-                  properties: {
-                    dSecurityGroup: {
-                      type: 'object',
-                      properties: {
-                        operator: {
-                          type: 'string',
-                          enum: ['contains', 'equals'],
-                          description: 'Filter operator',
-                        },
-                        value: {
-                          type: 'string',
-                          description: 'Filter value',
-                        },
-                      },
-                      required: ['operator', 'value'],
-                    },
-                    dDocAuthor: {
-                      type: 'object',
-                      properties: {
-                        operator: {
-                          type: 'string',
-                          enum: ['contains', 'equals'],
-                          description: 'Filter operator',
-                        },
-                        value: {
-                          type: 'string',
-                          description: 'Filter value',
-                        },
-                      },
-                      required: ['operator', 'value'],
-                    },
-                    dDocTitle: {
-                      type: 'object',
-                      properties: {
-                        operator: {
-                          type: 'string',
-                          enum: ['contains', 'equals'],
-                          description: 'Filter operator',
-                        },
-                        value: {
-                          type: 'string',
-                          description: 'Filter value',
-                        },
-                      },
-                      required: ['operator', 'value'],
-                    },
-                    dOriginalName: {
-                      type: 'object',
-                      properties: {
-                        operator: {
-                          type: 'string',
-                          enum: ['contains', 'equals'],
-                          description: 'Filter operator',
-                        },
-                        value: {
-                          type: 'string',
-                          description: 'Filter value',
-                        },
-                      },
-                      required: ['operator', 'value'],
-                    },
-                    dDocType: {
-                      type: 'object',
-                      properties: {
-                        operator: {
-                          type: 'string',
-                          enum: ['contains', 'equals'],
-                          description: 'Filter operator',
-                        },
-                        value: {
-                          type: 'string',
-                          description: 'Filter value',
-                        },
-                      },
-                      required: ['operator', 'value'],
-                    },
-                    dInDate: {
-                      type: 'object',
-                      properties: {
-                        operator: {
-                          type: 'string',
-                          enum: ['contains', 'equals'],
-                          description: 'Filter operator',
-                        },
-                        value: {
-                          type: 'string',
-                          description: 'Creation date (YYYY-MM-DD format)',
-                        },
-                      },
-                      required: ['operator', 'value'],
-                    },
-                    dOutDate: {
-                      type: 'object',
-                      properties: {
-                        operator: {
-                          type: 'string',
-                          enum: ['contains', 'equals'],
-                          description: 'Filter operator',
-                        },
-                        value: {
-                          type: 'string',
-                          description: 'Modified date (YYYY-MM-DD format)',
-                        },
-                      },
-                      required: ['operator', 'value'],
-                    },
-                  },
-                  additionalProperties: true,
-                },
-              },
-            },
-          },
-          {
-            name: 'upload-document-revision',
-            description: 'Upload a new revision of a document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                filePath: {
-                  type: 'string',
-                  description: 'Path to the file to upload',
-                },
-                metadata: {
-                  type: 'object',
-                  description: 'Document metadata',
-                },
-              },
-              required: ['dDocName', 'filePath', 'metadata'],
-            },
-          },
-          {
-            name: 'download-document-by-revision-id',
-            description: 'Download document by revision ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dID: {
-                  type: 'string',
-                  description: 'Document revision ID',
-                },
-                rendition: {
-                  type: 'string',
-                  description: 'Rendition type (optional)',
-                },
-                outputPath: {
-                  type: 'string',
-                  description: 'Local path to save the downloaded file',
-                },
-              },
-              required: ['dID', 'outputPath'],
-            },
-          },
-          {
-            name: 'update-document-by-revision-id',
-            description: 'Update document by revision ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dID: {
-                  type: 'string',
-                  description: 'Document revision ID',
-                },
-                metadata: {
-                  type: 'object',
-                  description: 'Updated metadata',
-                },
-                createPrimaryMetaFile: {
-                  type: 'boolean',
-                  description: 'Create primary meta file (optional)',
-                },
-                createAlternateMetaFile: {
-                  type: 'boolean',
-                  description: 'Create alternate meta file (optional)',
-                },
-              },
-              required: ['dID', 'metadata'],
-            },
-          },
-          {
-            name: 'resubmit-conversion',
-            description: 'Resubmit failed conversion',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                version: {
-                  type: 'string',
-                  description: 'Document version (optional)',
-                },
-                alwaysResubmit: {
-                  type: 'boolean',
-                  description: 'Always resubmit flag (optional)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'resubmit-conversion-by-revision-id',
-            description: 'Resubmit failed conversion by revision ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dID: {
-                  type: 'string',
-                  description: 'Document revision ID',
-                },
-              },
-              required: ['dID'],
-            },
-          },
-          {
-            name: 'update-storage-tier',
-            description: 'Change storage tier',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                storageTier: {
-                  type: 'string',
-                  description: 'Storage tier',
-                },
-                version: {
-                  type: 'string',
-                  description: 'Document version (optional)',
-                },
-              },
-              required: ['dDocName', 'storageTier'],
-            },
-          },
-          {
-            name: 'update-storage-tier-by-revision-id',
-            description: 'Change storage tier by revision ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dID: {
-                  type: 'string',
-                  description: 'Document revision ID',
-                },
-                storageTier: {
-                  type: 'string',
-                  description: 'Storage tier',
-                },
-              },
-              required: ['dID', 'storageTier'],
-            },
-          },
-          {
-            name: 'restore-from-archive',
-            description: 'Restore from archive',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                version: {
-                  type: 'string',
-                  description: 'Document version (optional)',
-                },
-                hours: {
-                  type: 'number',
-                  description: 'Hours to restore for (optional)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'restore-from-archive-by-revision-id',
-            description: 'Restore from archive by revision ID',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dID: {
-                  type: 'string',
-                  description: 'Document revision ID',
-                },
-                hours: {
-                  type: 'number',
-                  description: 'Hours to restore for (optional)',
-                },
-              },
-              required: ['dID'],
-            },
-          },
-          {
-            name: 'delete-folder',
-            description: 'Delete a folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-              },
-              required: ['fFolderGUID'],
-            },
-          },
-          {
-            name: 'get-folder-file-info',
-            description: 'Get file info in folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFileGUID: {
-                  type: 'string',
-                  description: 'File GUID',
-                },
-              },
-              required: ['fFileGUID'],
-            },
-          },
-          {
-            name: 'delete-folder-file',
-            description: 'Delete file in folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFileGUID: {
-                  type: 'string',
-                  description: 'File GUID',
-                },
-              },
-              required: ['fFileGUID'],
-            },
-          },
-          {
-            name: 'create-file-link',
-            description: 'Create file link',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                fFileType: {
-                  type: 'string',
-                  description: 'File type (optional)',
-                },
-                ConflictResolutionMethod: {
-                  type: 'string',
-                  description: 'Conflict resolution method (optional)',
-                },
-              },
-              required: ['fFolderGUID', 'dDocName'],
-            },
-          },
-          {
-            name: 'get-folder-capabilities',
-            description: 'Test folder capabilities',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-                testedCapabilities: {
-                  type: 'string',
-                  description: 'Comma-separated list of capabilities to test',
-                },
-              },
-              required: ['fFolderGUID', 'testedCapabilities'],
-            },
-          },
-          {
-            name: 'create-public-link-for-file',
-            description: 'Create public link for file',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFileGUID: {
-                  type: 'string',
-                  description: 'File GUID',
-                },
-                publicLinkData: {
-                  type: 'object',
-                  description: 'Public link data',
-                },
-              },
-              required: ['fFileGUID', 'publicLinkData'],
-            },
-          },
-          {
-            name: 'get-public-links-for-file',
-            description: 'List public links for file',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFileGUID: {
-                  type: 'string',
-                  description: 'File GUID',
-                },
-                offset: {
-                  type: 'number',
-                  description: 'Offset for pagination (optional)',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Limit for pagination (optional)',
-                },
-              },
-              required: ['fFileGUID'],
-            },
-          },
-          {
-            name: 'create-public-link-for-folder',
-            description: 'Create public link for folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-                publicLinkData: {
-                  type: 'object',
-                  description: 'Public link data',
-                },
-              },
-              required: ['fFolderGUID', 'publicLinkData'],
-            },
-          },
-          {
-            name: 'get-public-links-for-folder',
-            description: 'List public links for folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-                offset: {
-                  type: 'number',
-                  description: 'Offset for pagination (optional)',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Limit for pagination (optional)',
-                },
-              },
-              required: ['fFolderGUID'],
-            },
-          },
-          {
-            name: 'get-public-link-info',
-            description: 'Get public link info',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dLinkID: {
-                  type: 'string',
-                  description: 'Link ID',
-                },
-              },
-              required: ['dLinkID'],
-            },
-          },
-          {
-            name: 'create-application-link',
-            description: 'Create application link',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-                applicationLinkData: {
-                  type: 'object',
-                  description: 'Application link data',
-                },
-              },
-              required: ['fFolderGUID', 'applicationLinkData'],
-            },
-          },
-          {
-            name: 'get-application-links-for-folder',
-            description: 'List application links for folder',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                fFolderGUID: {
-                  type: 'string',
-                  description: 'Folder GUID',
-                },
-                offset: {
-                  type: 'number',
-                  description: 'Offset for pagination (optional)',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Limit for pagination (optional)',
-                },
-              },
-              required: ['fFolderGUID'],
-            },
-          },
-          {
-            name: 'get-application-link-info',
-            description: 'Get application link info',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dAppLinkID: {
-                  type: 'string',
-                  description: 'Application link ID',
-                },
-              },
-              required: ['dAppLinkID'],
-            },
-          },
-          {
-            name: 'delete-application-link',
-            description: 'Delete application link',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dAppLinkID: {
-                  type: 'string',
-                  description: 'Application link ID',
-                },
-              },
-              required: ['dAppLinkID'],
-            },
-          },
-          {
-            name: 'refresh-application-link-token',
-            description: 'Refresh applink access token',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dAppLinkID: {
-                  type: 'string',
-                  description: 'Application link ID',
-                },
-                refreshData: {
-                  type: 'object',
-                  description: 'Refresh token data',
-                },
-              },
-              required: ['dAppLinkID', 'refreshData'],
-            },
-          },
-          {
-            name: 'start-bulk-delete-job',
-            description: 'Start bulk delete job',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                jobRequest: {
-                  type: 'object',
-                  description: 'Job request data',
-                },
-              },
-              required: ['jobRequest'],
-            },
-          },
-          {
-            name: 'start-bulk-download-job',
-            description: 'Start bulk download job',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                jobRequest: {
-                  type: 'object',
-                  description: 'Job request data',
-                },
-              },
-              required: ['jobRequest'],
-            },
-          },
-          {
-            name: 'start-bulk-add-category-job',
-            description: 'Start bulk add category job',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                jobRequest: {
-                  type: 'object',
-                  description: 'Job request data',
-                },
-              },
-              required: ['jobRequest'],
-            },
-          },
-          {
-            name: 'start-bulk-remove-category-job',
-            description: 'Start bulk remove category job',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                jobRequest: {
-                  type: 'object',
-                  description: 'Job request data',
-                },
-              },
-              required: ['jobRequest'],
-            },
-          },
-          {
-            name: 'cancel-background-job',
-            description: 'Cancel a background job',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dJobID: {
-                  type: 'string',
-                  description: 'Job ID',
-                },
-              },
-              required: ['dJobID'],
-            },
-          },
-          {
-            name: 'get-background-job-status',
-            description: 'Get status of a background job',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dJobID: {
-                  type: 'string',
-                  description: 'Job ID',
-                },
-              },
-              required: ['dJobID'],
-            },
-          },
-          {
-            name: 'download-background-job-package',
-            description: 'Download background job package',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dJobID: {
-                  type: 'string',
-                  description: 'Job ID',
-                },
-                outputPath: {
-                  type: 'string',
-                  description: 'Local path to save the package',
-                },
-              },
-              required: ['dJobID', 'outputPath'],
-            },
-          },
-          {
-            name: 'create-taxonomy',
-            description: 'Create a taxonomy',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                taxonomyData: {
-                  type: 'object',
-                  description: 'Taxonomy creation data',
-                },
-              },
-              required: ['taxonomyData'],
-            },
-          },
-          {
-            name: 'get-taxonomy',
-            description: 'Get a taxonomy',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dTaxonomyGUID: {
-                  type: 'string',
-                  description: 'Taxonomy GUID',
-                },
-              },
-              required: ['dTaxonomyGUID'],
-            },
-          },
-          {
-            name: 'update-taxonomy',
-            description: 'Update a taxonomy',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dTaxonomyGUID: {
-                  type: 'string',
-                  description: 'Taxonomy GUID',
-                },
-                taxonomyData: {
-                  type: 'object',
-                  description: 'Taxonomy update data',
-                },
-              },
-              required: ['dTaxonomyGUID', 'taxonomyData'],
-            },
-          },
-          {
-            name: 'get-document-types',
-            description: 'List document types',
-            inputSchema: {
-              type: 'object',
-              properties: {},
-            },
-          },
-          {
-            name: 'get-document-config-info',
-            description: 'Get configuration info',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                rowLimit: {
-                  type: 'number',
-                  description: 'Row limit (optional)',
-                },
-                includeResultSets: {
-                  type: 'string',
-                  description: 'Include result sets (optional)',
-                },
-              },
-            },
-          },
-          {
-            name: 'get-document-meta-info',
-            description: 'Get metadata fields info',
-            inputSchema: {
-              type: 'object',
-              properties: {},
-            },
-          },
-          {
-            name: 'query-data-source',
-            description: 'Query data source',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dataSource: {
-                  type: 'string',
-                  description: 'Data source name',
-                },
-                whereClause: {
-                  type: 'string',
-                  description: 'Where clause (optional)',
-                },
-                orderClause: {
-                  type: 'string',
-                  description: 'Order clause (optional)',
-                },
-                maxRows: {
-                  type: 'number',
-                  description: 'Maximum rows (optional)',
-                },
-                startRow: {
-                  type: 'number',
-                  description: 'Start row (optional)',
-                },
-              },
-              required: ['dataSource'],
-            },
-          },
-          {
-            name: 'create-workflow',
-            description: 'Create a new workflow',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                workflowData: {
-                  type: 'object',
-                  description: 'Workflow data',
-                },
-              },
-              required: ['workflowData'],
-            },
-          },
-          {
-            name: 'get-workflow',
-            description: 'Get workflow information',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dWfName: {
-                  type: 'string',
-                  description: 'Workflow name',
-                },
-              },
-              required: ['dWfName'],
-            },
-          },
-          {
-            name: 'update-workflow',
-            description: 'Edit workflow',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dWfName: {
-                  type: 'string',
-                  description: 'Workflow name',
-                },
-                workflowData: {
-                  type: 'object',
-                  description: 'Workflow update data',
-                },
-              },
-              required: ['dWfName', 'workflowData'],
-            },
-          },
-          {
-            name: 'approve-workflow',
-            description: 'Approve workflow for document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'reject-workflow',
-            description: 'Reject workflow for document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                rejectMessage: {
-                  type: 'string',
-                  description: 'Rejection message (optional)',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'add-attachment',
-            description: 'Add attachment to document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                extRenditionName: {
-                  type: 'string',
-                  description: 'External rendition name',
-                },
-                filePath: {
-                  type: 'string',
-                  description: 'Path to attachment file',
-                },
-                extRenditionDescription: {
-                  type: 'string',
-                  description: 'External rendition description (optional)',
-                },
-                version: {
-                  type: 'string',
-                  description: 'Version (optional)',
-                },
-              },
-              required: ['dDocName', 'extRenditionName', 'filePath'],
-            },
-          },
-          {
-            name: 'get-attachments',
-            description: 'List attachments for document',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-              },
-              required: ['dDocName'],
-            },
-          },
-          {
-            name: 'download-attachment',
-            description: 'Download attachment',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                extRenditionName: {
-                  type: 'string',
-                  description: 'External rendition name',
-                },
-                outputPath: {
-                  type: 'string',
-                  description: 'Local path to save the attachment',
-                },
-              },
-              required: ['dDocName', 'extRenditionName', 'outputPath'],
-            },
-          },
-          {
-            name: 'delete-attachment',
-            description: 'Delete attachment',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dDocName: {
-                  type: 'string',
-                  description: 'Document name',
-                },
-                extRenditionName: {
-                  type: 'string',
-                  description: 'External rendition name',
-                },
-              },
-              required: ['dDocName', 'extRenditionName'],
-            },
-          },
-        ],
-      };
-    });
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          case 'search-documents':
-            const searchOptions = {
-              limit: args.limit || 10,
-            };
-            if (args.orderBy) {
-              searchOptions.orderBy = args.orderBy;
-            }
-            const searchResults = await this.getWccClient().searchDocuments(
-              args.query || '*',
-              searchOptions
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(searchResults, null, 2),
-                },
-              ],
-            };
-
-          case 'get-document-metadata':
-            const metadata = await this.getWccClient().getDocumentMetadata(args.dDocName);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(metadata, null, 2),
-                },
-              ],
-            };
-
-          case 'download-document':
-            const stream = await this.getWccClient().downloadDocument(
-              args.dDocName,
-              args.version,
-              args.rendition
-            );
-            
-            // Ensure output directory exists
-            const outputDir = path.dirname(args.outputPath);
-            if (!existsSync(outputDir)) {
-              mkdirSync(outputDir, { recursive: true });
-            }
-
-            // Save the file
-            const chunks = [];
-            for await (const chunk of stream) {
-              chunks.push(chunk);
-            }
-            const buffer = Buffer.concat(chunks);
-            writeFileSync(args.outputPath, buffer);
-
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Document downloaded successfully to: ${args.outputPath}`,
-                },
-              ],
-            };
-
-          case 'update-document-metadata':
-            const updateResult = await this.getWccClient().updateDocumentMetadata(
-              args.dDocName,
-              args.metadata,
-              args.version,
-              args.createPrimaryMetaFile,
-              args.createAlternateMetaFile
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(updateResult, null, 2),
-                },
-              ],
-            };
+    // stdio uses this instance; each HTTP session gets its own via createServer()
+    this.server = this.createServer();
 
-          case 'create-folder':
-            const folderData = {
-              fFolderName: args.folderName,
-              fDescription: args.description || '',
-            };
-            if (args.parentFolderGUID) {
-              folderData.fParentGUID = args.parentFolderGUID;
-            }
+    // Active Streamable HTTP sessions, keyed by Mcp-Session-Id
+    this.httpSessions = new Map();
 
-            const folderResult = await this.getWccClient().createFolder(folderData);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(folderResult, null, 2),
-                },
-              ],
-            };
+    // WebCenter Content connection profiles and their clients (lazy initialization)
+    this.connections = null;
+    this.wccClients = new Map();
 
-          case 'get-folder-info':
-            const folderInfo = await this.getWccClient().getFolderInfo(args.fFolderGUID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(folderInfo, null, 2),
-                },
-              ],
-            };
+    // One limit on requests in flight across all connections
+    this.requestLimiter = createLimiter(getMaxConcurrentRequests());
 
-          case 'search-in-folder':
-            const folderSearchResults = await this.getWccClient().searchInFolder(
-              args.fFolderGUID,
-              {
-                query: args.query,
-                limit: args.limit || 10,
-              }
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(folderSearchResults, null, 2),
-                },
-              ],
-            };
-
-          case 'checkout-document':
-            const checkoutResult = await this.getWccClient().checkoutDocument(args.dDocName);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(checkoutResult, null, 2),
-                },
-              ],
-            };
-
-          case 'reverse-checkout':
-            const reverseCheckoutResult = await this.getWccClient().reverseCheckout(args.dDocName);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(reverseCheckoutResult, null, 2),
-                },
-              ],
-            };
-
-          case 'get-document-capabilities':
-            const capabilities = await this.getWccClient().getDocumentCapabilities(args.dDocName, args.testedCapabilities);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(capabilities, null, 2),
-                },
-              ],
-            };
-
-          case 'delete-document':
-            const deleteResult = await this.getWccClient().deleteDocument(args.dDocName, args.version);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(deleteResult, null, 2),
-                },
-              ],
-            };
-
-          case 'upload-document-revision':
-            const revisionResult = await this.getWccClient().uploadDocumentRevision(args.dDocName, args.filePath, args.metadata);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(revisionResult, null, 2),
-                },
-              ],
-            };
-
-          case 'download-document-by-revision-id':
-            const revisionStream = await this.getWccClient().downloadDocumentByRevisionId(args.dID, args.rendition);
-            
-            const revisionOutputDir = path.dirname(args.outputPath);
-            if (!existsSync(revisionOutputDir)) {
-              mkdirSync(revisionOutputDir, { recursive: true });
-            }
-
-            const revisionChunks = [];
-            for await (const chunk of revisionStream) {
-              revisionChunks.push(chunk);
-            }
-            const revisionBuffer = Buffer.concat(revisionChunks);
-            writeFileSync(args.outputPath, revisionBuffer);
+    // Local directories tools may read uploads from and write downloads to
+    this.pathPolicy = loadPathPolicy();
 
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Document downloaded successfully to: ${args.outputPath}`,
-                },
-              ],
-            };
+    // Default result format and truncation limits for tool output
+    this.resultFormat = loadResultFormatConfig();
 
-          case 'update-document-by-revision-id':
-            const updateByIdResult = await this.getWccClient().updateDocumentByRevisionId(
-              args.dID,
-              args.metadata,
-              args.createPrimaryMetaFile,
-              args.createAlternateMetaFile
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(updateByIdResult, null, 2),
-                },
-              ],
-            };
+    // Custom fields and document types of the default connection, used to
+    // specialise tool schemas; null until loaded (see refreshMetadataModel)
+    this.dynamicSchemas = process.env.WCC_DYNAMIC_SCHEMAS !== 'false';
+    this.metadataModel = null;
+    this.metadataModelLoad = null;
 
-          case 'resubmit-conversion':
-            const resubmitResult = await this.getWccClient().resubmitConversion(
-              args.dDocName,
-              args.version,
-              args.alwaysResubmit
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(resubmitResult, null, 2),
-                },
-              ],
-            };
+    // Check metadata against the server's definitions before writes
+    this.validateMetadata = process.env.WCC_VALIDATE_METADATA !== 'false';
 
-          case 'resubmit-conversion-by-revision-id':
-            const resubmitByIdResult = await this.getWccClient().resubmitConversionByRevisionId(args.dID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(resubmitByIdResult, null, 2),
-                },
-              ],
-            };
+    // Append-only record of every tool call
+    this.auditLog = new AuditLog(loadAuditConfig());
 
-          case 'update-storage-tier':
-            const storageResult = await this.getWccClient().updateStorageTier(
-              args.dDocName,
-              args.storageTier,
-              args.version
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(storageResult, null, 2),
-                },
-              ],
-            };
+    // Which tools this server exposes (WCC_MODE, WCC_ALLOW_TOOLS, WCC_DENY_TOOLS)
+    this.toolPolicy = loadToolPolicy();
 
-          case 'update-storage-tier-by-revision-id':
-            const storageByIdResult = await this.getWccClient().updateStorageTierByRevisionId(
-              args.dID,
-              args.storageTier
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(storageByIdResult, null, 2),
-                },
-              ],
-            };
+    // Record writes instead of sending them; a call can opt in with dryRun: true, but not out
+    this.dryRun = isDryRunEnabled();
 
-          case 'restore-from-archive':
-            const restoreResult = await this.getWccClient().restoreFromArchive(
-              args.dDocName,
-              args.version,
-              args.hours
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(restoreResult, null, 2),
-                },
-              ],
-            };
-
-          case 'restore-from-archive-by-revision-id':
-            const restoreByIdResult = await this.getWccClient().restoreFromArchiveByRevisionId(
-              args.dID,
-              args.hours
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(restoreByIdResult, null, 2),
-                },
-              ],
-            };
-
-          case 'delete-folder':
-            const deleteFolderResult = await this.getWccClient().deleteFolder(args.fFolderGUID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(deleteFolderResult, null, 2),
-                },
-              ],
-            };
-
-          case 'get-folder-file-info':
-            const folderFileInfo = await this.getWccClient().getFolderFileInfo(args.fFileGUID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(folderFileInfo, null, 2),
-                },
-              ],
-            };
-
-          case 'delete-folder-file':
-            const deleteFolderFileResult = await this.getWccClient().deleteFolderFile(args.fFileGUID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(deleteFolderFileResult, null, 2),
-                },
-              ],
-            };
-
-          case 'create-file-link':
-            const fileLinkResult = await this.getWccClient().createFileLink(
-              args.fFolderGUID,
-              args.dDocName,
-              args.fFileType,
-              args.ConflictResolutionMethod
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(fileLinkResult, null, 2),
-                },
-              ],
-            };
-
-          case 'get-folder-capabilities':
-            const folderCapabilities = await this.getWccClient().getFolderCapabilities(
-              args.fFolderGUID,
-              args.testedCapabilities
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(folderCapabilities, null, 2),
-                },
-              ],
-            };
+    // Which tools wait for the user's confirmation, and the tokens handed out for them
+    this.confirmation = loadConfirmationConfig();
+    this.confirmations = new ConfirmationStore(this.confirmation.ttlMs);
+    
+    if (this.mode === 'http') {
+      this.setupHttpServer();
+    }
+  }
 
-          case 'create-public-link-for-file':
-            const publicLinkFileResult = await this.getWccClient().createPublicLinkForFile(
-              args.fFileGUID,
-              args.publicLinkData
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(publicLinkFileResult, null, 2),
-                },
-              ],
-            };
+  /**
+   * Load the WebCenter Content connection profiles from the environment once
+   * @returns {Object} { profiles, defaultName }
+   */
+  getConnections() {
+    if (!this.connections) {
+      this.connections = loadConnectionProfiles();
+    }
+    return this.connections;
+  }
 
-          case 'get-public-links-for-file':
-            const publicLinksFile = await this.getWccClient().getPublicLinksForFile(
-              args.fFileGUID,
-              args.offset,
-              args.limit
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(publicLinksFile, null, 2),
-                },
-              ],
-            };
+  /**
+   * Get the client for a named connection, creating it on first use
+   * @param {string} connection - Connection name (optional, defaults to WCC_DEFAULT_CONNECTION)
+   * @returns {WebCenterContentClient} Client for that connection
+   */
+  getWccClient(connection = null) {
+    const { profiles, defaultName } = this.getConnections();
+    const name = connection || defaultName;
+    const profile = profiles.get(name);
+    if (!profile) {
+      throw new Error(`Unknown connection "${name}". Available connections: ${[...profiles.keys()].join(', ')}`);
+    }
 
-          case 'create-public-link-for-folder':
-            const publicLinkFolderResult = await this.getWccClient().createPublicLinkForFolder(
-              args.fFolderGUID,
-              args.publicLinkData
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(publicLinkFolderResult, null, 2),
-                },
-              ],
-            };
+    if (!this.wccClients.has(name)) {
+      this.wccClients.set(name, new WebCenterContentClient(
+        profile.baseUrl,
+        profile.username,
+        profile.password,
+        profile.authOptions,
+        { ...profile.httpOptions, limiter: this.requestLimiter },
+        profile.cacheOptions
+      ));
+    }
+    return this.wccClients.get(name);
+  }
 
-          case 'get-public-links-for-folder':
-            const publicLinksFolder = await this.getWccClient().getPublicLinksForFolder(
-              args.fFolderGUID,
-              args.offset,
-              args.limit
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(publicLinksFolder, null, 2),
-                },
-              ],
-            };
+  /**
+   * Load the default connection's metadata definitions and document types,
+   * then tell connected clients the tool list changed so they fetch schemas
+   * with the instance's custom fields. With several connections these only
+   * suggest fields and values, since a call may name another connection.
+   * On failure the static schemas stay in use and the next tools/list tries again.
+   * @returns {Promise<Object|null>} Metadata model, or null if unavailable
+   */
+  refreshMetadataModel() {
+    if (!this.dynamicSchemas) return Promise.resolve(null);
+    if (!this.metadataModelLoad) {
+      this.metadataModelLoad = Promise.resolve()
+        .then(() => loadMetadataModel(this.getWccClient()))
+        .then((model) => {
+          this.metadataModel = model;
+          const servers = [this.server, ...[...this.httpSessions.values()].map((session) => session.server)];
+          for (const server of servers) {
+            // Rejects for a server with no client connected, which has nothing to refresh
+            server.sendToolListChanged().catch(() => {});
+          }
+          return model;
+        }, (error) => {
+          console.error('Could not load metadata definitions for tool schemas:', error.message);
+          return null;
+        })
+        .finally(() => {
+          this.metadataModelLoad = null;
+        });
+    }
+    return this.metadataModelLoad;
+  }
 
-          case 'get-public-link-info':
-            const publicLinkInfo = await this.getWccClient().getPublicLinkInfo(args.dLinkID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(publicLinkInfo, null, 2),
-                },
-              ],
-            };
+  // MCP request handlers shared by the stdio and HTTP transports
+  async handleToolsList(caller = null) {
+    if (!this.metadataModel) {
+      this.refreshMetadataModel();
+    }
+    return {
+      tools: listTools((tool) => isToolEnabled(tool, this.toolPolicy) && isToolAllowed(tool, caller), {
+        metadataModel: this.metadataModel,
+        sharedSchemas: this.getConnections().profiles.size > 1,
+        requiresConfirmation: (tool) => requiresConfirmation(tool, this.confirmation),
+      }),
+    };
+  }
 
-          case 'create-application-link':
-            const appLinkResult = await this.getWccClient().createApplicationLink(
-              args.fFolderGUID,
-              args.applicationLinkData
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(appLinkResult, null, 2),
-                },
-              ],
-            };
+  /**
+   * Whether a tool is enabled on this server and permitted for the caller.
+   * Resources are governed by the tool that reads the same data.
+   * @param {string} name - Tool name
+   * @param {Object} caller - Authenticated API key, or null for stdio
+   * @returns {boolean} True if the caller may use it
+   */
+  canUseTool(name, caller) {
+    const tool = getTool(name);
+    return Boolean(tool) && isToolEnabled(tool, this.toolPolicy) && isToolAllowed(tool, caller);
+  }
 
-          case 'get-application-links-for-folder':
-            const appLinksFolder = await this.getWccClient().getApplicationLinksForFolder(
-              args.fFolderGUID,
-              args.offset,
-              args.limit
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(appLinksFolder, null, 2),
-                },
-              ],
-            };
+  async handleResourcesList(caller = null) {
+    return {
+      resources: [
+        {
+          uri: 'webcenter://documents',
+          name: 'WebCenter Documents',
+          description: 'Access to WebCenter Content documents',
+          mimeType: 'application/json',
+        },
+        {
+          uri: 'webcenter://folders',
+          name: 'WebCenter Folders',
+          description: 'Top-level folders and files under the root folder',
+          mimeType: 'application/json',
+        },
+        {
+          uri: 'webcenter://work-in-progress',
+          name: 'Work in Progress',
+          description: 'Documents currently being worked on',
+          mimeType: 'application/json',
+        },
+      ].filter((resource) => this.canUseTool(STATIC_RESOURCE_TOOLS[resource.uri], caller)),
+    };
+  }
 
-          case 'get-application-link-info':
-            const appLinkInfo = await this.getWccClient().getApplicationLinkInfo(args.dAppLinkID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(appLinkInfo, null, 2),
-                },
-              ],
-            };
+  async handleResourceTemplatesList(caller = null) {
+    return {
+      resourceTemplates: listResourceTemplates((template) => this.canUseTool(template.tool, caller)),
+    };
+  }
 
-          case 'delete-application-link':
-            const deleteAppLinkResult = await this.getWccClient().deleteApplicationLink(args.dAppLinkID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(deleteAppLinkResult, null, 2),
-                },
-              ],
-            };
+  /**
+   * Read a resource and record it in the audit log under the tool that governs it
+   * @param {Object} params - resources/read parameters
+   * @param {Object} caller - Authenticated API key, or null for stdio
+   * @param {string} sessionId - HTTP session ID (optional)
+   * @returns {Promise<Object>} { contents }
+   */
+  async handleResourceRead(params, caller = null, sessionId = null) {
+    const { uri } = params;
+    const started = Date.now();
+    const trace = { status: null };
+    const entry = {
+      transport: this.mode,
+      sessionId,
+      caller: caller?.name ?? null,
+      tool: resourceToolName(uri),
+      resource: uri,
+      target: auditTarget(matchResourceTemplate(uri)?.params),
+    };
 
-          case 'refresh-application-link-token':
-            const refreshTokenResult = await this.getWccClient().refreshApplicationLinkToken(
-              args.dAppLinkID,
-              args.refreshData
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(refreshTokenResult, null, 2),
-                },
-              ],
-            };
+    try {
+      const result = await withRequestTrace(trace, () => this.readResource(uri, caller));
+      this.auditLog.record({ ...entry, outcome: 'success', status: trace.status, durationMs: Date.now() - started });
+      return result;
+    } catch (error) {
+      this.auditLog.record({
+        ...entry,
+        outcome: 'error',
+        status: error.data?.status ?? trace.status,
+        error: error instanceof McpError ? error.message.replace(/^MCP error -?\d+: /, '') : error.message,
+        durationMs: Date.now() - started,
+      });
+      throw error;
+    }
+  }
 
-          case 'start-bulk-delete-job':
-            const bulkDeleteResult = await this.getWccClient().startBulkDeleteJob(args.jobRequest);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(bulkDeleteResult, null, 2),
-                },
-              ],
-            };
+  async readResource(uri, caller = null) {
+    try {
+      // The same policy and scope checks as tools/call, through the governing tool
+      const toolName = resourceToolName(uri);
+      if (toolName && !this.canUseTool(toolName, caller)) {
+        const tool = getTool(toolName);
+        throw new Error(isToolEnabled(tool, this.toolPolicy)
+          ? `it needs ${toolName}, which API key "${caller.name}" may not use (scopes: ${caller.scopes.join(', ')})`
+          : `it needs ${toolName}, which is disabled on this server`);
+      }
 
-          case 'start-bulk-download-job':
-            const bulkDownloadResult = await this.getWccClient().startBulkDownloadJob(args.jobRequest);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(bulkDownloadResult, null, 2),
-                },
-              ],
-            };
+      const templateMatch = matchResourceTemplate(uri);
+      if (templateMatch) {
+        const { template, params: values } = templateMatch;
+        return { contents: await template.read(this.getWccClient(), values, uri) };
+      }
 
-          case 'start-bulk-add-category-job':
-            const bulkAddCategoryResult = await this.getWccClient().startBulkAddCategoryJob(args.jobRequest);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(bulkAddCategoryResult, null, 2),
-                },
-              ],
-            };
+      switch (uri) {
+        case 'webcenter://documents':
+          const searchResults = await this.getWccClient().searchDocuments('*', {
+            limit: 20
+          });
+          return {
+            contents: [
+              {
+                uri,
+                mimeType: 'application/json',
+                text: JSON.stringify(searchResults, null, 2),
+              },
+            ],
+          };
 
-          case 'start-bulk-remove-category-job':
-            const bulkRemoveCategoryResult = await this.getWccClient().startBulkRemoveCategoryJob(args.jobRequest);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(bulkRemoveCategoryResult, null, 2),
-                },
-              ],
-            };
+        case 'webcenter://folders':
+          const rootItems = await this.getWccClient().searchInFolder(ROOT_FOLDER_GUID, {
+            limit: 50
+          });
+          return {
+            contents: [
+              {
+                uri,
+                mimeType: 'application/json',
+                text: JSON.stringify(rootItems, null, 2),
+              },
+            ],
+          };
 
-          case 'cancel-background-job':
-            const cancelJobResult = await this.getWccClient().cancelBackgroundJob(args.dJobID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(cancelJobResult, null, 2),
-                },
-              ],
-            };
+        case 'webcenter://work-in-progress':
+          const wipItems = await this.getWccClient().listWorkInProgress();
+          return {
+            contents: [
+              {
+                uri,
+                mimeType: 'application/json',
+                text: JSON.stringify(wipItems, null, 2),
+              },
+            ],
+          };
 
-          case 'get-background-job-status':
-            const jobStatus = await this.getWccClient().getBackgroundJobStatus(args.dJobID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(jobStatus, null, 2),
-                },
-              ],
-            };
+        default:
+          throw new Error(`Unknown resource: ${uri}`);
+      }
+    } catch (error) {
+      if (error instanceof WebCenterContentError) {
+        throw toMcpError(error, `Failed to read resource ${uri}`);
+      }
+      throw new Error(`Failed to read resource ${uri}: ${error.message}`);
+    }
+  }
 
-          case 'download-background-job-package':
-            const packageStream = await this.getWccClient().downloadBackgroundJobPackage(args.dJobID);
-            
-            const packageOutputDir = path.dirname(args.outputPath);
-            if (!existsSync(packageOutputDir)) {
-              mkdirSync(packageOutputDir, { recursive: true });
-            }
+  /**
+   * Hold back a call that needs the user's confirmation. The call may run when
+   * it carries a valid confirmation token, or when the client supports
+   * elicitation and the user accepts the prompt. Otherwise the result to send
+   * instead is returned: a preview with a one-time token, or a note that the
+   * user declined.
+   * @param {Object} tool - Tool definition
+   * @param {Object} call - { callArgs (as sent, minus the token), toolArgs (handler arguments), confirmationToken }
+   * @param {WebCenterContentClient} client - Client for the connection
+   * @param {Object} caller - Authenticated API key, or null for stdio
+   * @param {Server} server - MCP server the request came in on
+   * @returns {Promise<Object|null>} Tool result to return, or null to run the call
+   */
+  async confirmToolCall(tool, { callArgs, toolArgs, confirmationToken }, client, caller, server) {
+    const callerName = caller?.name ?? null;
+    if (confirmationToken) {
+      this.confirmations.consume(confirmationToken, tool.name, callArgs, callerName);
+      return null;
+    }
 
-            const packageChunks = [];
-            for await (const chunk of packageStream) {
-              packageChunks.push(chunk);
-            }
-            const packageBuffer = Buffer.concat(packageChunks);
-            writeFileSync(args.outputPath, packageBuffer);
+    let preview = null;
+    if (tool.preview) {
+      try {
+        preview = await tool.preview(client, toolArgs);
+      } catch (error) {
+        preview = { previewError: error.message };
+      }
+    }
+    const summary = JSON.stringify({ arguments: callArgs, ...(preview && { preview }) });
 
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Package downloaded successfully to: ${args.outputPath}`,
-                },
-              ],
-            };
+    if (this.confirmation.elicitation && server?.getClientCapabilities()?.elicitation) {
+      let answer = null;
+      try {
+        answer = await server.elicitInput({
+          message: `Allow ${tool.name}?${tool.annotations?.destructiveHint ? ' This cannot be undone.' : ''}\n${summary.slice(0, 2000)}`,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              confirm: { type: 'boolean', title: `Run ${tool.name}`, description: 'Check to let the call go ahead' },
+            },
+            required: ['confirm'],
+          },
+        });
+      } catch {
+        // The prompt failed (timeout, client error): fall back to a confirmation token
+      }
+      if (answer) {
+        if (answer.action === 'accept' && answer.content?.confirm === true) return null;
+        return {
+          content: [{ type: 'text', text: `${tool.name} was not run: the user did not confirm it` }],
+          isError: true,
+        };
+      }
+    }
 
-          case 'create-taxonomy':
-            const taxonomyResult = await this.getWccClient().createTaxonomy(args.taxonomyData);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(taxonomyResult, null, 2),
-                },
-              ],
-            };
+    const { token, expiresAt } = this.confirmations.issue(tool.name, callArgs, callerName);
+    return {
+      structuredContent: {
+        confirmationRequired: true,
+        tool: tool.name,
+        arguments: callArgs,
+        ...(preview && { preview }),
+        confirmationToken: token,
+        expiresAt,
+      },
+      content: [
+        {
+          type: 'text',
+          text: `Confirmation required: ${tool.name} has not run. Show the user what it would do, and once they agree call ${tool.name} again with the same arguments and confirmationToken "${token}" (valid until ${expiresAt}).\n${summary}`,
+        },
+      ],
+    };
+  }
 
-          case 'get-taxonomy':
-            const taxonomyInfo = await this.getWccClient().getTaxonomy(args.dTaxonomyGUID);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(taxonomyInfo, null, 2),
-                },
-              ],
-            };
+  /**
+   * Run a tool call and record it in the audit log
+   * @param {Object} params - tools/call parameters
+   * @param {Object} caller - Authenticated API key, or null for stdio
+   * @param {Server} server - MCP server the request came in on
+   * @param {string} sessionId - HTTP session ID (optional)
+   * @returns {Promise<Object>} Tool result
+   */
+  async handleToolCall(params, caller = null, server = this.server, sessionId = null) {
+    const started = Date.now();
+    const trace = { status: null };
+    const entry = {
+      transport: this.mode,
+      sessionId,
+      caller: caller?.name ?? null,
+      tool: params.name,
+      arguments: sanitizeArguments(params.arguments || {}),
+      target: auditTarget(params.arguments || {}),
+    };
 
-          case 'update-taxonomy':
-            const updateTaxonomyResult = await this.getWccClient().updateTaxonomy(
-              args.dTaxonomyGUID,
-              args.taxonomyData
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(updateTaxonomyResult, null, 2),
-                },
-              ],
-            };
+    try {
+      const result = await withRequestTrace(trace, () => this.runToolCall(params, caller, server));
+      const outcome = result.structuredContent?.dryRun ? 'dry-run'
+        : result.structuredContent?.confirmationRequired ? 'confirmation-required'
+          : result.isError ? 'error' : 'success';
+      this.auditLog.record({
+        ...entry,
+        outcome,
+        status: trace.status,
+        ...(result.isError && { error: result.content?.[0]?.text }),
+        durationMs: Date.now() - started,
+      });
+      return result;
+    } catch (error) {
+      this.auditLog.record({
+        ...entry,
+        outcome: 'error',
+        status: error.data?.status ?? trace.status,
+        error: error instanceof McpError ? error.message.replace(/^MCP error -?\d+: /, '') : error.message,
+        durationMs: Date.now() - started,
+      });
+      throw error;
+    }
+  }
 
-          case 'get-document-types':
-            const docTypes = await this.getWccClient().getDocumentTypes();
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(docTypes, null, 2),
-                },
-              ],
-            };
+  async runToolCall(params, caller = null, server = this.server) {
+    const { name, arguments: args = {} } = params;
 
-          case 'get-document-config-info':
-            const configInfo = await this.getWccClient().getDocumentConfigInfo(
-              args.rowLimit,
-              args.includeResultSets
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(configInfo, null, 2),
-                },
-              ],
-            };
+    try {
+      const tool = getTool(name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      if (!isToolEnabled(tool, this.toolPolicy)) {
+        throw new Error(`Tool ${name} is disabled on this server (${this.toolPolicy.mode === 'readonly' && changesServer(tool) ? 'WCC_MODE=readonly' : 'WCC_ALLOW_TOOLS / WCC_DENY_TOOLS'})`);
+      }
+      if (!isToolAllowed(tool, caller)) {
+        throw new Error(`Tool ${name} is not permitted for API key "${caller.name}" (scopes: ${caller.scopes.join(', ')})`);
+      }
 
-          case 'get-document-meta-info':
-            const metaInfo = await this.getWccClient().getDocumentMetaInfo();
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(metaInfo, null, 2),
-                },
-              ],
-            };
+      const { confirmationToken, dryRun: dryRunArg, ...callArgs } = args;
+      const { connection, ...toolArgs } = callArgs;
+      const formattable = isFormattable(tool);
+      if (formattable) {
+        // Checked before the handler runs so a bad format never follows a completed write
+        if (toolArgs.format && !RESULT_FORMATS.includes(toolArgs.format)) {
+          throw new Error(`Unknown format "${toolArgs.format}". Use one of: ${RESULT_FORMATS.join(', ')}`);
+        }
+        delete toolArgs.format;
+      }
+      const client = tool.usesConnection === false ? null : this.getWccClient(connection);
+      const context = {
+        connections: this.getConnections(),
+        getClient: (name) => this.getWccClient(name),
+        pathPolicy: this.pathPolicy,
+        validateMetadata: this.validateMetadata,
+        auditLog: this.auditLog,
+        // Rows the text result will show; paged tools fetch no more than this per page
+        maxRows: formattable && (args.format || this.resultFormat.format) !== 'raw' ? this.resultFormat.maxRows : null,
+      };
 
-          case 'query-data-source':
-            const dataSourceResult = await this.getWccClient().queryDataSource(
-              args.dataSource,
-              args.whereClause,
-              args.orderClause,
-              args.maxRows,
-              args.startRow
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(dataSourceResult, null, 2),
-                },
-              ],
-            };
+      // A dry run changes nothing, so it needs no confirmation
+      if (changesServer(tool) && (this.dryRun || dryRunArg === true)) {
+        const { requests } = await runDryRun(() => tool.handler(client, toolArgs, context));
+        return {
+          structuredContent: { dryRun: true, tool: name, requests },
+          content: [
+            {
+              type: 'text',
+              text: `Dry run: ${name} changed nothing. ${requests.length === 0 ? 'It would send no writes.' : `It would send ${requests.length} request(s):`}\n${JSON.stringify(requests, null, 2)}`,
+            },
+          ],
+        };
+      }
 
-          case 'create-workflow':
-            const workflowResult = await this.getWccClient().createWorkflow(args.workflowData);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(workflowResult, null, 2),
-                },
-              ],
-            };
+      if (requiresConfirmation(tool, this.confirmation)) {
+        const held = await this.confirmToolCall(tool, { callArgs, toolArgs, confirmationToken }, client, caller, server);
+        if (held) return held;
+      }
+      const result = await tool.handler(client, toolArgs, context);
+      if (tool.returnsContent) {
+        return { content: result };
+      }
+      return {
+        ...(tool.outputSchema && { structuredContent: toStructuredContent(tool, result, toolArgs) }),
+        content: [
+          {
+            type: 'text',
+            text: formattable
+              ? formatResult(result, { ...this.resultFormat, format: args.format || this.resultFormat.format, projection: tool.projection })
+              : (typeof result === 'string' ? result : JSON.stringify(result, null, 2)),
+          },
+        ],
+      };
+    } catch (error) {
+      // WebCenter Content failures become JSON-RPC errors with a code per error type
+      if (error instanceof WebCenterContentError) {
+        throw toMcpError(error, `Error executing tool ${name}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error executing tool ${name}: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
 
-          case 'get-workflow':
-            const workflowInfo = await this.getWccClient().getWorkflow(args.dWfName);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(workflowInfo, null, 2),
-                },
-              ],
-            };
+  /**
+   * Create an MCP protocol server wired to the shared request handlers.
+   * An SDK Server holds a single transport, so every HTTP session needs its own.
+   * @param {Object|null} caller - Authenticated HTTP caller whose scopes limit the tools; null for stdio
+   * @returns {Server} MCP server instance
+   */
+  createServer(caller = null) {
+    const server = new Server(
+      {
+        name: 'webcenter-content-mcp-server',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          resources: {},
+          tools: { listChanged: true },
+        },
+      }
+    );
 
-          case 'update-workflow':
-            const updateWorkflowResult = await this.getWccClient().updateWorkflow(
-              args.dWfName,
-              args.workflowData
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(updateWorkflowResult, null, 2),
-                },
-              ],
-            };
+    this.setupHandlers(server, caller);
+    return server;
+  }
 
-          case 'approve-workflow':
-            const approveResult = await this.getWccClient().approveWorkflow(args.dDocName);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(approveResult, null, 2),
-                },
-              ],
-            };
+  setupHandlers(server = this.server, caller = null) {
+    // Both transports share the same handlers, so stdio and HTTP always agree
+    server.setRequestHandler(ListResourcesRequestSchema, () => this.handleResourcesList(caller));
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, () => this.handleResourceTemplatesList(caller));
+    server.setRequestHandler(ReadResourceRequestSchema, (request, extra) => this.handleResourceRead(request.params, caller, extra?.sessionId));
+    server.setRequestHandler(ListToolsRequestSchema, () => this.handleToolsList(caller));
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) => this.handleToolCall(request.params, caller, server, extra?.sessionId));
+  }
 
-          case 'reject-workflow':
-            const rejectResult = await this.getWccClient().rejectWorkflow(
-              args.dDocName,
-              args.rejectMessage
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(rejectResult, null, 2),
-                },
-              ],
-            };
+  /**
+   * Send a JSON-RPC error response outside of an MCP transport
+   * @param {Object} res - Express response
+   * @param {number} status - HTTP status code
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {*} id - JSON-RPC request id, if known
+   */
+  sendJsonRpcError(res, status, code, message, id = null) {
+    res.status(status).json({
+      jsonrpc: '2.0',
+      error: {
+        code,
+        message,
+      },
+      id,
+    });
+  }
 
-          case 'add-attachment':
-            const attachmentResult = await this.getWccClient().addAttachment(
-              args.dDocName,
-              args.extRenditionName,
-              args.filePath,
-              args.extRenditionDescription,
-              args.version
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(attachmentResult, null, 2),
-                },
-              ],
-            };
+  /**
+   * Start a new Streamable HTTP session for an initialize request
+   * @param {Object} caller - Authenticated caller that owns the session
+   * @returns {Promise<StreamableHTTPServerTransport>} Transport bound to a fresh MCP server
+   */
+  async createHttpSession(caller) {
+    const server = this.createServer(caller);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        this.httpSessions.set(sessionId, { transport, server, caller });
+      },
+    });
 
-          case 'get-attachments':
-            const attachments = await this.getWccClient().getAttachments(args.dDocName);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(attachments, null, 2),
-                },
-              ],
-            };
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        this.httpSessions.delete(transport.sessionId);
+      }
+    };
 
-          case 'download-attachment':
-            const attachmentStream = await this.getWccClient().downloadAttachment(
-              args.dDocName,
-              args.extRenditionName
-            );
-            
-            const attachmentOutputDir = path.dirname(args.outputPath);
-            if (!existsSync(attachmentOutputDir)) {
-              mkdirSync(attachmentOutputDir, { recursive: true });
-            }
+    await server.connect(transport);
+    return transport;
+  }
 
-            const attachmentChunks = [];
-            for await (const chunk of attachmentStream) {
-              attachmentChunks.push(chunk);
-            }
-            const attachmentBuffer = Buffer.concat(attachmentChunks);
-            writeFileSync(args.outputPath, attachmentBuffer);
+  /**
+   * Look up the transport for a request's Mcp-Session-Id, answering with an error when there is none
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {StreamableHTTPServerTransport|null} Session transport, or null if an error was sent
+   */
+  getHttpSessionTransport(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      this.sendJsonRpcError(res, 400, ErrorCode.InvalidRequest, 'Bad Request: Mcp-Session-Id header is required', req.body?.id ?? null);
+      return null;
+    }
 
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Attachment downloaded successfully to: ${args.outputPath}`,
-                },
-              ],
-            };
+    const session = this.httpSessions.get(sessionId);
+    if (!session) {
+      this.sendJsonRpcError(res, 404, -32001, 'Session not found', req.body?.id ?? null);
+      return null;
+    }
+    if (session.caller.name !== req.caller.name) {
+      this.sendJsonRpcError(res, 403, ErrorCode.InvalidRequest, 'Session belongs to a different API key', req.body?.id ?? null);
+      return null;
+    }
+    return session.transport;
+  }
 
-          case 'delete-attachment':
-            const deleteAttachmentResult = await this.getWccClient().deleteAttachment(
-              args.dDocName,
-              args.extRenditionName
-            );
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(deleteAttachmentResult, null, 2),
-                },
-              ],
-            };
+  /**
+   * Express middleware guarding /mcp: rejects disallowed browser origins and
+   * requests without a valid API key, and attaches the caller to req.caller
+   */
+  authenticateHttpRequest(req, res, next) {
+    if (!isOriginAllowed(req.headers.origin, this.httpAuth.allowedOrigins)) {
+      this.sendJsonRpcError(res, 403, ErrorCode.InvalidRequest, `Origin ${req.headers.origin} is not allowed`, req.body?.id ?? null);
+      return;
+    }
 
-          case 'build-search-query':
-            const formattedQuery = this.getWccClient().buildSearchQuery(args);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: formattedQuery,
-                },
-              ],
-            };
+    const caller = authenticateRequest(req, this.httpAuth);
+    if (!caller) {
+      res.set('WWW-Authenticate', 'Bearer realm="webcenter-content-mcp-server"');
+      this.sendJsonRpcError(res, 401, ErrorCode.InvalidRequest, 'Unauthorized: provide a valid API key as a Bearer token or X-API-Key header', req.body?.id ?? null);
+      return;
+    }
 
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error executing tool ${name}: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
-      }
-    });
+    req.caller = caller;
+    next();
   }
 
   setupHttpServer() {
+    this.httpAuth = loadHttpAuthConfig();
+
     this.app = express();
-    this.app.use(cors());
-    this.app.use(express.json());
-    this.app.use(express.text());
+    this.app.use(cors({
+      origin: (origin, callback) => callback(null, isOriginAllowed(origin, this.httpAuth.allowedOrigins)),
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Mcp-Session-Id', 'Mcp-Protocol-Version', 'Last-Event-ID'],
+      exposedHeaders: ['Mcp-Session-Id'],
+    }));
+    this.app.use(express.json({ limit: '50mb' }));
 
     // Health check endpoint
     this.app.get('/health', (req, res) => {
@@ -4304,114 +685,69 @@ EXAMPLES:
         mode: this.mode,
         port: this.port,
         capabilities: ['tools', 'resources'],
+        sessions: this.httpSessions.size,
       });
     });
 
-    // MCP HTTP endpoint for Claude Desktop
-    this.app.post('/mcp', async (req, res) => {
+    const requireAuth = this.authenticateHttpRequest.bind(this);
+
+    // MCP Streamable HTTP endpoint: initialize opens a session, later requests carry Mcp-Session-Id
+    this.app.post('/mcp', requireAuth, async (req, res) => {
       try {
-        const mcpRequest = req.body;
-        
-        // Handle MCP protocol requests
-        let result;
-        
-        switch (mcpRequest.method) {
-          case 'initialize':
-            result = {
-              id: mcpRequest.id,
-              result: {
-                protocolVersion: '2025-01-01',
-                capabilities: {
-                  tools: {},
-                  resources: {}
-                },
-                serverInfo: {
-                  name: 'webcenter-content-mcp-server',
-                  version: '1.0.0',
-                },
-              },
-            };
-            break;
-            
-          case 'tools/list':
-            // Get tools from the MCP server
-            const toolsResponse = await this.handleToolsList();
-            result = {
-              id: mcpRequest.id,
-              result: toolsResponse,
-            };
-            break;
-            
-          case 'tools/call':
-            // Handle tool calls
-            const toolResult = await this.handleToolCall(mcpRequest.params);
-            result = {
-              id: mcpRequest.id,
-              result: toolResult,
-            };
-            break;
-            
-          case 'resources/list':
-            // Get resources from the MCP server
-            const resourcesResponse = await this.handleResourcesList();
-            result = {
-              id: mcpRequest.id,
-              result: resourcesResponse,
-            };
-            break;
-            
-          case 'resources/read':
-            // Handle resource reads
-            const resourceResult = await this.handleResourceRead(mcpRequest.params);
-            result = {
-              id: mcpRequest.id,
-              result: resourceResult,
-            };
-            break;
-            
-          default:
-            throw new Error(`Unknown method: ${mcpRequest.method}`);
+        let transport;
+        if (!req.headers['mcp-session-id'] && isInitializeRequest(req.body)) {
+          transport = await this.createHttpSession(req.caller);
+        } else {
+          transport = this.getHttpSessionTransport(req, res);
+          if (!transport) {
+            return;
+          }
         }
-        
-        res.json(result);
+
+        await transport.handleRequest(req, res, req.body);
       } catch (error) {
         console.error('MCP HTTP request error:', error);
-        res.status(500).json({
-          id: req.body?.id || null,
-          error: {
-            code: -32603,
-            message: 'Internal error',
-            data: error.message,
-          },
-        });
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, ErrorCode.InternalError, 'Internal error', req.body?.id ?? null);
+        }
       }
     });
 
-    // Handle GET requests to /mcp for information
-    this.app.get('/mcp', (req, res) => {
-      res.json({
-        message: 'MCP (Model Context Protocol) HTTP Server',
-        description: 'This endpoint accepts POST requests with MCP protocol messages.',
-        version: '1.0.0',
-        serverInfo: {
-          name: 'webcenter-content-mcp-server',
-          version: '1.0.0'
-        },
-        endpoints: {
-          health: 'GET /health',
-          status: 'GET /status',
-          mcp: 'POST /mcp'
-        },
-        timestamp: new Date().toISOString()
+    // GET opens the session's SSE stream for server-initiated messages; plain GETs get server info
+    this.app.get('/mcp', async (req, res) => {
+      if (!req.headers['mcp-session-id'] && !req.get('accept')?.includes('text/event-stream')) {
+        res.json({
+          message: 'MCP (Model Context Protocol) HTTP Server',
+          description: 'This endpoint implements the MCP Streamable HTTP transport.',
+          version: '1.0.0',
+          serverInfo: {
+            name: 'webcenter-content-mcp-server',
+            version: '1.0.0'
+          },
+          endpoints: {
+            health: 'GET /health',
+            status: 'GET /status',
+            mcp: 'POST /mcp, GET /mcp (SSE), DELETE /mcp'
+          },
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      requireAuth(req, res, async () => {
+        const transport = this.getHttpSessionTransport(req, res);
+        if (transport) {
+          await transport.handleRequest(req, res);
+        }
       });
     });
 
-    // Handle OPTIONS requests for CORS
-    this.app.options('/mcp', (req, res) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-      res.sendStatus(200);
+    // DELETE ends a session
+    this.app.delete('/mcp', requireAuth, async (req, res) => {
+      const transport = this.getHttpSessionTransport(req, res);
+      if (transport) {
+        await transport.handleRequest(req, res);
+      }
     });
   }
 
@@ -4420,9 +756,14 @@ EXAMPLES:
       this.setupHttpServer();
     }
     
+    const { host, apiKeys } = this.httpAuth;
+    if (apiKeys.length === 0 && !isLoopbackHost(host)) {
+      throw new Error(`Refusing to listen on ${host} without authentication: set MCP_API_KEYS or bind MCP_HOST to localhost`);
+    }
+
     return new Promise((resolve, reject) => {
       try {
-        this.httpServer = this.app.listen(this.port, () => {
+        this.httpServer = this.app.listen(this.port, host, () => {
           resolve();
         });
         
@@ -4438,6 +779,11 @@ EXAMPLES:
   }
 
   async stopHttpServer() {
+    for (const { transport } of this.httpSessions.values()) {
+      await transport.close();
+    }
+    this.httpSessions.clear();
+
     if (this.httpServer) {
       return new Promise((resolve) => {
         this.httpServer.close(() => {
@@ -4461,6 +807,7 @@ EXAMPLES:
     if (this.mode === 'http') {
       try {
         await this.startHttpServer();
+        this.refreshMetadataModel();
         // Keep process alive in HTTP mode
         process.stdin.resume();
         
@@ -4477,6 +824,7 @@ EXAMPLES:
       try {
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
+        this.refreshMetadataModel();
         // Server running - no output to avoid contaminating stdio
       } catch (error) {
         console.error('Failed to start stdio transport:', error);
@@ -0,0 +1,232 @@
+// Standard Content Server metadata fields. DocMetaDefinition only describes
+// the custom (x) fields, so these are always treated as known.
+export const STANDARD_FIELDS = [
+  'dID',
+  'dDocName',
+  'dDocTitle',
+  'dDocType',
+  'dDocAuthor',
+  'dSecurityGroup',
+  'dDocAccount',
+  'dRevLabel',
+  'dRevisionID',
+  'dInDate',
+  'dOutDate',
+  'dCreateDate',
+  'dReleaseDate',
+  'dReleaseState',
+  'dStatus',
+  'dFormat',
+  'dExtension',
+  'dOriginalName',
+  'dFileSize',
+  'dCheckoutUser',
+  'dIsCheckedOut',
+  'dDocLastModifiedDate',
+  'dDocCreatedDate',
+  'dDocOwner',
+  'dPublishType',
+  'dWebExtension',
+  'fParentGUID',
+];
+
+/**
+ * Pull metadata field definitions out of a getDocumentMetaInfo response.
+ * Accepts both REST item lists ({ items: [{ dName, ... }] }) and IdcService
+ * result sets ({ fields: [{ name }], rows: [[...]] }), wherever they appear.
+ * @param {Object} metaInfo - getDocumentMetaInfo response
+ * @returns {Array<Object>} Field definitions keyed as in DocMetaDefinition (dName, dType, dCaption, ...)
+ */
+export function extractMetadataFields(metaInfo) {
+  const definitions = [];
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    if (typeof value.dName === 'string') {
+      definitions.push(value);
+      return;
+    }
+    if (Array.isArray(value.fields) && Array.isArray(value.rows)) {
+      const columns = value.fields.map((field) => (typeof field === 'string' ? field : field.name));
+      if (columns.includes('dName')) {
+        for (const row of value.rows) {
+          definitions.push(Array.isArray(row) ? Object.fromEntries(columns.map((column, index) => [column, row[index]])) : row);
+        }
+        return;
+      }
+    }
+    Object.values(value).forEach(visit);
+  };
+
+  visit(metaInfo);
+  return definitions;
+}
+
+/**
+ * Every field name usable in queries and metadata: the standard fields plus
+ * the custom fields reported by getDocumentMetaInfo
+ * @param {Object} metaInfo - getDocumentMetaInfo response
+ * @returns {Array<string>} Field names
+ */
+export function metadataFieldNames(metaInfo) {
+  return [...new Set([...STANDARD_FIELDS, ...extractMetadataFields(metaInfo).map((field) => field.dName)])];
+}
+
+// DocMetaDefinition dType values and the JSON schema type of their values
+const FIELD_TYPES = {
+  text: 'string',
+  bigtext: 'string',
+  memo: 'string',
+  date: 'string',
+  int: 'integer',
+  decimal: 'number',
+};
+
+// Option list types that only accept values from the list (validated select
+// and multiselect lists; combo, chunval and multi2 also allow free text)
+const VALIDATED_OPTION_LIST_TYPES = ['choice', 'multi'];
+
+/**
+ * Interpret the 0/1, "0"/"1", "true"/"false" flags used in metadata definitions
+ * @param {*} value - Flag value
+ * @returns {boolean} Flag
+ */
+function isSet(value) {
+  return value === true || value === 1 || value === '1' || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Values of a result set, item list or plain array, taking the first column
+ * (or a dOption / value / name property) of each row
+ * @param {*} list - Option list data
+ * @returns {Array<string>|null} Values, or null if the data is not a list
+ */
+function listValues(list) {
+  const rows = Array.isArray(list) ? list : Array.isArray(list?.rows) ? list.rows : Array.isArray(list?.items) ? list.items : null;
+  if (!rows) return null;
+  return rows
+    .map((row) => {
+      if (Array.isArray(row)) return row[0];
+      if (row && typeof row === 'object') return row.dOption ?? row.value ?? row.name ?? Object.values(row)[0];
+      return row;
+    })
+    .filter((value) => value !== null && value !== undefined && value !== '')
+    .map(String);
+}
+
+/**
+ * Find option list values in a getDocumentMetaInfo response. Lists appear
+ * under their dOptionListKey (as an array, item list or result set) or inline
+ * on the field definition.
+ * @param {Object} metaInfo - getDocumentMetaInfo response
+ * @param {Object} definition - Field definition
+ * @returns {Array<string>|null} Option values, or null if none were sent
+ */
+function findOptionList(metaInfo, definition) {
+  const inline = listValues(definition.optionList ?? definition.options ?? definition.dOptionList);
+  if (inline) return inline;
+
+  const key = definition.dOptionListKey;
+  if (!key) return null;
+  let found = null;
+  const visit = (value) => {
+    if (found || !value || typeof value !== 'object') return;
+    if (!Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, key)) {
+      found = listValues(value[key]);
+      if (found) return;
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(metaInfo);
+  return found;
+}
+
+/**
+ * Document type names out of a getDocumentTypes response
+ * @param {Object} docTypes - getDocumentTypes response
+ * @returns {Array<Object>} { dDocType, dDescription } entries
+ */
+export function extractDocumentTypes(docTypes) {
+  const types = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    if (typeof value.dDocType === 'string') {
+      types.push({ dDocType: value.dDocType, dDescription: value.dDescription });
+      return;
+    }
+    if (Array.isArray(value.fields) && Array.isArray(value.rows)) {
+      const columns = value.fields.map((field) => (typeof field === 'string' ? field : field.name));
+      const index = columns.indexOf('dDocType');
+      if (index !== -1) {
+        const description = columns.indexOf('dDescription');
+        for (const row of value.rows) {
+          const entry = Array.isArray(row) ? { dDocType: row[index], dDescription: row[description] } : row;
+          if (entry.dDocType) types.push(entry);
+        }
+        return;
+      }
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(docTypes);
+  return types;
+}
+
+/**
+ * Describe the instance's metadata model: every enabled custom field with its
+ * type, option list and flags, plus the document types
+ * @param {Object} metaInfo - getDocumentMetaInfo response
+ * @param {Object} docTypes - getDocumentTypes response (optional)
+ * @returns {Object} { fields: [{ name, caption, type, schemaType, required, searchable, options, validatedOptions, multiselect, maxLength, defaultValue }], docTypes: [names] }
+ */
+export function buildMetadataModel(metaInfo, docTypes = null) {
+  const fields = extractMetadataFields(metaInfo)
+    .filter((definition) => definition.dIsEnabled === undefined || isSet(definition.dIsEnabled))
+    .map((definition) => {
+      const type = String(definition.dType || 'Text').toLowerCase();
+      const optionList = isSet(definition.dIsOptionList) ? findOptionList(metaInfo, definition) : null;
+      const optionListType = String(definition.dOptionListType || '').toLowerCase();
+      const maxLength = parseInt(definition.dLength ?? definition.dMaxLength, 10);
+      return {
+        name: definition.dName,
+        caption: definition.dCaption || definition.dName,
+        type,
+        schemaType: FIELD_TYPES[type] || 'string',
+        required: isSet(definition.dIsRequired),
+        searchable: definition.dIsSearchable === undefined || isSet(definition.dIsSearchable),
+        options: optionList,
+        validatedOptions: Boolean(optionList) && VALIDATED_OPTION_LIST_TYPES.includes(optionListType),
+        multiselect: optionListType.startsWith('multi'),
+        maxLength: maxLength > 0 ? maxLength : null,
+        defaultValue: definition.dDefaultValue ? String(definition.dDefaultValue) : null,
+      };
+    });
+
+  return {
+    fields,
+    docTypes: docTypes ? [...new Set(extractDocumentTypes(docTypes).map((entry) => entry.dDocType))] : [],
+  };
+}
+
+/**
+ * Fetch the metadata definitions and document types and build the model.
+ * Document types are optional: a server that refuses them still yields the fields.
+ * @param {WebCenterContentClient} client - Client to query
+ * @returns {Promise<Object>} Metadata model, see buildMetadataModel
+ */
+export async function loadMetadataModel(client) {
+  const [metaInfo, docTypes] = await Promise.all([
+    client.getDocumentMetaInfo(),
+    client.getDocumentTypes().catch(() => null),
+  ]);
+  return buildMetadataModel(metaInfo, docTypes);
+}
@@ -0,0 +1,269 @@
+import { NotFoundError, ValidationError } from './errors.js';
+import { STANDARD_FIELDS, buildMetadataModel, loadMetadataModel } from './metadata-fields.js';
+import { toServerDate } from './search-query.js';
+
+// Fields every check-in needs, whatever the custom configuration
+const CHECK_IN_REQUIRED = ['dDocTitle', 'dDocType', 'dSecurityGroup'];
+
+// Dates in the Content Server display format: MM/DD/YYYY, optionally with a time
+const SERVER_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))? ?([AP]M)?)?$/i;
+
+// Profile rule columns naming a field, and flags marking it required
+const PROFILE_FIELD_KEYS = ['dpRuleFieldName', 'dprFieldName', 'fieldName', 'dName'];
+const PROFILE_REQUIRED_KEYS = ['dpRuleFieldIsRequired', 'dprFieldIsRequired', 'isRequired', 'required'];
+
+/**
+ * Whether a value counts as filled in
+ * @param {*} value - Metadata value
+ * @returns {boolean} True if not null, undefined or blank
+ */
+function isPresent(value) {
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Whether a string is a date the server accepts: ISO 8601 or its own MM/DD/YYYY format
+ * @param {string} value - Date value
+ * @returns {boolean} True if valid
+ */
+export function isValidDate(value) {
+  const text = String(value).trim();
+  let serverDate;
+  try {
+    serverDate = toServerDate(text);
+  } catch {
+    // Dates with a time-zone offset are not accepted
+    return false;
+  }
+  const match = (serverDate || text).match(SERVER_DATE);
+  if (!match) return false;
+  const [, month, day, , hour, minute, second = '0', meridiem] = match;
+  return Number(month) >= 1 && Number(month) <= 12
+    && Number(day) >= 1 && Number(day) <= 31
+    && (hour === undefined || Number(hour) <= (meridiem ? 12 : 23))
+    && (minute === undefined || Number(minute) <= 59)
+    && Number(second) <= 59;
+}
+
+/**
+ * Values of every result set column with the given name in a response
+ * @param {Object} response - IdcService or REST response
+ * @param {string} column - Column name, e.g. dGroupName
+ * @returns {Array<string>} Values found (empty if the column never appears)
+ */
+function columnValues(response, column) {
+  const values = [];
+  const visit = (value) => {
+    if (!value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (Array.isArray(value.fields) && Array.isArray(value.rows)) {
+      const index = value.fields.map((field) => (typeof field === 'string' ? field : field.name)).indexOf(column);
+      if (index !== -1) {
+        value.rows.forEach((row) => values.push(Array.isArray(row) ? row[index] : row[column]));
+        return;
+      }
+    }
+    if (typeof value[column] === 'string') {
+      values.push(value[column]);
+      return;
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(response);
+  return [...new Set(values.filter(isPresent).map(String))];
+}
+
+/**
+ * Fields a document profile marks as required
+ * @param {Object} profile - getDocumentProfile response
+ * @returns {Array<string>} Field names
+ */
+function profileRequiredFields(profile) {
+  const fields = [];
+  const visit = (value) => {
+    if (!value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (Array.isArray(value.fields) && Array.isArray(value.rows)) {
+      const columns = value.fields.map((field) => (typeof field === 'string' ? field : field.name));
+      value.rows.forEach((row) => visit(Array.isArray(row) ? Object.fromEntries(columns.map((column, index) => [column, row[index]])) : row));
+      return;
+    }
+    const nameKey = PROFILE_FIELD_KEYS.find((key) => typeof value[key] === 'string');
+    const requiredKey = PROFILE_REQUIRED_KEYS.find((key) => value[key] !== undefined);
+    if (nameKey && requiredKey) {
+      if ([true, 1, '1', 'true'].includes(value[requiredKey])) fields.push(value[nameKey]);
+      return;
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(profile);
+  return [...new Set(fields)];
+}
+
+/**
+ * Gather what validation needs from the server: field definitions and document
+ * types, security groups and accounts, and the profile named by xIdcProfile.
+ * Anything the server does not provide is left out and its checks are skipped;
+ * `skipped` says which, e.g. when the caller may not read the field definitions.
+ * All of it comes through the schema cache, so repeated check-ins are cheap.
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {Object} metadata - Metadata being sent
+ * @returns {Promise<Object>} { model, securityGroups, accounts, profile: { name, requiredFields, missing }, skipped }
+ */
+export async function loadValidationRules(client, metadata) {
+  const skipped = [];
+  const [model, configInfo] = await Promise.all([
+    loadMetadataModel(client).catch(async (error) => {
+      skipped.push(`Custom field checks were skipped: the metadata definitions could not be read (${error.message})`);
+      return buildMetadataModel(null, await client.getDocumentTypes().catch(() => null));
+    }),
+    client.getDocumentConfigInfo().catch((error) => {
+      skipped.push(`Security group and account checks were skipped: the configuration info could not be read (${error.message})`);
+      return null;
+    }),
+  ]);
+
+  let profile = null;
+  if (isPresent(metadata.xIdcProfile)) {
+    const name = String(metadata.xIdcProfile);
+    try {
+      profile = { name, requiredFields: profileRequiredFields(await client.getDocumentProfile(name)), missing: false };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        profile = { name, requiredFields: [], missing: true };
+      } else {
+        skipped.push(`Profile checks were skipped: profile ${name} could not be read (${error.message})`);
+      }
+    }
+  }
+
+  return {
+    model,
+    securityGroups: columnValues(configInfo, 'dGroupName'),
+    accounts: columnValues(configInfo, 'dDocAccount'),
+    profile,
+    skipped,
+  };
+}
+
+/**
+ * Check a value against a list, ignoring case; suggest the listed spelling
+ * @param {string} field - Field name
+ * @param {string} value - Value sent
+ * @param {Array<string>} allowed - Valid values
+ * @param {string} what - What the list holds, for the message
+ * @returns {Object|null} Violation, or null if the value is listed
+ */
+function listViolation(field, value, allowed, what) {
+  if (allowed.includes(value)) return null;
+  const match = allowed.find((entry) => entry.toLowerCase() === value.toLowerCase());
+  const shown = allowed.length > 20 ? `${allowed.slice(0, 20).join(', ')}, ...` : allowed.join(', ');
+  return {
+    field,
+    message: match ? `"${value}" should be written as "${match}"` : `"${value}" is not a valid ${what}. Valid values: ${shown}`,
+  };
+}
+
+/**
+ * Check metadata against the server's rules and collect every problem
+ * @param {Object} metadata - Metadata values
+ * @param {Object} rules - Rules from loadValidationRules
+ * @param {Object} options - Options (optional)
+ * @param {boolean} options.checkIn - New document: all required fields must be present.
+ *   Otherwise only the fields being changed are checked, and required ones may not be cleared.
+ * @returns {Array<Object>} Violations as { field, message }; empty if the metadata is valid
+ */
+export function validateMetadata(metadata, rules, { checkIn = false } = {}) {
+  const violations = [];
+  const { model, securityGroups, accounts, profile } = rules;
+  const fields = new Map(model.fields.map((field) => [field.name, field]));
+
+  const required = new Set([
+    ...(checkIn ? CHECK_IN_REQUIRED : []),
+    // The server fills in a default value when the field is left out
+    ...model.fields.filter((field) => field.required && !field.defaultValue).map((field) => field.name),
+    ...(profile ? profile.requiredFields : []),
+  ]);
+  for (const name of required) {
+    const missing = checkIn ? !isPresent(metadata[name]) : name in metadata && !isPresent(metadata[name]);
+    if (missing) {
+      const caption = fields.get(name)?.caption;
+      violations.push({ field: name, message: `${caption && caption !== name ? `${caption} ` : ''}is required${profile?.requiredFields.includes(name) ? ` by profile ${profile.name}` : ''}` });
+    }
+  }
+
+  if (profile?.missing) {
+    violations.push({ field: 'xIdcProfile', message: `Document profile "${profile.name}" does not exist` });
+  }
+
+  for (const [name, value] of Object.entries(metadata)) {
+    if (!isPresent(value)) continue;
+    const text = String(value);
+    const field = fields.get(name);
+
+    if (!field) {
+      // Only custom (x) names can be checked: other keys may be standard fields or check-in options
+      if (name.startsWith('x') && name !== 'xIdcProfile' && model.fields.length > 0 && !STANDARD_FIELDS.includes(name)) {
+        violations.push({ field: name, message: 'is not an enabled metadata field on this server' });
+      }
+      continue;
+    }
+
+    if (field.type === 'date' && !isValidDate(text)) {
+      violations.push({ field: name, message: `"${text}" is not a valid date. Use YYYY-MM-DD, YYYY-MM-DDTHH:MM:SS or MM/DD/YYYY` });
+    } else if (field.type === 'int' && !/^-?\d+$/.test(text.trim())) {
+      violations.push({ field: name, message: `"${text}" is not a whole number` });
+    } else if (field.type === 'decimal' && !Number.isFinite(Number(text))) {
+      violations.push({ field: name, message: `"${text}" is not a number` });
+    }
+
+    if (field.maxLength && field.schemaType === 'string' && field.type !== 'date' && text.length > field.maxLength) {
+      violations.push({ field: name, message: `is ${text.length} characters long; the maximum is ${field.maxLength}` });
+    }
+
+    if (field.validatedOptions) {
+      // Multiselect lists store several values separated by commas
+      const values = field.multiselect ? text.split(',').map((entry) => entry.trim()).filter(Boolean) : [text];
+      for (const entry of values) {
+        const violation = listViolation(name, entry, field.options, `${field.caption} option`);
+        if (violation) violations.push(violation);
+      }
+    }
+  }
+
+  const listChecks = [
+    ['dDocType', model.docTypes, 'document type'],
+    ['dSecurityGroup', securityGroups, 'security group'],
+    ['dDocAccount', accounts, 'account'],
+  ];
+  for (const [name, allowed, what] of listChecks) {
+    if (isPresent(metadata[name]) && allowed.length > 0) {
+      const violation = listViolation(name, String(metadata[name]), allowed, what);
+      if (violation) violations.push(violation);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate metadata before it is sent, throwing one ValidationError that lists every violation
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {Object} metadata - Metadata values
+ * @param {Object} options - { checkIn, dDocName, dID } (optional)
+ * @returns {Promise<Array<string>>} Checks that could not run; empty if everything was checked
+ */
+export async function assertValidMetadata(client, metadata, { checkIn = false, dDocName = null, dID = null } = {}) {
+  const rules = await loadValidationRules(client, metadata || {});
+  const violations = validateMetadata(metadata || {}, rules, { checkIn });
+  if (violations.length === 0) return rules.skipped;
+
+  const list = violations.map((violation) => `${violation.field}: ${violation.message}`).join('; ');
+  throw new ValidationError(`Metadata has ${violations.length} problem(s): ${list}`, { dDocName, dID, violations });
+}
@@ -0,0 +1,244 @@
+// JSON schemas for the structuredContent of the core tools. Responses from
+// WebCenter Content carry more fields than listed (custom x* metadata, links),
+// so every object allows additional properties and only guaranteed fields are
+// required. Identifiers may come back as strings or numbers depending on the server.
+
+const ID = { type: ['string', 'number'] };
+
+const DOCUMENT_PROPERTIES = {
+  dID: { ...ID, description: 'Revision ID' },
+  dDocName: { type: 'string', description: 'Content ID' },
+  dDocTitle: { type: 'string', description: 'Title' },
+  dDocType: { type: 'string', description: 'Document type' },
+  dDocAuthor: { type: 'string', description: 'Author' },
+  dSecurityGroup: { type: 'string', description: 'Security group' },
+  dDocAccount: { type: 'string', description: 'Account' },
+  dRevLabel: { ...ID, description: 'Revision label' },
+  dInDate: { type: 'string', description: 'Check-in date' },
+  dOriginalName: { type: 'string', description: 'Original file name' },
+  dFormat: { type: 'string', description: 'Native file format' },
+  dStatus: { type: 'string', description: 'Revision status' },
+};
+
+const PAGING_PROPERTIES = {
+  hasMore: { type: 'boolean', description: 'Whether more results exist after this page' },
+  count: { type: 'number', description: 'Number of items in this page' },
+  offset: { type: 'number', description: 'Offset of the first item' },
+  limit: { type: 'number', description: 'Page size requested' },
+  totalResults: { type: 'number', description: 'Total matching items, when the server reports it' },
+};
+
+export const DOCUMENT_METADATA_SCHEMA = {
+  type: 'object',
+  properties: DOCUMENT_PROPERTIES,
+  additionalProperties: true,
+};
+
+export const SEARCH_RESULTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      items: DOCUMENT_METADATA_SCHEMA,
+      description: 'Matching documents',
+    },
+    ...PAGING_PROPERTIES,
+    nextCursor: { type: 'string', description: 'Pass back as cursor to fetch the next page' },
+  },
+  required: ['items'],
+  additionalProperties: true,
+};
+
+const FOLDER_PROPERTIES = {
+  fFolderGUID: { type: 'string', description: 'Folder GUID' },
+  fFolderName: { type: 'string', description: 'Folder name' },
+  fParentGUID: { type: 'string', description: 'Parent folder GUID' },
+  fCreator: { type: 'string', description: 'Creator' },
+  fCreateDate: { type: 'string', description: 'Creation date' },
+  fSecurityGroup: { type: 'string', description: 'Security group' },
+};
+
+export const FOLDER_SCHEMA = {
+  type: 'object',
+  properties: FOLDER_PROPERTIES,
+  additionalProperties: true,
+};
+
+export const FOLDER_SEARCH_RESULTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...FOLDER_PROPERTIES,
+          fFileGUID: { type: 'string', description: 'Folder file GUID' },
+          fFileName: { type: 'string', description: 'File name in the folder' },
+          ...DOCUMENT_PROPERTIES,
+        },
+        additionalProperties: true,
+      },
+      description: 'Folders and files found',
+    },
+    ...PAGING_PROPERTIES,
+  },
+  required: ['items'],
+  additionalProperties: true,
+};
+
+export const FOLDER_CHILDREN_SCHEMA = {
+  type: 'object',
+  properties: {
+    fFolderGUID: { type: 'string', description: 'Folder whose children are listed' },
+    items: {
+      type: 'array',
+      items: {
+        ...FOLDER_SEARCH_RESULTS_SCHEMA.properties.items.items,
+        properties: {
+          type: { type: 'string', enum: ['folder', 'file'], description: 'Whether the child is a subfolder or a file' },
+          ...FOLDER_SEARCH_RESULTS_SCHEMA.properties.items.items.properties,
+        },
+        required: ['type'],
+      },
+      description: 'Subfolders and files directly inside the folder',
+    },
+    hasMore: PAGING_PROPERTIES.hasMore,
+    nextCursor: { type: 'string', description: 'Pass back as cursor to fetch the next page' },
+  },
+  required: ['fFolderGUID', 'items'],
+  additionalProperties: true,
+};
+
+export const FOLDER_PATH_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', description: 'Path from the root, e.g. /Enterprise Libraries/Contracts/2024; "/" and "\\" in names are escaped with a backslash' },
+    type: { type: 'string', enum: ['folder', 'file'], description: 'Whether the path names a folder or a file' },
+    fFolderGUID: { type: 'string', description: 'Folder GUID (folders)' },
+    fFolderName: { type: 'string', description: 'Folder name (folders)' },
+    fFileGUID: { type: 'string', description: 'Folder file GUID (files)' },
+    fFileName: { type: 'string', description: 'File name in the folder (files)' },
+    dDocName: { type: 'string', description: 'Content ID (files)' },
+    fParentGUID: { type: 'string', description: 'Folder containing the file (files)' },
+    folders: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          fFolderGUID: FOLDER_PROPERTIES.fFolderGUID,
+          fFolderName: FOLDER_PROPERTIES.fFolderName,
+        },
+        additionalProperties: true,
+      },
+      description: 'Folders from the root down to the item',
+    },
+  },
+  required: ['path', 'type', 'folders'],
+  additionalProperties: true,
+};
+
+export const JOB_STATUS_SCHEMA = {
+  type: 'object',
+  properties: {
+    dJobID: { ...ID, description: 'Background job ID' },
+    dJobName: { type: 'string', description: 'Job name' },
+    dJobState: { type: 'string', description: 'Job state, e.g. Running, Completed or Failed' },
+    dJobProgress: { ...ID, description: 'Progress, as reported by the server' },
+    dJobMessage: { type: 'string', description: 'Status message' },
+  },
+  additionalProperties: true,
+};
+
+export const WORKFLOW_SCHEMA = {
+  type: 'object',
+  properties: {
+    dWfName: { type: 'string', description: 'Workflow name' },
+    dWfDescription: { type: 'string', description: 'Description' },
+    dWfType: { type: 'string', description: 'Workflow type' },
+    dWfStatus: { type: 'string', description: 'Workflow status' },
+    dSecurityGroup: { type: 'string', description: 'Security group' },
+  },
+  additionalProperties: true,
+};
+
+export const WORKFLOW_ACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    dDocName: { type: 'string', description: 'Document the action was taken on' },
+    action: { type: 'string', enum: ['approve', 'reject'], description: 'Workflow action taken' },
+    response: { description: 'Server response, if any' },
+  },
+  required: ['dDocName', 'action'],
+  additionalProperties: false,
+};
+
+/**
+ * Build the structuredContent for a tool result. Tools may map their raw
+ * result with a `structured(result, args)` function; otherwise an object
+ * result is used as-is. structuredContent must be an object, so anything
+ * else (an empty body from a 204, say) becomes an empty object.
+ * @param {Object} tool - Tool definition with an outputSchema
+ * @param {*} result - Handler result
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Structured content
+ */
+export function toStructuredContent(tool, result, args) {
+  const structured = tool.structured ? tool.structured(result, args) : result;
+  return structured && typeof structured === 'object' && !Array.isArray(structured) ? structured : {};
+}
+
+// structuredContent of a call held back for confirmation (see confirmation.js)
+export const CONFIRMATION_PREVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    confirmationRequired: { type: 'boolean', const: true, description: 'The call has not run yet' },
+    tool: { type: 'string', description: 'Tool awaiting confirmation' },
+    arguments: { type: 'object', description: 'Arguments the confirmation applies to' },
+    preview: { description: 'What the call would affect' },
+    confirmationToken: { type: 'string', description: 'Pass back as confirmationToken, with the same arguments, to run the call' },
+    expiresAt: { type: 'string', description: 'When the token expires' },
+  },
+  required: ['confirmationRequired', 'tool', 'confirmationToken'],
+  additionalProperties: false,
+};
+
+// structuredContent of a dry run: the writes that would have been sent
+export const DRY_RUN_SCHEMA = {
+  type: 'object',
+  properties: {
+    dryRun: { type: 'boolean', const: true, description: 'Nothing was changed' },
+    tool: { type: 'string', description: 'Tool that was rehearsed' },
+    requests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          method: { type: 'string', description: 'HTTP method' },
+          url: { type: 'string', description: 'Full request URL' },
+          params: { type: ['object', 'null'], description: 'Query parameters' },
+          body: { description: 'Request body; multipart bodies list their fields and files' },
+        },
+        required: ['method', 'url'],
+      },
+      description: 'Requests that would have been sent, in order',
+    },
+  },
+  required: ['dryRun', 'tool', 'requests'],
+  additionalProperties: false,
+};
+
+/**
+ * Widen a tool's output schema so other kinds of result (a confirmation
+ * preview, a dry run) are also valid output
+ * @param {Object} outputSchema - Tool output schema
+ * @param {Array<Object>} alternatives - Other result schemas
+ * @returns {Object} Schema accepting the result or any alternative
+ */
+export function withAlternativeResults(outputSchema, alternatives) {
+  if (alternatives.length === 0) return outputSchema;
+  return {
+    type: 'object',
+    anyOf: [outputSchema, ...alternatives],
+  };
+}
@@ -0,0 +1,114 @@
+import { existsSync, realpathSync, statSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Used when MCP_FILE_ROOTS is not set
+const DEFAULT_FILE_ROOTS = [
+  path.join(os.homedir(), 'Downloads'),
+  path.join(os.homedir(), 'Documents'),
+];
+
+/**
+ * Resolve symlinks in a path whose tail may not exist yet, by resolving the
+ * nearest existing ancestor and re-attaching the missing segments
+ * @param {string} target - Absolute path
+ * @returns {string} Real path
+ */
+function realpathOfNearest(target) {
+  let existing = target;
+  const missing = [];
+  while (!existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) break;
+    missing.unshift(path.basename(existing));
+    existing = parent;
+  }
+  return path.join(realpathSync(existing), ...missing);
+}
+
+/**
+ * Whether a path lies inside (or is) a root directory
+ * @param {string} target - Absolute real path
+ * @param {string} root - Absolute real root
+ * @returns {boolean} True if contained
+ */
+function isInside(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Build the local filesystem policy for tools that read or write files
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { roots, overwrite }
+ */
+export function loadPathPolicy(env = process.env) {
+  const configured = (env.MCP_FILE_ROOTS || '')
+    .split(',')
+    .map((root) => root.trim())
+    .filter(Boolean);
+
+  return {
+    roots: (configured.length > 0 ? configured : DEFAULT_FILE_ROOTS).map((root) => path.resolve(root)),
+    overwrite: env.MCP_FILE_OVERWRITE === 'true',
+  };
+}
+
+/**
+ * Check a tool-supplied path against the allowed roots. Relative paths are
+ * taken relative to the first root; `..` segments are refused outright, and
+ * symlinks are resolved before the containment check so a link inside a root
+ * cannot point outside it.
+ * @param {Object} policy - Policy from loadPathPolicy
+ * @param {string} requested - Path from the tool arguments
+ * @param {string} purpose - What the path is for, used in error messages
+ * @returns {string} Absolute, symlink-free path
+ */
+function resolveAllowedPath(policy, requested, purpose) {
+  if (!requested) {
+    throw new Error(`A path is required for the ${purpose}`);
+  }
+  if (requested.split(/[\\/]/).includes('..')) {
+    throw new Error(`Path "${requested}" for the ${purpose} must not contain ".." segments`);
+  }
+
+  const absolute = path.resolve(policy.roots[0], requested);
+  const real = realpathOfNearest(absolute);
+  const allowed = policy.roots.some((root) => isInside(real, realpathOfNearest(root)));
+  if (!allowed) {
+    throw new Error(
+      `Path "${requested}" for the ${purpose} is outside the allowed file roots (${policy.roots.join(', ')}). ` +
+      'Use a path under one of them, or add its directory to MCP_FILE_ROOTS.'
+    );
+  }
+
+  // Keep a trailing separator: it marks a directory target for downloads
+  return /[\\/]$/.test(requested) ? `${real}${path.sep}` : real;
+}
+
+/**
+ * Resolve a local file the server will read and upload
+ * @param {Object} policy - Policy from loadPathPolicy
+ * @param {string} requested - Path from the tool arguments
+ * @returns {string} Absolute path of an existing regular file
+ */
+export function resolveReadPath(policy, requested) {
+  const resolved = resolveAllowedPath(policy, requested, 'file to upload');
+  if (!existsSync(resolved)) {
+    throw new Error(`File to upload not found: ${requested}`);
+  }
+  if (!statSync(resolved).isFile()) {
+    throw new Error(`File to upload is not a regular file: ${requested}`);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve a local file or directory the server will write a download to
+ * @param {Object} policy - Policy from loadPathPolicy
+ * @param {string} requested - Path from the tool arguments
+ * @returns {string} Absolute path; a directory keeps its trailing separator
+ */
+export function resolveWritePath(policy, requested) {
+  return resolveAllowedPath(policy, requested, 'download');
+}
@@ -0,0 +1,132 @@
+import { readDocumentContent, toResourceContents } from './document-content.js';
+
+/**
+ * Wrap a JSON API response as resources/read contents
+ * @param {string} uri - Requested URI
+ * @param {*} data - Response data
+ * @returns {Array<Object>} Resource contents
+ */
+function jsonContents(uri, data) {
+  return [
+    {
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(data, null, 2),
+    },
+  ];
+}
+
+/**
+ * Parameterized MCP resources. Each entry declares an RFC 6570 level 1 URI
+ * template, the tool whose policy and API key scopes also govern reading it,
+ * and a reader that receives the WebCenterContentClient, the values taken
+ * from the URI and the URI itself, and returns resources/read contents.
+ */
+export const resourceTemplates = [
+  {
+    uriTemplate: 'webcenter://files/{dDocName}',
+    name: 'WebCenter Document Content',
+    tool: 'read-document-content',
+    description: 'Latest revision of a document; text formats are returned as text, other files as base64 blobs',
+    read: async (client, { dDocName }, uri) => toResourceContents(await readDocumentContent(client, { dDocName }), uri),
+  },
+  {
+    uriTemplate: 'webcenter://files/{dDocName}/revisions/{dID}',
+    name: 'WebCenter Document Revision Content',
+    tool: 'read-document-content',
+    description: 'A specific revision of a document, by revision ID (dID); a dID that is not a revision of dDocName is not found',
+    read: async (client, { dDocName, dID }, uri) => toResourceContents(await readDocumentContent(client, { dDocName, dID }), uri),
+  },
+  {
+    uriTemplate: 'webcenter://folders/{fFolderGUID}',
+    name: 'WebCenter Folder',
+    tool: 'get-folder-info',
+    description: 'Folder information by folder GUID',
+    mimeType: 'application/json',
+    read: async (client, { fFolderGUID }, uri) => jsonContents(uri, await client.getFolderInfo(fFolderGUID)),
+  },
+  {
+    uriTemplate: 'webcenter://jobs/{dJobID}',
+    name: 'WebCenter Background Job',
+    tool: 'get-background-job-status',
+    description: 'Status of a background (bulk) job',
+    mimeType: 'application/json',
+    read: async (client, { dJobID }, uri) => jsonContents(uri, await client.getBackgroundJobStatus(dJobID)),
+  },
+  {
+    uriTemplate: 'webcenter://taxonomies/{guid}',
+    name: 'WebCenter Taxonomy',
+    tool: 'get-taxonomy',
+    description: 'Taxonomy definition by taxonomy GUID',
+    mimeType: 'application/json',
+    read: async (client, { guid }, uri) => jsonContents(uri, await client.getTaxonomy(guid)),
+  },
+];
+
+// Tools governing the fixed resources from resources/list; the work in
+// progress list has no tool of its own and follows search-documents
+export const STATIC_RESOURCE_TOOLS = {
+  'webcenter://documents': 'search-documents',
+  'webcenter://folders': 'search-in-folder',
+  'webcenter://work-in-progress': 'search-documents',
+};
+
+// Compile each template into a regex with one capture group per variable
+const compiledTemplates = resourceTemplates.map((template) => {
+  const names = [];
+  const pattern = template.uriTemplate
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      if (part.startsWith('{')) {
+        names.push(part.slice(1, -1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return { template, names, regex: new RegExp(`^${pattern}$`) };
+});
+
+/**
+ * Find the template a URI belongs to and pull out its variables
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} { template, params }, or null if no template matches
+ */
+export function matchResourceTemplate(uri) {
+  for (const { template, names, regex } of compiledTemplates) {
+    const match = uri.match(regex);
+    if (match) {
+      try {
+        const params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+        return { template, params };
+      } catch {
+        // Malformed percent-encoding: no template matches
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Name of the tool whose policy governs reading a resource
+ * @param {string} uri - Resource URI
+ * @returns {string|null} Tool name, or null for an unknown URI
+ */
+export function resourceToolName(uri) {
+  return matchResourceTemplate(uri)?.template.tool ?? STATIC_RESOURCE_TOOLS[uri] ?? null;
+}
+
+/**
+ * List resource templates in the shape expected by resources/templates/list
+ * @param {Function} include - (template) => boolean; lists all when omitted
+ * @returns {Array<Object>} Template descriptors without readers
+ */
+export function listResourceTemplates(include = () => true) {
+  return resourceTemplates.filter(include).map(({ uriTemplate, name, description, mimeType }) => ({
+    uriTemplate,
+    name,
+    description,
+    ...(mimeType && { mimeType }),
+  }));
+}
@@ -0,0 +1,208 @@
+// Result formats a tool caller can ask for
+export const RESULT_FORMATS = ['compact', 'table', 'summary', 'raw'];
+
+// Defaults when MCP_RESULT_MAX_ROWS / MCP_RESULT_MAX_CHARS are not set
+const DEFAULT_MAX_ROWS = 50;
+const DEFAULT_MAX_CHARS = 40000;
+
+// Keys that only carry navigation or session data
+const NOISE_KEYS = ['links', 'idcToken'];
+
+// Top-level keys worth keeping next to the rows of a list response
+const META_KEYS = ['nextCursor', 'hasMore', 'totalResults', 'totalCount', 'count', 'offset', 'limit'];
+
+/**
+ * Read the formatting settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { format, maxRows, maxChars }
+ */
+export function loadResultFormatConfig(env = process.env) {
+  const format = env.MCP_RESULT_FORMAT || 'compact';
+  if (!RESULT_FORMATS.includes(format)) {
+    throw new Error(`Invalid MCP_RESULT_FORMAT "${format}". Use one of: ${RESULT_FORMATS.join(', ')}`);
+  }
+  const maxRows = parseInt(env.MCP_RESULT_MAX_ROWS, 10);
+  const maxChars = parseInt(env.MCP_RESULT_MAX_CHARS, 10);
+  return {
+    format,
+    maxRows: maxRows > 0 ? maxRows : DEFAULT_MAX_ROWS,
+    maxChars: maxChars > 0 ? maxChars : DEFAULT_MAX_CHARS,
+  };
+}
+
+/**
+ * Turn an IdcService result set ({ fields, rows }) into row objects
+ * @param {Object} resultSet - Result set
+ * @returns {Array<Object>} Rows
+ */
+function resultSetRows(resultSet) {
+  const columns = (resultSet.fields || []).map((field) => (typeof field === 'string' ? field : field.name));
+  return (resultSet.rows || []).map((row) => (
+    Array.isArray(row) ? Object.fromEntries(columns.map((column, index) => [column, row[index]])) : row
+  ));
+}
+
+/**
+ * Strip the response envelope: REST item lists, IdcService ResultSets/LocalData,
+ * plain arrays and single records all become { rows, meta, isList }
+ * @param {*} result - Handler result
+ * @returns {Object} { rows, meta, isList }
+ */
+function extractRows(result) {
+  const meta = {};
+  if (Array.isArray(result)) {
+    return { rows: result, meta, isList: true };
+  }
+
+  for (const key of META_KEYS) {
+    if (result[key] !== undefined && typeof result[key] !== 'object') meta[key] = result[key];
+  }
+
+  if (Array.isArray(result.items)) {
+    return { rows: result.items, meta, isList: true };
+  }
+  if (result.ResultSets && typeof result.ResultSets === 'object') {
+    const sets = Object.entries(result.ResultSets).filter(([, set]) => set && Array.isArray(set.rows));
+    if (result.LocalData?.StatusMessage) meta.statusMessage = result.LocalData.StatusMessage;
+    if (sets.length === 1) {
+      return { rows: resultSetRows(sets[0][1]), meta, isList: true };
+    }
+    if (sets.length > 1) {
+      // Several result sets: keep them apart, tagged with their name
+      const rows = sets.flatMap(([name, set]) => resultSetRows(set).map((row) => ({ resultSet: name, ...row })));
+      return { rows, meta, isList: true };
+    }
+    return { rows: [result.LocalData || {}], meta, isList: false };
+  }
+
+  return { rows: [result], meta: {}, isList: false };
+}
+
+/**
+ * Flatten a row for compact output: drop noise and empty values, lift nested
+ * objects one level (parent.child) and shorten arrays
+ * @param {Object} row - Row object
+ * @returns {Object} Flat row
+ */
+function flattenRow(row) {
+  if (!row || typeof row !== 'object') return { value: row };
+
+  const flat = {};
+  const add = (key, value) => {
+    if (value === null || value === undefined || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length === 0) return;
+      flat[key] = value.every((item) => typeof item !== 'object') ? value.join(', ') : `[${value.length} items]`;
+    } else {
+      flat[key] = value;
+    }
+  };
+
+  for (const [key, value] of Object.entries(row)) {
+    if (NOISE_KEYS.includes(key)) continue;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [childKey, childValue] of Object.entries(value)) {
+        if (NOISE_KEYS.includes(childKey)) continue;
+        add(`${key}.${childKey}`, childValue && typeof childValue === 'object' && !Array.isArray(childValue) ? '{...}' : childValue);
+      }
+    } else {
+      add(key, value);
+    }
+  }
+  return flat;
+}
+
+/**
+ * Keep only the projected fields, unless the rows have none of them
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} projection - Field names (optional)
+ * @returns {Array<Object>} Projected rows
+ */
+function project(rows, projection) {
+  if (!projection || !rows.some((row) => projection.some((field) => field in row))) {
+    return rows;
+  }
+  return rows.map((row) => Object.fromEntries(projection.filter((field) => field in row).map((field) => [field, row[field]])));
+}
+
+/**
+ * Render rows as a markdown table (or a field/value table for one record)
+ * @param {Array<Object>} rows - Flat rows
+ * @param {boolean} isList - Whether the rows came from a list
+ * @returns {string} Markdown
+ */
+function markdownTable(rows, isList) {
+  const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  if (!isList && rows.length === 1) {
+    const lines = Object.entries(rows[0]).map(([key, value]) => `| ${cell(key)} | ${cell(value)} |`);
+    return ['| Field | Value |', '| --- | --- |', ...lines].join('\n');
+  }
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  if (columns.length === 0) return '(no rows)';
+  return [
+    `| ${columns.map(cell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${columns.map((column) => cell(row[column])).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * Describe a list in a few lines: count, paging, and the key fields of each row
+ * @param {Array<Object>} rows - Flat, projected rows
+ * @param {Object} meta - List metadata
+ * @param {boolean} isList - Whether the rows came from a list
+ * @param {number} total - Rows in the result, including those not shown
+ * @returns {string} Summary text
+ */
+function summarize(rows, meta, isList, total) {
+  if (!isList && rows.length === 1) {
+    return Object.entries(rows[0]).slice(0, 8).map(([key, value]) => `${key}: ${value}`).join('\n');
+  }
+  const lines = [`${meta.totalResults ?? meta.totalCount ?? total} result(s)`];
+  for (const row of rows) {
+    lines.push(`- ${Object.values(row).slice(0, 2).join(' - ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a tool handler result for the model
+ * @param {*} result - Handler result (strings pass through unchanged)
+ * @param {Object} options - Formatting options
+ * @param {string} options.format - compact, table, summary or raw
+ * @param {Array<string>} options.projection - Default fields for this tool (optional)
+ * @param {number} options.maxRows - Rows to show before truncating
+ * @param {number} options.maxChars - Characters to show before truncating
+ * @returns {string} Text for the tool result
+ */
+export function formatResult(result, options) {
+  const { format, projection, maxRows, maxChars } = options;
+  if (typeof result === 'string') return result;
+
+  let text;
+  if (format === 'raw' || result === null || typeof result !== 'object') {
+    text = JSON.stringify(result, null, 2);
+  } else {
+    const { rows, meta, isList } = extractRows(result);
+    const shown = project(rows.slice(0, maxRows).map(flattenRow), projection);
+    const hidden = rows.length - shown.length;
+
+    const metaLine = Object.keys(meta).length > 0 ? JSON.stringify(meta) : null;
+    if (format === 'table') {
+      text = [metaLine, markdownTable(shown, isList)].filter(Boolean).join('\n\n');
+    } else if (format === 'summary') {
+      text = [summarize(shown, meta, isList, rows.length), metaLine].filter(Boolean).join('\n');
+    } else {
+      text = [metaLine, ...shown.map((row) => JSON.stringify(row))].filter(Boolean).join('\n');
+    }
+
+    if (hidden > 0) {
+      text += `\n... ${hidden} more row(s) not shown. Narrow the request, page with limit/cursor, or ask for format "raw".`;
+    }
+  }
+
+  if (text.length > maxChars) {
+    text = `${text.slice(0, maxChars)}\n... output truncated at ${maxChars} characters. Narrow the request or use a more compact format.`;
+  }
+  return text;
+}
@@ -0,0 +1,461 @@
+// WebCenter Content Universal Query Syntax.
+//
+// Queries are built (from a spec) or parsed (from a string) into a small AST
+// and serialized in one place, so every value is quoted and every field name
+// checked the same way:
+//   { type: 'fulltext', text }
+//   { type: 'condition', field, operator, value }   value: { kind: 'string'|'number'|'date', raw }
+//   { type: 'and', children } | { type: 'or', children } | { type: 'not', child }
+
+// Text operators, written as <operator> between the field and the value
+export const TEXT_OPERATORS = ['contains', 'equals', 'matches', 'starts', 'ends', 'substring'];
+
+// Comparison operators for dates and numbers
+export const COMPARISON_OPERATORS = ['<', '<=', '>', '>=', '='];
+
+// Operators accepted in a query spec; between expands to >= from and <= to
+// (< the next day when to is a date without a time, so the whole day is included)
+export const QUERY_SPEC_OPERATORS = [...TEXT_OPERATORS, ...COMPARISON_OPERATORS, 'between'];
+
+const FIELD_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convert an ISO 8601 date or date-time to the Content Server query format
+ * (MM/DD/YYYY, or MM/DD/YYYY hh:mm:ss AM). Values are read as server time;
+ * a time-zone offset (Z, +02:00) is rejected rather than silently dropped,
+ * since the server's zone is not known here.
+ * @param {string} value - ISO date, e.g. 2024-05-01 or 2024-05-01T13:30:00
+ * @returns {string|null} Server-format date, or null if the value is not an ISO date
+ */
+export function toServerDate(value) {
+  const match = String(value).trim().match(ISO_DATE);
+  if (!match) return null;
+  if (match[7]) {
+    throw new Error(`Date "${value}" has a time-zone offset; give the time in server time without Z or +hh:mm, e.g. ${String(value).trim().slice(0, -match[7].length)}`);
+  }
+
+  const [, year, month, day, hour, minute, second = '00'] = match;
+  const date = `${month}/${day}/${year}`;
+  if (hour === undefined) return date;
+
+  const hours = Number(hour);
+  const clock = String(hours % 12 || 12).padStart(2, '0');
+  return `${date} ${clock}:${minute}:${second} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * The ISO date after a date-only value, e.g. 2024-03-31 to 2024-04-01
+ * @param {string} value - ISO date (YYYY-MM-DD)
+ * @returns {string} Next day
+ */
+function nextDay(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Check that a string is usable as a metadata field name
+ * @param {string} field - Field name
+ * @returns {string} The field name
+ */
+function checkFieldName(field) {
+  if (typeof field !== 'string' || !FIELD_NAME.test(field)) {
+    throw new Error(`Invalid metadata field name "${field}": use letters, digits and underscores, e.g. dDocTitle or xComments`);
+  }
+  return field;
+}
+
+/**
+ * Quote a value for the query. Backticks are the normal delimiter; values
+ * that contain a backtick are wrapped in double quotes instead.
+ * @param {string} value - Raw value
+ * @returns {string} Quoted value
+ */
+export function quoteValue(value) {
+  const text = String(value);
+  if (!text.includes('`')) {
+    return `\`${text}\``;
+  }
+  if (!text.includes('"')) {
+    return `"${text}"`;
+  }
+  throw new Error(`Query value ${text} cannot contain both a backtick and a double quote`);
+}
+
+/**
+ * Classify a spec value for a comparison operator
+ * @param {string} field - Field name, for error messages
+ * @param {*} value - Spec value
+ * @returns {Object} { kind, raw }
+ */
+function comparisonValue(field, value) {
+  if (typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()))) {
+    return { kind: 'number', raw: String(value).trim() };
+  }
+  const date = toServerDate(value);
+  if (date) {
+    return { kind: 'date', raw: date };
+  }
+  throw new Error(`Comparison on ${field} needs a number or an ISO date (YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS), got "${value}"`);
+}
+
+/**
+ * Turn one field criterion into AST nodes
+ * @param {string} field - Field name
+ * @param {Object} criteria - { operator, value } or { operator: 'between', from, to }
+ * @returns {Object} AST node
+ */
+function conditionNode(field, criteria) {
+  checkFieldName(field);
+  const { operator } = criteria;
+
+  if (operator === 'between') {
+    if (criteria.from === undefined && criteria.to === undefined) {
+      throw new Error(`between on ${field} needs from and/or to`);
+    }
+    const bounds = [];
+    if (criteria.from !== undefined) bounds.push(conditionNode(field, { operator: '>=', value: criteria.from }));
+    if (criteria.to !== undefined) {
+      // A date alone means midnight; compare with the next day so the whole of it is included
+      const dayOnly = typeof criteria.to === 'string' && ISO_DAY.test(criteria.to.trim()) && toServerDate(criteria.to);
+      bounds.push(dayOnly
+        ? conditionNode(field, { operator: '<', value: nextDay(criteria.to.trim()) })
+        : conditionNode(field, { operator: '<=', value: criteria.to }));
+    }
+    return bounds.length === 1 ? bounds[0] : { type: 'and', children: bounds };
+  }
+  if (criteria.value === undefined || criteria.value === null || criteria.value === '') {
+    throw new Error(`A value is required for ${field} ${operator}`);
+  }
+  if (TEXT_OPERATORS.includes(operator)) {
+    return { type: 'condition', field, operator, value: { kind: 'string', raw: String(criteria.value) } };
+  }
+  if (COMPARISON_OPERATORS.includes(operator)) {
+    return { type: 'condition', field, operator, value: comparisonValue(field, criteria.value) };
+  }
+  throw new Error(`Unsupported operator "${operator}" for ${field}. Use one of: ${QUERY_SPEC_OPERATORS.join(', ')}`);
+}
+
+/**
+ * Turn a nested `where` clause into an AST node
+ * @param {Object} clause - { and: [...] }, { or: [...] }, { not: {...} } or { field, operator, value }
+ * @returns {Object} AST node
+ */
+function whereNode(clause) {
+  if (!clause || typeof clause !== 'object') {
+    throw new Error('Each where clause must be an object');
+  }
+  for (const type of ['and', 'or']) {
+    if (clause[type]) {
+      if (!Array.isArray(clause[type]) || clause[type].length === 0) {
+        throw new Error(`"${type}" needs a non-empty array of clauses`);
+      }
+      return { type, children: clause[type].map(whereNode) };
+    }
+  }
+  if (clause.not) {
+    return { type: 'not', child: whereNode(clause.not) };
+  }
+  if (clause.text) {
+    return fulltextNode(clause.text);
+  }
+  if (clause.field) {
+    return conditionNode(clause.field, clause);
+  }
+  throw new Error('A where clause needs one of: and, or, not, text, or field with operator and value');
+}
+
+/**
+ * Full-text search node
+ * @param {string} text - Text to search for
+ * @returns {Object} AST node
+ */
+function fulltextNode(text) {
+  if (/[<>]/.test(text)) {
+    throw new Error('Full-text search text cannot contain < or >; use filters or where for metadata conditions');
+  }
+  return { type: 'fulltext', text };
+}
+
+/**
+ * Build a query AST from a spec
+ * @param {Object} querySpec - See WebCenterContentClient.buildSearchQuery
+ * @returns {Object|null} AST, or null for an empty spec
+ */
+export function buildQueryAst(querySpec = {}) {
+  const { text, filters, where, match = 'all' } = querySpec;
+  const parts = [];
+
+  if (text) {
+    parts.push(fulltextNode(text));
+  }
+  for (const [field, criteria] of Object.entries(filters || {})) {
+    parts.push(conditionNode(field, criteria));
+  }
+  if (where) {
+    parts.push(whereNode(where));
+  }
+
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return { type: match === 'any' ? 'or' : 'and', children: parts };
+}
+
+/**
+ * Serialize an AST to a query string, adding parentheses only where a nested
+ * group would otherwise change meaning
+ * @param {Object} node - AST node
+ * @returns {string} Query string
+ */
+export function serializeQuery(node) {
+  if (!node) return '';
+
+  switch (node.type) {
+    case 'fulltext':
+      return `<qsch>${node.text}</qsch>`;
+    case 'condition': {
+      const value = node.value.kind === 'number' ? node.value.raw : quoteValue(node.value.raw);
+      const operator = TEXT_OPERATORS.includes(node.operator) ? `<${node.operator}>` : node.operator;
+      return `${checkFieldName(node.field)} ${operator} ${value}`;
+    }
+    case 'and':
+    case 'or':
+      return node.children
+        .map((child) => (isGroup(child) && child.type !== node.type ? `(${serializeQuery(child)})` : serializeQuery(child)))
+        .join(` <${node.type.toUpperCase()}> `);
+    case 'not':
+      return isGroup(node.child) ? `<NOT> (${serializeQuery(node.child)})` : `<NOT> ${serializeQuery(node.child)}`;
+    default:
+      throw new Error(`Unknown query node type "${node.type}"`);
+  }
+}
+
+/**
+ * Whether a node joins several clauses and needs parentheses when nested
+ * @param {Object} node - AST node
+ * @returns {boolean} True for and/or nodes
+ */
+function isGroup(node) {
+  return node.type === 'and' || node.type === 'or';
+}
+
+/**
+ * Syntax error in a query string, with the character offset where it was found
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const LOGICAL_TAGS = ['and', 'or', 'not'];
+
+/**
+ * Split a query string into tokens, each with its start position
+ * @param {string} query - Query string
+ * @returns {Array<Object>} Tokens as { type, value, position }
+ */
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const rest = query.slice(index);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+
+    const position = index;
+    const tag = rest.match(/^<\s*([A-Za-z]+)\s*>/);
+    if (tag) {
+      const name = tag[1].toLowerCase();
+      if (name === 'qsch') {
+        const close = rest.search(/<\/qsch>/i);
+        if (close === -1) {
+          throw new QuerySyntaxError('Unclosed <qsch>', position);
+        }
+        tokens.push({ type: 'fulltext', value: rest.slice(tag[0].length, close).trim(), position });
+        index += close + '</qsch>'.length;
+      } else if (LOGICAL_TAGS.includes(name)) {
+        tokens.push({ type: name, value: `<${name.toUpperCase()}>`, position });
+        index += tag[0].length;
+      } else if (TEXT_OPERATORS.includes(name)) {
+        tokens.push({ type: 'operator', value: name, position });
+        index += tag[0].length;
+      } else {
+        throw new QuerySyntaxError(`Unknown operator <${tag[1]}>; expected one of ${[...TEXT_OPERATORS, ...LOGICAL_TAGS.map((t) => t.toUpperCase())].map((t) => `<${t}>`).join(', ')}`, position);
+      }
+      continue;
+    }
+
+    const comparison = rest.match(/^(<=|>=|<|>|=)/);
+    if (comparison) {
+      tokens.push({ type: 'operator', value: comparison[1], position });
+      index += comparison[1].length;
+      continue;
+    }
+
+    const char = rest[0];
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, value: char, position });
+      index += 1;
+      continue;
+    }
+    if (char === '`' || char === '"') {
+      const end = query.indexOf(char, index + 1);
+      if (end === -1) {
+        throw new QuerySyntaxError(`Unterminated ${char === '`' ? 'backtick' : 'double quote'} value`, position);
+      }
+      tokens.push({ type: 'quoted', value: query.slice(index + 1, end), position });
+      index = end + 1;
+      continue;
+    }
+
+    const word = rest.match(/^[^\s()<>=`"]+/);
+    tokens.push({ type: 'word', value: word[0], position });
+    index += word[0].length;
+  }
+
+  tokens.push({ type: 'end', value: 'end of query', position: query.length });
+  return tokens;
+}
+
+/**
+ * Parse a WebCenter Content query string into the AST used by serializeQuery.
+ * <NOT> binds tightest, then <AND>, then <OR>. A string without any tags is
+ * treated as full-text, the same way searchDocuments wraps it in <qsch>.
+ * Condition nodes carry the `position` of their field name.
+ * @param {string} query - Query string
+ * @returns {Object|null} AST, or null for an empty or "*" (match everything) query
+ */
+export function parseQuery(query) {
+  const trimmed = (query || '').trim();
+  if (trimmed === '' || trimmed === '*') return null;
+  if (!/[<>=`"()]/.test(trimmed)) return { type: 'fulltext', text: trimmed };
+
+  const tokens = tokenize(query);
+  let current = 0;
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+  const describe = (token) => (token.type === 'end' ? 'end of query' : `"${token.value}"`);
+
+  const parseGroup = (type, parseChild) => {
+    const children = [parseChild()];
+    while (peek().type === type) {
+      next();
+      children.push(parseChild());
+    }
+    if (children.length === 1) return children[0];
+    // Flatten a <AND> (b <AND> c) into one group
+    return { type, children: children.flatMap((child) => (child.type === type ? child.children : [child])) };
+  };
+
+  const parseOr = () => parseGroup('or', parseAnd);
+  const parseAnd = () => parseGroup('and', parseUnary);
+
+  const parseUnary = () => {
+    if (peek().type === 'not') {
+      next();
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token.type === '(') {
+      const node = parseOr();
+      if (peek().type !== ')') {
+        throw new QuerySyntaxError(`Expected ) to close the ( at position ${token.position}, found ${describe(peek())}`, peek().position);
+      }
+      next();
+      return node;
+    }
+    if (token.type === 'fulltext') {
+      return { type: 'fulltext', text: token.value };
+    }
+    if (token.type !== 'word') {
+      throw new QuerySyntaxError(`Expected a field name, ( or <qsch>, found ${describe(token)}`, token.position);
+    }
+    if (!FIELD_NAME.test(token.value)) {
+      throw new QuerySyntaxError(`Invalid field name "${token.value}"`, token.position);
+    }
+
+    const operator = next();
+    if (operator.type !== 'operator') {
+      throw new QuerySyntaxError(`Expected an operator such as <contains> or >= after ${token.value}, found ${describe(operator)}`, operator.position);
+    }
+
+    const value = next();
+    if (value.type !== 'quoted' && value.type !== 'word') {
+      throw new QuerySyntaxError(`Expected a value after ${token.value} ${operator.value}, found ${describe(value)}`, value.position);
+    }
+    const isNumber = value.type === 'word' && /^-?\d+(\.\d+)?$/.test(value.value);
+
+    return {
+      type: 'condition',
+      field: token.value,
+      operator: operator.value,
+      value: { kind: isNumber ? 'number' : 'string', raw: value.value },
+      position: token.position,
+    };
+  };
+
+  const ast = parseOr();
+  if (peek().type !== 'end') {
+    const token = peek();
+    const hint = token.type === ')' ? 'Unmatched )' : `Expected <AND> or <OR> before ${describe(token)}`;
+    throw new QuerySyntaxError(hint, token.position);
+  }
+  return ast;
+}
+
+/**
+ * Collect the condition nodes of an AST
+ * @param {Object} node - AST node
+ * @returns {Array<Object>} Condition nodes
+ */
+export function queryConditions(node) {
+  if (!node) return [];
+  if (node.type === 'condition') return [node];
+  if (node.type === 'not') return queryConditions(node.child);
+  if (node.children) return node.children.flatMap(queryConditions);
+  return [];
+}
+
+/**
+ * Parse a query and check its field names
+ * @param {string} query - Query string
+ * @param {Array<string>} knownFields - Valid field names, or null to skip the field check
+ * @returns {Object} { valid, errors: [{ message, position }], normalized, ast }
+ */
+export function validateQuery(query, knownFields = null) {
+  let ast;
+  try {
+    ast = parseQuery(query);
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+    return { valid: false, errors: [{ message: error.message, position: error.position }], normalized: null, ast: null };
+  }
+
+  const errors = [];
+  if (knownFields) {
+    const byLowerCase = new Map(knownFields.map((field) => [field.toLowerCase(), field]));
+    for (const condition of queryConditions(ast)) {
+      const known = byLowerCase.get(condition.field.toLowerCase());
+      if (!known) {
+        errors.push({ message: `Unknown metadata field "${condition.field}"`, position: condition.position });
+      } else if (known !== condition.field) {
+        errors.push({ message: `Field "${condition.field}" should be written as "${known}"`, position: condition.position });
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, normalized: ast ? serializeQuery(ast) : '*', ast };
+}
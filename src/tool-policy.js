@@ -0,0 +1,52 @@
+import { TOOL_CATEGORIES, changesServer, tools } from './tool-registry.js';
+
+// Server modes: readwrite exposes every tool, readonly only those that leave WebCenter Content unchanged
+export const SERVER_MODES = ['readwrite', 'readonly'];
+
+/**
+ * Parse a comma-separated list of tool names and categories, rejecting unknown entries
+ * @param {string} value - Variable value
+ * @param {string} variable - Variable name, for the error message
+ * @returns {Set<string>} Tool names and categories
+ */
+function toolSelection(value, variable) {
+  const entries = (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+  const unknown = entries.filter((entry) => !TOOL_CATEGORIES.includes(entry) && !tools.some((tool) => tool.name === entry));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tool or category in ${variable}: ${unknown.join(', ')}. Categories: ${TOOL_CATEGORIES.join(', ')}`);
+  }
+  return new Set(entries);
+}
+
+/**
+ * Read which tools this server exposes from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { mode, allow, deny }
+ */
+export function loadToolPolicy(env = process.env) {
+  const mode = (env.WCC_MODE || 'readwrite').toLowerCase();
+  if (!SERVER_MODES.includes(mode)) {
+    throw new Error(`Invalid WCC_MODE "${env.WCC_MODE}". Use one of: ${SERVER_MODES.join(', ')}`);
+  }
+  return {
+    mode,
+    allow: toolSelection(env.WCC_ALLOW_TOOLS, 'WCC_ALLOW_TOOLS'),
+    deny: toolSelection(env.WCC_DENY_TOOLS, 'WCC_DENY_TOOLS'),
+  };
+}
+
+/**
+ * Whether the server exposes a tool at all. Unlike API key scopes this applies
+ * to every caller, stdio included. A tool is enabled when the mode permits it,
+ * it or its category is on the allow list (if there is one), and neither is
+ * on the deny list.
+ * @param {Object} tool - Tool definition
+ * @param {Object} policy - Settings from loadToolPolicy
+ * @returns {boolean} True if enabled
+ */
+export function isToolEnabled(tool, policy) {
+  const selected = (list) => list.has(tool.name) || list.has(tool.category);
+  if (policy.mode === 'readonly' && changesServer(tool)) return false;
+  if (policy.allow.size > 0 && !selected(policy.allow)) return false;
+  return !selected(policy.deny);
+}
@@ -0,0 +1,2257 @@
+import { readDocumentContent, toToolContent } from './document-content.js';
+import { decodeCursor, encodeCursor } from './cursor.js';
+import { saveDownload } from './downloads.js';
+import { resolveReadPath, resolveWritePath } from './path-policy.js';
+import { metadataFieldNames } from './metadata-fields.js';
+import { withMetadataFields, withQueryFields } from './dynamic-schemas.js';
+import { assertValidMetadata } from './metadata-validation.js';
+import { QUERY_SPEC_OPERATORS, validateQuery } from './search-query.js';
+import { ROOT_FOLDER_GUID, hasMoreResults } from './webcenter-client.js';
+import { getFolderPath, getFolderTree, listFolderChildren, resolveFolderPath } from './folder-paths.js';
+import { RESULT_FORMATS } from './result-format.js';
+import { AUDIT_OUTCOMES } from './audit-log.js';
+import {
+  DOCUMENT_METADATA_SCHEMA,
+  FOLDER_CHILDREN_SCHEMA,
+  FOLDER_PATH_SCHEMA,
+  FOLDER_SCHEMA,
+  FOLDER_SEARCH_RESULTS_SCHEMA,
+  JOB_STATUS_SCHEMA,
+  SEARCH_RESULTS_SCHEMA,
+  WORKFLOW_ACTION_SCHEMA,
+  CONFIRMATION_PREVIEW_SCHEMA,
+  DRY_RUN_SCHEMA,
+  WORKFLOW_SCHEMA,
+  withAlternativeResults,
+} from './output-schemas.js';
+
+// Tool categories, matching the functional groups of the WebCenter Content REST API
+export const TOOL_CATEGORIES = ['documents', 'folders', 'links', 'bulk', 'taxonomy', 'system', 'workflow', 'attachments'];
+
+// Shared annotation sets for the common tool shapes
+const READ_ONLY = { readOnlyHint: true, openWorldHint: true };
+const WRITES = { readOnlyHint: false, destructiveHint: false, openWorldHint: true };
+const DESTRUCTIVE = { readOnlyHint: false, destructiveHint: true, openWorldHint: true };
+
+// Schema of one metadata condition in build-search-query
+const QUERY_FILTER_SCHEMA = {
+  type: 'object',
+  properties: {
+    operator: {
+      type: 'string',
+      enum: QUERY_SPEC_OPERATORS,
+      description: 'Filter operator',
+    },
+    value: {
+      type: ['string', 'number'],
+      description: 'Filter value; ISO date (YYYY-MM-DD) or number for comparisons',
+    },
+    from: {
+      type: ['string', 'number'],
+      description: 'Lower bound for between (inclusive)',
+    },
+    to: {
+      type: ['string', 'number'],
+      description: 'Upper bound for between (inclusive; a date without a time includes that whole day)',
+    },
+  },
+  required: ['operator'],
+};
+
+/**
+ * Turn upload tool arguments into a file spec for WebCenterContentClient
+ * @param {Object} pathPolicy - Allowed local file roots
+ * @param {string} filePath - Local file path (optional)
+ * @param {string} fileContent - Base64 file content (optional)
+ * @param {string} fileName - File name, required with fileContent
+ * @param {string} label - Which file this is, for error messages
+ * @returns {string|Object} File path or { fileName, content }
+ */
+function resolveUploadFile(pathPolicy, filePath, fileContent, fileName, label) {
+  if (filePath && fileContent) {
+    throw new Error(`Provide either a path or base64 content for the ${label} file, not both`);
+  }
+  if (filePath) {
+    return resolveReadPath(pathPolicy, filePath);
+  }
+  if (!fileContent) {
+    throw new Error(`A path or base64 content is required for the ${label} file`);
+  }
+  if (!fileName) {
+    throw new Error(`A file name is required when sending base64 content for the ${label} file`);
+  }
+  return { fileName, content: fileContent };
+}
+
+/**
+ * Find the folder a tool is pointed at by fFolderGUID or path; the root when neither is given
+ * @param {WebCenterContentClient} client - Client for the connection
+ * @param {string} fFolderGUID - Folder GUID (optional)
+ * @param {string} path - Folder path, e.g. /Enterprise Libraries/Contracts (optional)
+ * @returns {Promise<Object>} { fFolderGUID, fFolderName, path } when found by path, { fFolderGUID } otherwise
+ */
+async function resolveFolderArgument(client, fFolderGUID, path) {
+  if (fFolderGUID && path) {
+    throw new Error('Provide either fFolderGUID or path, not both');
+  }
+  if (!path) {
+    return { fFolderGUID: fFolderGUID || ROOT_FOLDER_GUID };
+  }
+  const folder = await resolveFolderPath(client, path);
+  if (folder.type !== 'folder') {
+    throw new Error(`${folder.path} is a file, not a folder`);
+  }
+  return folder;
+}
+
+/**
+ * Page size for a paged tool: the requested limit, lowered to the rows the
+ * text result shows, so that nextCursor never skips rows cut from the output
+ * @param {number} limit - Requested page size
+ * @param {number|null} maxRows - Rows the result shows; null when it shows all of them
+ * @returns {number} Page size to request
+ */
+function pageLimit(limit, maxRows) {
+  return maxRows ? Math.min(limit, maxRows) : limit;
+}
+
+/**
+ * Note on a write result which metadata checks could not run
+ * @param {*} result - Handler result
+ * @param {Array<string>} skipped - Notes from assertValidMetadata
+ * @returns {*} Result with validationSkipped, or unchanged if every check ran
+ */
+function withSkippedChecks(result, skipped) {
+  if (skipped.length === 0) return result;
+  return result && typeof result === 'object' && !Array.isArray(result)
+    ? { ...result, validationSkipped: skipped }
+    : { response: result, validationSkipped: skipped };
+}
+
+/**
+ * Structured form of a list response, which always has an items array
+ * @param {Object} results - Search response
+ * @returns {Object} Results with items
+ */
+function withItems(results) {
+  return { ...results, items: results?.items ?? [] };
+}
+
+/**
+ * Every MCP tool exposed by the server. Each entry declares its name, category,
+ * description, JSON input schema and annotations, plus a handler that receives the
+ * WebCenterContentClient for the selected connection, the tool arguments and a
+ * context object ({ connections, getClient, pathPolicy, validateMetadata, auditLog, maxRows }). A handler returns either
+ * a string (sent as-is) or a value that is serialized to JSON for the caller.
+ * Local paths must go through resolveReadPath / resolveWritePath.
+ * Tools with `usesConnection: false` get no client and no `connection` argument;
+ * tools with `returnsContent: true` return MCP content items instead.
+ * Other results are shaped by formatResult (see result-format.js): `projection`
+ * lists the fields shown by default, and `formatResults: false` always sends
+ * the full JSON.
+ * Tools with an `outputSchema` also return structuredContent: the result itself,
+ * or what `structured(result, args)` maps it to.
+ * Tools that need confirmation (destructive ones by default, see confirmation.js)
+ * may define `preview(client, args)` to show what the call would affect.
+ * Tools that are not read-only accept `dryRun` (see dry-run.js); those that
+ * only read from the server despite writing locally set `changesServer: false`.
+ * Tools with `adminOnly: true` are only offered to API keys with the admin scope.
+ */
+export const tools = [
+  // DOCUMENT OPERATIONS
+
+  {
+    name: 'search-documents',
+    category: 'documents',
+    description: 'Search for documents in WebCenter Content. When more results exist the response includes nextCursor; pass it back as cursor to get the next page',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search query string (not needed when passing cursor)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results to return',
+          default: 10,
+        },
+        orderBy: {
+          type: 'string',
+          description: 'Sort order (e.g., "dInDate desc")',
+        },
+        fields: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Metadata fields to return for each result, e.g. ["dDocName", "dDocTitle", "dInDate"] (optional, default: all)',
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor from a previous search-documents result, to fetch the following page (optional)',
+        },
+      },
+    },
+    annotations: READ_ONLY,
+    outputSchema: SEARCH_RESULTS_SCHEMA,
+    handler: async (client, args, { maxRows }) => {
+      const page = args.cursor ? decodeCursor(args.cursor, 'search-documents') : {
+        query: args.query || '*',
+        offset: 0,
+        limit: args.limit || 10,
+        orderBy: args.orderBy,
+        fields: args.fields?.join(','),
+      };
+      if (args.cursor && args.query && args.query !== page.query) {
+        throw new Error('This cursor belongs to a different query; omit query or start a new search without cursor');
+      }
+      page.limit = pageLimit(page.limit, maxRows);
+
+      const searchOptions = {
+        limit: page.limit,
+        offset: page.offset,
+      };
+      if (page.orderBy) {
+        searchOptions.orderBy = page.orderBy;
+      }
+      if (page.fields) {
+        searchOptions.fields = page.fields;
+      }
+      const results = await client.searchDocuments(page.query, searchOptions);
+
+      if (!hasMoreResults(results, page.limit)) {
+        return results;
+      }
+      const returned = results?.items?.length || page.limit;
+      return {
+        ...results,
+        nextCursor: encodeCursor('search-documents', { ...page, offset: page.offset + returned }),
+      };
+    },
+    structured: withItems,
+    projection: ['dDocName', 'dDocTitle', 'dDocType', 'dDocAuthor', 'dSecurityGroup', 'dInDate', 'dID'],
+  },
+  {
+    name: 'get-document-metadata',
+    category: 'documents',
+    description: 'Get metadata for a specific document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: READ_ONLY,
+    outputSchema: DOCUMENT_METADATA_SCHEMA,
+    handler: (client, args) => client.getDocumentMetadata(args.dDocName),
+  },
+  {
+    name: 'download-document',
+    category: 'documents',
+    description: 'Download a document from WebCenter Content',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        version: {
+          type: 'string',
+          description: 'Document version (optional)',
+        },
+        rendition: {
+          type: 'string',
+          description: 'Rendition type (optional)',
+        },
+        outputPath: {
+          type: 'string',
+          description: 'Local file path, or an existing directory to save under the server-provided file name',
+        },
+        resume: {
+          type: 'boolean',
+          description: 'Keep partial data on failure and resume it on the next call, if the file on the server has not changed (optional, default: false)',
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing file at the target path (optional, default: MCP_FILE_OVERWRITE or false)',
+        },
+      },
+      required: ['dDocName', 'outputPath'],
+    },
+    annotations: WRITES,
+    changesServer: false,
+    handler: async (client, args, { pathPolicy }) => {
+      const download = await saveDownload(
+        (options) => client.downloadDocument(args.dDocName, args.version, args.rendition, options),
+        resolveWritePath(pathPolicy, args.outputPath),
+        { defaultFileName: args.dDocName, resume: args.resume, overwrite: args.overwrite ?? pathPolicy.overwrite }
+      );
+      return { message: `Document downloaded successfully to: ${download.path}`, ...download };
+    },
+  },
+  {
+    name: 'read-document-content',
+    category: 'documents',
+    description: 'Read the content of a document directly: text formats come back as text, images as images and other files (PDF, Office) as embedded resources, up to the server content size limit',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        version: {
+          type: 'string',
+          description: 'Document version (optional)',
+        },
+        rendition: {
+          type: 'string',
+          description: 'Rendition to read: primary, alternate, web or rendition:T (optional)',
+        },
+        maxBytes: {
+          type: 'number',
+          description: 'Lower size limit in bytes; text beyond it is truncated (optional, capped by MCP_MAX_CONTENT_BYTES)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: READ_ONLY,
+    returnsContent: true,
+    handler: async (client, args) => toToolContent(await readDocumentContent(client, args)),
+  },
+  {
+    name: 'update-document-metadata',
+    category: 'documents',
+    description: 'Update metadata for a document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        metadata: {
+          type: 'object',
+          description: 'Metadata values to update',
+        },
+        version: {
+          type: 'string',
+          description: 'Document version (optional)',
+        },
+        createPrimaryMetaFile: {
+          type: 'boolean',
+          description: 'Create primary meta file (optional)',
+        },
+        createAlternateMetaFile: {
+          type: 'boolean',
+          description: 'Create alternate meta file (optional)',
+        },
+      },
+      required: ['dDocName', 'metadata'],
+    },
+    annotations: WRITES,
+    dynamicSchema: withMetadataFields,
+    handler: async (client, args, { validateMetadata }) => {
+      const skipped = validateMetadata ? await assertValidMetadata(client, args.metadata, { dDocName: args.dDocName }) : [];
+      return withSkippedChecks(await client.updateDocumentMetadata(
+        args.dDocName,
+        args.metadata,
+        args.version,
+        args.createPrimaryMetaFile,
+        args.createAlternateMetaFile
+      ), skipped);
+    },
+  },
+  {
+    name: 'create-folder',
+    category: 'folders',
+    description: 'Create a new folder in WebCenter Content',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        folderName: {
+          type: 'string',
+          description: 'Name of the folder to create',
+        },
+        parentFolderGUID: {
+          type: 'string',
+          description: 'Parent folder GUID (optional)',
+        },
+        description: {
+          type: 'string',
+          description: 'Folder description (optional)',
+        },
+      },
+      required: ['folderName'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.createFolder(
+      args.parentFolderGUID,
+      args.folderName,
+      null, // fTargetGUID
+      null, // ConflictResolutionMethod
+      null  // isForceInheritSecurityForFolderCreation
+    ),
+  },
+  {
+    name: 'get-folder-info',
+    category: 'folders',
+    description: 'Get information about a specific folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+      },
+      required: ['fFolderGUID'],
+    },
+    annotations: READ_ONLY,
+    outputSchema: FOLDER_SCHEMA,
+    handler: (client, args) => client.getFolderInfo(args.fFolderGUID),
+  },
+  {
+    name: 'search-in-folder',
+    category: 'folders',
+    description: 'Search for items within a specific folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID to search within',
+        },
+        query: {
+          type: 'string',
+          description: 'Search query (optional)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results',
+          default: 10,
+        },
+      },
+      required: ['fFolderGUID'],
+    },
+    annotations: READ_ONLY,
+    outputSchema: FOLDER_SEARCH_RESULTS_SCHEMA,
+    handler: (client, args) => client.searchInFolder(
+      args.fFolderGUID,
+      {
+        query: args.query,
+        limit: args.limit || 10,
+      }
+    ),
+    structured: withItems,
+    projection: ['fFolderName', 'fFileName', 'dDocName', 'dDocTitle', 'fFolderGUID', 'fFileGUID', 'dDocType', 'dInDate'],
+  },
+  {
+    name: 'checkout-document',
+    category: 'documents',
+    description: 'Checkout a document for editing',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.checkoutDocument(args.dDocName),
+  },
+  {
+    name: 'reverse-checkout',
+    category: 'documents',
+    description: 'Reverse checkout (undo checkout) of a document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.reverseCheckout(args.dDocName),
+  },
+  {
+    name: 'get-document-capabilities',
+    category: 'documents',
+    description: 'Get capabilities/permissions for a document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        testedCapabilities: {
+          type: 'string',
+          description: 'Comma-separated list of capabilities to test',
+        },
+      },
+      required: ['dDocName', 'testedCapabilities'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getDocumentCapabilities(args.dDocName, args.testedCapabilities),
+  },
+  {
+    name: 'delete-document',
+    category: 'documents',
+    description: 'Delete a document from WebCenter Content',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        version: {
+          type: 'string',
+          description: 'Document version (optional)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: DESTRUCTIVE,
+    preview: (client, args) => client.getDocumentMetadata(args.dDocName),
+    handler: (client, args) => client.deleteDocument(args.dDocName, args.version),
+  },
+  {
+    name: 'upload-document',
+    category: 'documents',
+    description: 'Check in a new document to WebCenter Content from a local file or inline base64 content',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filePath: {
+          type: 'string',
+          description: 'Local path of the primary file (use this or fileContent)',
+        },
+        fileContent: {
+          type: 'string',
+          description: 'Base64-encoded primary file content (use this or filePath)',
+        },
+        fileName: {
+          type: 'string',
+          description: 'File name for the primary file (required with fileContent)',
+        },
+        metadata: {
+          type: 'object',
+          description: 'Document metadata; custom xFields may be included alongside the standard fields',
+          properties: {
+            dDocTitle: {
+              type: 'string',
+              description: 'Document title',
+            },
+            dDocType: {
+              type: 'string',
+              description: 'Document type',
+            },
+            dSecurityGroup: {
+              type: 'string',
+              description: 'Security group',
+            },
+            dDocAccount: {
+              type: 'string',
+              description: 'Security account (optional)',
+            },
+          },
+          required: ['dDocTitle', 'dDocType', 'dSecurityGroup'],
+          additionalProperties: true,
+        },
+        parentFolderGUID: {
+          type: 'string',
+          description: 'GUID of the folder to check the document into (optional)',
+        },
+        alternateFilePath: {
+          type: 'string',
+          description: 'Local path of an alternate file, e.g. a web-viewable rendition (optional)',
+        },
+        alternateFileContent: {
+          type: 'string',
+          description: 'Base64-encoded alternate file content (optional)',
+        },
+        alternateFileName: {
+          type: 'string',
+          description: 'File name for the alternate file (required with alternateFileContent)',
+        },
+      },
+      required: ['metadata'],
+    },
+    annotations: WRITES,
+    dynamicSchema: (inputSchema, model, options) => withMetadataFields(inputSchema, model, { ...options, required: true }),
+    handler: async (client, args, { pathPolicy, validateMetadata }) => {
+      const metadata = { ...args.metadata };
+      if (args.parentFolderGUID) {
+        metadata.fParentGUID = args.parentFolderGUID;
+      }
+      const skipped = validateMetadata ? await assertValidMetadata(client, metadata, { checkIn: true }) : [];
+      const result = await client.uploadDocument(
+        resolveUploadFile(pathPolicy, args.filePath, args.fileContent, args.fileName, 'primary'),
+        metadata,
+        args.alternateFilePath || args.alternateFileContent
+          ? resolveUploadFile(pathPolicy, args.alternateFilePath, args.alternateFileContent, args.alternateFileName, 'alternate')
+          : null
+      );
+      return withSkippedChecks({
+        dDocName: result?.dDocName,
+        dID: result?.dID,
+        response: result,
+      }, skipped);
+    },
+  },
+  {
+    name: 'upload-document-revision',
+    category: 'documents',
+    description: 'Upload a new revision of a document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        filePath: {
+          type: 'string',
+          description: 'Path to the file to upload',
+        },
+        metadata: {
+          type: 'object',
+          description: 'Document metadata',
+        },
+      },
+      required: ['dDocName', 'filePath', 'metadata'],
+    },
+    annotations: WRITES,
+    dynamicSchema: withMetadataFields,
+    handler: async (client, args, { pathPolicy, validateMetadata }) => {
+      const filePath = resolveReadPath(pathPolicy, args.filePath);
+      const skipped = validateMetadata ? await assertValidMetadata(client, args.metadata, { dDocName: args.dDocName }) : [];
+      return withSkippedChecks(await client.uploadDocumentRevision(args.dDocName, filePath, args.metadata), skipped);
+    },
+  },
+  {
+    name: 'download-document-by-revision-id',
+    category: 'documents',
+    description: 'Download document by revision ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dID: {
+          type: 'string',
+          description: 'Document revision ID',
+        },
+        rendition: {
+          type: 'string',
+          description: 'Rendition type (optional)',
+        },
+        outputPath: {
+          type: 'string',
+          description: 'Local file path, or an existing directory to save under the server-provided file name',
+        },
+        resume: {
+          type: 'boolean',
+          description: 'Keep partial data on failure and resume it on the next call, if the file on the server has not changed (optional, default: false)',
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing file at the target path (optional, default: MCP_FILE_OVERWRITE or false)',
+        },
+      },
+      required: ['dID', 'outputPath'],
+    },
+    annotations: WRITES,
+    changesServer: false,
+    handler: async (client, args, { pathPolicy }) => {
+      const download = await saveDownload(
+        (options) => client.downloadDocumentByRevisionId(args.dID, args.rendition, options),
+        resolveWritePath(pathPolicy, args.outputPath),
+        { defaultFileName: args.dID, resume: args.resume, overwrite: args.overwrite ?? pathPolicy.overwrite }
+      );
+      return { message: `Document downloaded successfully to: ${download.path}`, ...download };
+    },
+  },
+  {
+    name: 'update-document-by-revision-id',
+    category: 'documents',
+    description: 'Update document by revision ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dID: {
+          type: 'string',
+          description: 'Document revision ID',
+        },
+        metadata: {
+          type: 'object',
+          description: 'Updated metadata',
+        },
+        createPrimaryMetaFile: {
+          type: 'boolean',
+          description: 'Create primary meta file (optional)',
+        },
+        createAlternateMetaFile: {
+          type: 'boolean',
+          description: 'Create alternate meta file (optional)',
+        },
+      },
+      required: ['dID', 'metadata'],
+    },
+    annotations: WRITES,
+    dynamicSchema: withMetadataFields,
+    handler: async (client, args, { validateMetadata }) => {
+      const skipped = validateMetadata ? await assertValidMetadata(client, args.metadata, { dID: args.dID }) : [];
+      return withSkippedChecks(await client.updateDocumentByRevisionId(
+        args.dID,
+        args.metadata,
+        args.createPrimaryMetaFile,
+        args.createAlternateMetaFile
+      ), skipped);
+    },
+  },
+  {
+    name: 'resubmit-conversion',
+    category: 'documents',
+    description: 'Resubmit failed conversion',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        version: {
+          type: 'string',
+          description: 'Document version (optional)',
+        },
+        alwaysResubmit: {
+          type: 'boolean',
+          description: 'Always resubmit flag (optional)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.resubmitConversion(
+      args.dDocName,
+      args.version,
+      args.alwaysResubmit
+    ),
+  },
+  {
+    name: 'resubmit-conversion-by-revision-id',
+    category: 'documents',
+    description: 'Resubmit failed conversion by revision ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dID: {
+          type: 'string',
+          description: 'Document revision ID',
+        },
+      },
+      required: ['dID'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.resubmitConversionByRevisionId(args.dID),
+  },
+
+  // STORAGE MANAGEMENT
+
+  {
+    name: 'update-storage-tier',
+    category: 'documents',
+    description: 'Change storage tier for a document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        storageTier: {
+          type: 'string',
+          description: 'Storage tier',
+        },
+        version: {
+          type: 'string',
+          description: 'Document version (optional)',
+        },
+      },
+      required: ['dDocName', 'storageTier'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.updateStorageTier(
+      args.dDocName,
+      args.storageTier,
+      args.version
+    ),
+  },
+  {
+    name: 'update-storage-tier-by-revision-id',
+    category: 'documents',
+    description: 'Change storage tier by revision ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dID: {
+          type: 'string',
+          description: 'Document revision ID',
+        },
+        storageTier: {
+          type: 'string',
+          description: 'Storage tier',
+        },
+      },
+      required: ['dID', 'storageTier'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.updateStorageTierByRevisionId(
+      args.dID,
+      args.storageTier
+    ),
+  },
+  {
+    name: 'restore-from-archive',
+    category: 'documents',
+    description: 'Restore document from archive',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name (dDocName)',
+        },
+        version: {
+          type: 'string',
+          description: 'Document version (optional)',
+        },
+        hours: {
+          type: 'number',
+          description: 'Hours to restore for (optional)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.restoreFromArchive(
+      args.dDocName,
+      args.version,
+      args.hours
+    ),
+  },
+  {
+    name: 'restore-from-archive-by-revision-id',
+    category: 'documents',
+    description: 'Restore document from archive by revision ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dID: {
+          type: 'string',
+          description: 'Document revision ID',
+        },
+        hours: {
+          type: 'number',
+          description: 'Hours to restore for (optional)',
+        },
+      },
+      required: ['dID'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.restoreFromArchiveByRevisionId(
+      args.dID,
+      args.hours
+    ),
+  },
+
+  // FOLDER OPERATIONS
+
+  {
+    name: 'delete-folder',
+    category: 'folders',
+    description: 'Delete a folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+      },
+      required: ['fFolderGUID'],
+    },
+    annotations: DESTRUCTIVE,
+    preview: (client, args) => client.getFolderInfo(args.fFolderGUID),
+    handler: (client, args) => client.deleteFolder(args.fFolderGUID),
+  },
+  {
+    name: 'get-folder-file-info',
+    category: 'folders',
+    description: 'Get file info in folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFileGUID: {
+          type: 'string',
+          description: 'File GUID',
+        },
+      },
+      required: ['fFileGUID'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getFolderFileInfo(args.fFileGUID),
+  },
+  {
+    name: 'delete-folder-file',
+    category: 'folders',
+    description: 'Delete file in folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFileGUID: {
+          type: 'string',
+          description: 'File GUID',
+        },
+      },
+      required: ['fFileGUID'],
+    },
+    annotations: DESTRUCTIVE,
+    preview: (client, args) => client.getFolderFileInfo(args.fFileGUID),
+    handler: (client, args) => client.deleteFolderFile(args.fFileGUID),
+  },
+  {
+    name: 'create-file-link',
+    category: 'folders',
+    description: 'Create file link in folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+        dDocName: {
+          type: 'string',
+          description: 'Document name',
+        },
+        fFileType: {
+          type: 'string',
+          description: 'File type (optional)',
+        },
+        ConflictResolutionMethod: {
+          type: 'string',
+          description: 'Conflict resolution method (optional)',
+        },
+      },
+      required: ['fFolderGUID', 'dDocName'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.createFileLink(
+      args.fFolderGUID,
+      args.dDocName,
+      args.fFileType,
+      args.ConflictResolutionMethod
+    ),
+  },
+  {
+    name: 'get-folder-capabilities',
+    category: 'folders',
+    description: 'Test folder capabilities',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+        testedCapabilities: {
+          type: 'string',
+          description: 'Comma-separated list of capabilities to test',
+        },
+      },
+      required: ['fFolderGUID', 'testedCapabilities'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getFolderCapabilities(
+      args.fFolderGUID,
+      args.testedCapabilities
+    ),
+  },
+  {
+    name: 'resolve-folder-path',
+    category: 'folders',
+    description: 'Find the folder or file at a path such as "/Enterprise Libraries/Contracts/2024", returning its GUID. Names are matched exactly, or ignoring case when that is unambiguous',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Slash-separated path from the root folder; "/" is the root. Write a "/" inside a name as "\\/" and a backslash as "\\\\"',
+        },
+      },
+      required: ['path'],
+    },
+    annotations: READ_ONLY,
+    outputSchema: FOLDER_PATH_SCHEMA,
+    handler: (client, args) => resolveFolderPath(client, args.path),
+    projection: ['path', 'type', 'fFolderGUID', 'fFileGUID', 'dDocName'],
+  },
+  {
+    name: 'get-folder-path',
+    category: 'folders',
+    description: 'Get the full path of a folder or folder file from its GUID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID (provide this or fFileGUID)',
+        },
+        fFileGUID: {
+          type: 'string',
+          description: 'Folder file GUID (provide this or fFolderGUID)',
+        },
+      },
+    },
+    annotations: READ_ONLY,
+    outputSchema: FOLDER_PATH_SCHEMA,
+    handler: (client, args) => getFolderPath(client, args),
+    projection: ['path', 'type', 'fFolderGUID', 'fFileGUID', 'dDocName'],
+  },
+  {
+    name: 'list-folder-children',
+    category: 'folders',
+    description: 'List the subfolders and files directly inside a folder, by GUID or path. When more exist the response includes nextCursor; pass it back as cursor to get the next page',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID (optional, default: the root folder)',
+        },
+        path: {
+          type: 'string',
+          description: 'Folder path instead of fFolderGUID, e.g. "/Enterprise Libraries/Contracts" (optional)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of children to return',
+          default: 50,
+        },
+        orderBy: {
+          type: 'string',
+          description: 'Sort order, e.g. "fFolderName asc" (optional)',
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor from a previous list-folder-children result, to fetch the following page (optional)',
+        },
+      },
+    },
+    annotations: READ_ONLY,
+    outputSchema: FOLDER_CHILDREN_SCHEMA,
+    handler: async (client, args, { maxRows }) => {
+      let page;
+      if (args.cursor) {
+        page = decodeCursor(args.cursor, 'list-folder-children');
+        if ((args.fFolderGUID && args.fFolderGUID !== page.fFolderGUID) || args.path) {
+          throw new Error('This cursor belongs to a different folder; omit fFolderGUID and path or start again without cursor');
+        }
+      } else {
+        const folder = await resolveFolderArgument(client, args.fFolderGUID, args.path);
+        page = { fFolderGUID: folder.fFolderGUID, offset: 0, limit: args.limit || 50, orderBy: args.orderBy };
+      }
+      page.limit = pageLimit(page.limit, maxRows);
+
+      const { items, hasMore, returned } = await listFolderChildren(client, page.fFolderGUID, page);
+      return {
+        fFolderGUID: page.fFolderGUID,
+        items,
+        hasMore,
+        ...(hasMore && { nextCursor: encodeCursor('list-folder-children', { ...page, offset: page.offset + returned }) }),
+      };
+    },
+    projection: ['type', 'fFolderName', 'fFileName', 'fFolderGUID', 'fFileGUID', 'dDocName', 'dDocTitle'],
+  },
+  {
+    name: 'get-folder-tree',
+    category: 'folders',
+    description: 'Show the folder hierarchy below a folder (by GUID or path) down to a depth limit, optionally with files. Folders at the depth limit are returned without their children; call again from them to go deeper',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID to start from (optional, default: the root folder)',
+        },
+        path: {
+          type: 'string',
+          description: 'Folder path to start from instead of fFolderGUID (optional)',
+        },
+        depth: {
+          type: 'number',
+          description: 'Levels below the starting folder to list (1-10)',
+          default: 2,
+        },
+        includeFiles: {
+          type: 'boolean',
+          description: 'Also list the files in each folder',
+          default: false,
+        },
+        maxNodes: {
+          type: 'number',
+          description: 'Stop after this many folders and files; the result is then marked truncated (1-5000)',
+          default: 500,
+        },
+      },
+    },
+    annotations: READ_ONLY,
+    // The nested tree is already compact; table and summary views would flatten it
+    formatResults: false,
+    handler: async (client, args) => {
+      const depth = Math.min(Math.max(Math.floor(args.depth ?? 2), 1), 10);
+      const maxNodes = Math.min(Math.max(Math.floor(args.maxNodes ?? 500), 1), 5000);
+      const folder = await resolveFolderArgument(client, args.fFolderGUID, args.path);
+      const root = folder.path !== undefined ? folder : await getFolderPath(client, { fFolderGUID: folder.fFolderGUID });
+      return getFolderTree(client, root, { depth, includeFiles: args.includeFiles === true, maxNodes });
+    },
+  },
+
+  // PUBLIC LINKS
+
+  {
+    name: 'create-public-link-for-file',
+    category: 'links',
+    description: 'Create public link for file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFileGUID: {
+          type: 'string',
+          description: 'File GUID',
+        },
+        publicLinkData: {
+          type: 'object',
+          description: 'Public link data',
+        },
+      },
+      required: ['fFileGUID', 'publicLinkData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.createPublicLinkForFile(
+      args.fFileGUID,
+      args.publicLinkData
+    ),
+  },
+  {
+    name: 'get-public-links-for-file',
+    category: 'links',
+    description: 'List public links for file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFileGUID: {
+          type: 'string',
+          description: 'File GUID',
+        },
+        offset: {
+          type: 'number',
+          description: 'Offset for pagination (optional)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Limit for pagination (optional)',
+        },
+      },
+      required: ['fFileGUID'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getPublicLinksForFile(
+      args.fFileGUID,
+      args.offset,
+      args.limit
+    ),
+  },
+  {
+    name: 'create-public-link-for-folder',
+    category: 'links',
+    description: 'Create public link for folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+        publicLinkData: {
+          type: 'object',
+          description: 'Public link data',
+        },
+      },
+      required: ['fFolderGUID', 'publicLinkData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.createPublicLinkForFolder(
+      args.fFolderGUID,
+      args.publicLinkData
+    ),
+  },
+  {
+    name: 'get-public-links-for-folder',
+    category: 'links',
+    description: 'List public links for folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+        offset: {
+          type: 'number',
+          description: 'Offset for pagination (optional)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Limit for pagination (optional)',
+        },
+      },
+      required: ['fFolderGUID'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getPublicLinksForFolder(
+      args.fFolderGUID,
+      args.offset,
+      args.limit
+    ),
+  },
+  {
+    name: 'get-public-link-info',
+    category: 'links',
+    description: 'Get public link info',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dLinkID: {
+          type: 'string',
+          description: 'Link ID',
+        },
+      },
+      required: ['dLinkID'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getPublicLinkInfo(args.dLinkID),
+  },
+
+  // APPLICATION LINKS
+
+  {
+    name: 'create-application-link',
+    category: 'links',
+    description: 'Create application link',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+        applicationLinkData: {
+          type: 'object',
+          description: 'Application link data',
+        },
+      },
+      required: ['fFolderGUID', 'applicationLinkData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.createApplicationLink(
+      args.fFolderGUID,
+      args.applicationLinkData
+    ),
+  },
+  {
+    name: 'get-application-links-for-folder',
+    category: 'links',
+    description: 'List application links for folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fFolderGUID: {
+          type: 'string',
+          description: 'Folder GUID',
+        },
+        offset: {
+          type: 'number',
+          description: 'Offset for pagination (optional)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Limit for pagination (optional)',
+        },
+      },
+      required: ['fFolderGUID'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getApplicationLinksForFolder(
+      args.fFolderGUID,
+      args.offset,
+      args.limit
+    ),
+  },
+  {
+    name: 'get-application-link-info',
+    category: 'links',
+    description: 'Get application link info',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dAppLinkID: {
+          type: 'string',
+          description: 'Application link ID',
+        },
+      },
+      required: ['dAppLinkID'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getApplicationLinkInfo(args.dAppLinkID),
+  },
+  {
+    name: 'delete-application-link',
+    category: 'links',
+    description: 'Delete application link',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dAppLinkID: {
+          type: 'string',
+          description: 'Application link ID',
+        },
+      },
+      required: ['dAppLinkID'],
+    },
+    annotations: DESTRUCTIVE,
+    preview: (client, args) => client.getApplicationLinkInfo(args.dAppLinkID),
+    handler: (client, args) => client.deleteApplicationLink(args.dAppLinkID),
+  },
+  {
+    name: 'refresh-application-link-token',
+    category: 'links',
+    description: 'Refresh application link access token',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dAppLinkID: {
+          type: 'string',
+          description: 'Application link ID',
+        },
+        refreshData: {
+          type: 'object',
+          description: 'Refresh token data',
+        },
+      },
+      required: ['dAppLinkID', 'refreshData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.refreshApplicationLinkToken(
+      args.dAppLinkID,
+      args.refreshData
+    ),
+  },
+
+  // BACKGROUND JOBS
+
+  {
+    name: 'start-bulk-delete-job',
+    category: 'bulk',
+    description: 'Start bulk delete job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobRequest: {
+          type: 'object',
+          description: 'Job request data',
+        },
+      },
+      required: ['jobRequest'],
+    },
+    annotations: DESTRUCTIVE,
+    handler: (client, args) => client.startBulkDeleteJob(args.jobRequest),
+  },
+  {
+    name: 'start-bulk-download-job',
+    category: 'bulk',
+    description: 'Start bulk download job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobRequest: {
+          type: 'object',
+          description: 'Job request data',
+        },
+      },
+      required: ['jobRequest'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.startBulkDownloadJob(args.jobRequest),
+  },
+  {
+    name: 'start-bulk-add-category-job',
+    category: 'bulk',
+    description: 'Start bulk add category job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobRequest: {
+          type: 'object',
+          description: 'Job request data',
+        },
+      },
+      required: ['jobRequest'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.startBulkAddCategoryJob(args.jobRequest),
+  },
+  {
+    name: 'start-bulk-remove-category-job',
+    category: 'bulk',
+    description: 'Start bulk remove category job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobRequest: {
+          type: 'object',
+          description: 'Job request data',
+        },
+      },
+      required: ['jobRequest'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.startBulkRemoveCategoryJob(args.jobRequest),
+  },
+  {
+    name: 'cancel-background-job',
+    category: 'bulk',
+    description: 'Cancel a background job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dJobID: {
+          type: 'string',
+          description: 'Job ID',
+        },
+      },
+      required: ['dJobID'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.cancelBackgroundJob(args.dJobID),
+  },
+  {
+    name: 'get-background-job-status',
+    category: 'bulk',
+    description: 'Get status of a background job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dJobID: {
+          type: 'string',
+          description: 'Job ID',
+        },
+      },
+      required: ['dJobID'],
+    },
+    annotations: READ_ONLY,
+    outputSchema: JOB_STATUS_SCHEMA,
+    handler: (client, args) => client.getBackgroundJobStatus(args.dJobID),
+  },
+  {
+    name: 'download-background-job-package',
+    category: 'bulk',
+    description: 'Download background job package',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dJobID: {
+          type: 'string',
+          description: 'Job ID',
+        },
+        outputPath: {
+          type: 'string',
+          description: 'Local file path, or an existing directory to save under the server-provided file name',
+        },
+        resume: {
+          type: 'boolean',
+          description: 'Keep partial data on failure and resume it on the next call, if the file on the server has not changed (optional, default: false)',
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing file at the target path (optional, default: MCP_FILE_OVERWRITE or false)',
+        },
+      },
+      required: ['dJobID', 'outputPath'],
+    },
+    annotations: WRITES,
+    changesServer: false,
+    handler: async (client, args, { pathPolicy }) => {
+      const download = await saveDownload(
+        (options) => client.downloadBackgroundJobPackage(args.dJobID, options),
+        resolveWritePath(pathPolicy, args.outputPath),
+        { defaultFileName: `${args.dJobID}.zip`, resume: args.resume, overwrite: args.overwrite ?? pathPolicy.overwrite }
+      );
+      return { message: `Package downloaded successfully to: ${download.path}`, ...download };
+    },
+  },
+
+  // TAXONOMIES
+
+  {
+    name: 'create-taxonomy',
+    category: 'taxonomy',
+    description: 'Create a taxonomy',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taxonomyData: {
+          type: 'object',
+          description: 'Taxonomy creation data',
+        },
+      },
+      required: ['taxonomyData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.createTaxonomy(args.taxonomyData),
+  },
+  {
+    name: 'get-taxonomy',
+    category: 'taxonomy',
+    description: 'Get a taxonomy',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dTaxonomyGUID: {
+          type: 'string',
+          description: 'Taxonomy GUID',
+        },
+      },
+      required: ['dTaxonomyGUID'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getTaxonomy(args.dTaxonomyGUID),
+  },
+  {
+    name: 'update-taxonomy',
+    category: 'taxonomy',
+    description: 'Update a taxonomy',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dTaxonomyGUID: {
+          type: 'string',
+          description: 'Taxonomy GUID',
+        },
+        taxonomyData: {
+          type: 'object',
+          description: 'Taxonomy update data',
+        },
+      },
+      required: ['dTaxonomyGUID', 'taxonomyData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.updateTaxonomy(
+      args.dTaxonomyGUID,
+      args.taxonomyData
+    ),
+  },
+
+  // SYSTEM OPERATIONS
+
+  {
+    name: 'list-connections',
+    category: 'system',
+    description: 'List the configured WebCenter Content connections and check whether each one is reachable',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    annotations: READ_ONLY,
+    usesConnection: false,
+    handler: (client, args, { connections, getClient }) => Promise.all(
+      [...connections.profiles.values()].map(async (profile) => {
+        const summary = {
+          name: profile.name,
+          default: profile.name === connections.defaultName,
+          baseUrl: profile.baseUrl,
+          authType: profile.authOptions.type,
+        };
+        try {
+          const result = await getClient(profile.name).testConnection();
+          return { ...summary, healthy: result.success, message: result.message };
+        } catch (error) {
+          return { ...summary, healthy: false, message: error.message };
+        }
+      })
+    ),
+  },
+  {
+    name: 'get-cache-stats',
+    category: 'system',
+    description: 'Show hit/miss counts and size of the response cache for document metadata, searches and schema data',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    handler: (client) => client.cache.stats(),
+  },
+  {
+    name: 'clear-cache',
+    category: 'system',
+    description: 'Clear the response cache so the next reads go to the server, e.g. after changes made outside this server. Pass dDocName to evict one document only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Only evict cached metadata for this document (optional)',
+        },
+      },
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    handler: (client, args) => {
+      const removed = args.dDocName
+        ? client.evictDocument(args.dDocName)
+        : client.cache.clear();
+      return { removed, stats: client.cache.stats() };
+    },
+  },
+  {
+    name: 'get-audit-log',
+    category: 'system',
+    description: 'Show recent tool calls from the audit log, newest first: when, over which transport and by which API key, the tool and its arguments (secrets removed), the document or folder involved, the outcome, the WebCenter Content HTTP status and the duration',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Maximum entries to return (optional, default: 50, max: 500)',
+        },
+        tool: {
+          type: 'string',
+          description: 'Only calls of this tool (optional)',
+        },
+        caller: {
+          type: 'string',
+          description: 'Only calls made with this API key name (optional)',
+        },
+        outcome: {
+          type: 'string',
+          enum: AUDIT_OUTCOMES,
+          description: 'Only calls with this outcome (optional)',
+        },
+        target: {
+          type: 'string',
+          description: 'Only calls on this dDocName, dID or fFolderGUID (optional)',
+        },
+        since: {
+          type: 'string',
+          description: 'Only calls at or after this ISO timestamp, e.g. 2024-05-01T00:00:00Z (optional)',
+        },
+      },
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    usesConnection: false,
+    adminOnly: true,
+    handler: async (client, args, { auditLog }) => {
+      const { entries, file } = await auditLog.query({ ...args, limit: Math.min(args.limit || 50, 500) });
+      return { items: entries, count: entries.length, file };
+    },
+    projection: ['timestamp', 'tool', 'caller', 'outcome', 'status', 'durationMs', 'target.dDocName', 'target.dID', 'target.fFolderGUID', 'error'],
+  },
+  {
+    name: 'get-document-types',
+    category: 'system',
+    description: 'List document types',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    annotations: READ_ONLY,
+    handler: (client) => client.getDocumentTypes(),
+    projection: ['dDocType', 'dDescription'],
+  },
+  {
+    name: 'get-document-config-info',
+    category: 'system',
+    description: 'Get configuration info',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        rowLimit: {
+          type: 'number',
+          description: 'Row limit (optional)',
+        },
+        includeResultSets: {
+          type: 'string',
+          description: 'Include result sets (optional)',
+        },
+      },
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getDocumentConfigInfo(
+      args.rowLimit,
+      args.includeResultSets
+    ),
+  },
+  {
+    name: 'get-document-meta-info',
+    category: 'system',
+    description: 'Get metadata fields info',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    annotations: READ_ONLY,
+    handler: (client) => client.getDocumentMetaInfo(),
+    projection: ['dName', 'dCaption', 'dType', 'dIsRequired', 'dIsEnabled', 'dIsSearchable', 'dIsOptionList', 'dOptionListKey', 'dDefaultValue'],
+  },
+  {
+    name: 'query-data-source',
+    category: 'system',
+    description: 'Query data source',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dataSource: {
+          type: 'string',
+          description: 'Data source name',
+        },
+        whereClause: {
+          type: 'string',
+          description: 'Where clause (optional)',
+        },
+        orderClause: {
+          type: 'string',
+          description: 'Order clause (optional)',
+        },
+        maxRows: {
+          type: 'number',
+          description: 'Maximum rows (optional)',
+        },
+        startRow: {
+          type: 'number',
+          description: 'Start row (optional)',
+        },
+      },
+      required: ['dataSource'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.queryDataSource(
+      args.dataSource,
+      args.whereClause,
+      args.orderClause,
+      args.maxRows,
+      args.startRow
+    ),
+  },
+
+  // WORKFLOW OPERATIONS
+
+  {
+    name: 'create-workflow',
+    category: 'workflow',
+    description: 'Create a new workflow',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workflowData: {
+          type: 'object',
+          description: 'Workflow data',
+        },
+      },
+      required: ['workflowData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.createWorkflow(args.workflowData),
+  },
+  {
+    name: 'get-workflow',
+    category: 'workflow',
+    description: 'Get workflow information',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dWfName: {
+          type: 'string',
+          description: 'Workflow name',
+        },
+      },
+      required: ['dWfName'],
+    },
+    annotations: READ_ONLY,
+    outputSchema: WORKFLOW_SCHEMA,
+    handler: (client, args) => client.getWorkflow(args.dWfName),
+  },
+  {
+    name: 'update-workflow',
+    category: 'workflow',
+    description: 'Edit workflow',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dWfName: {
+          type: 'string',
+          description: 'Workflow name',
+        },
+        workflowData: {
+          type: 'object',
+          description: 'Workflow update data',
+        },
+      },
+      required: ['dWfName', 'workflowData'],
+    },
+    annotations: WRITES,
+    handler: (client, args) => client.updateWorkflow(
+      args.dWfName,
+      args.workflowData
+    ),
+  },
+  {
+    name: 'approve-workflow',
+    category: 'workflow',
+    description: 'Approve workflow for document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: WRITES,
+    outputSchema: WORKFLOW_ACTION_SCHEMA,
+    handler: (client, args) => client.approveWorkflow(args.dDocName),
+    structured: (response, args) => ({ dDocName: args.dDocName, action: 'approve', response }),
+  },
+  {
+    name: 'reject-workflow',
+    category: 'workflow',
+    description: 'Reject workflow for document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name',
+        },
+        rejectMessage: {
+          type: 'string',
+          description: 'Rejection message (optional)',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: DESTRUCTIVE,
+    outputSchema: WORKFLOW_ACTION_SCHEMA,
+    preview: (client, args) => client.getDocumentMetadata(args.dDocName),
+    handler: (client, args) => client.rejectWorkflow(
+      args.dDocName,
+      args.rejectMessage
+    ),
+    structured: (response, args) => ({ dDocName: args.dDocName, action: 'reject', response }),
+  },
+
+  // ATTACHMENT OPERATIONS
+
+  {
+    name: 'add-attachment',
+    category: 'attachments',
+    description: 'Add attachment to document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name',
+        },
+        extRenditionName: {
+          type: 'string',
+          description: 'External rendition name',
+        },
+        filePath: {
+          type: 'string',
+          description: 'Path to attachment file',
+        },
+        extRenditionDescription: {
+          type: 'string',
+          description: 'External rendition description (optional)',
+        },
+        version: {
+          type: 'string',
+          description: 'Version (optional)',
+        },
+      },
+      required: ['dDocName', 'extRenditionName', 'filePath'],
+    },
+    annotations: WRITES,
+    handler: (client, args, { pathPolicy }) => client.addAttachment(
+      args.dDocName,
+      args.extRenditionName,
+      resolveReadPath(pathPolicy, args.filePath),
+      args.extRenditionDescription,
+      args.version
+    ),
+  },
+  {
+    name: 'get-attachments',
+    category: 'attachments',
+    description: 'List attachments for document',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name',
+        },
+      },
+      required: ['dDocName'],
+    },
+    annotations: READ_ONLY,
+    handler: (client, args) => client.getAttachments(args.dDocName),
+  },
+  {
+    name: 'download-attachment',
+    category: 'attachments',
+    description: 'Download attachment',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name',
+        },
+        extRenditionName: {
+          type: 'string',
+          description: 'External rendition name',
+        },
+        outputPath: {
+          type: 'string',
+          description: 'Local file path, or an existing directory to save under the server-provided file name',
+        },
+        resume: {
+          type: 'boolean',
+          description: 'Keep partial data on failure and resume it on the next call, if the file on the server has not changed (optional, default: false)',
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing file at the target path (optional, default: MCP_FILE_OVERWRITE or false)',
+        },
+      },
+      required: ['dDocName', 'extRenditionName', 'outputPath'],
+    },
+    annotations: WRITES,
+    changesServer: false,
+    handler: async (client, args, { pathPolicy }) => {
+      const download = await saveDownload(
+        (options) => client.downloadAttachment(args.dDocName, args.extRenditionName, options),
+        resolveWritePath(pathPolicy, args.outputPath),
+        { defaultFileName: args.extRenditionName, resume: args.resume, overwrite: args.overwrite ?? pathPolicy.overwrite }
+      );
+      return { message: `Attachment downloaded successfully to: ${download.path}`, ...download };
+    },
+  },
+  {
+    name: 'delete-attachment',
+    category: 'attachments',
+    description: 'Delete attachment',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dDocName: {
+          type: 'string',
+          description: 'Document name',
+        },
+        extRenditionName: {
+          type: 'string',
+          description: 'External rendition name',
+        },
+      },
+      required: ['dDocName', 'extRenditionName'],
+    },
+    annotations: DESTRUCTIVE,
+    preview: (client, args) => client.getAttachments(args.dDocName),
+    handler: (client, args) => client.deleteAttachment(
+      args.dDocName,
+      args.extRenditionName
+    ),
+  },
+
+  // SEARCH HELPERS
+
+  {
+    name: 'build-search-query',
+    category: 'documents',
+    description: `Build a properly formatted search query for WebCenter Content. Use this BEFORE calling search-documents when you need to search by metadata fields or combine text with filters.
+
+  METADATA FIELDS MAPPING:
+  - Security Group → dSecurityGroup
+  - Document Title → dDocTitle  
+  - Document Name/Public ID → dDocName
+  - Internal ID → dID
+  - Author → dDocAuthor
+  - Document Type → dDocType
+  - Original Filename → dOriginalName
+  - Creation Date → dInDate
+  - Modified Date → dOutDate
+
+  OPERATORS:
+  - Text: contains (word match), matches (exact), equals, starts, ends, substring
+  - Dates and numbers: <, <=, >, >=, =, between (from/to); dates are ISO (YYYY-MM-DD or YYYY-MM-DDTHH:MM:SS, server time, no time-zone offset)
+
+  EXAMPLES:
+  - "Find files by security group abc" → filters: {dSecurityGroup: {operator: "contains", value: "abc"}}
+  - "Search documents by title contract" → filters: {dDocTitle: {operator: "contains", value: "contract"}}
+  - "Find files by author john" → filters: {dDocAuthor: {operator: "contains", value: "john"}}
+  - "Search for contract files in fishbowl security group" → text: "contract", filters: {dSecurityGroup: {operator: "contains", value: "fishbowl"}}
+  - "Files checked in during Q1 2024" → filters: {dInDate: {operator: "between", from: "2024-01-01", to: "2024-03-31"}}
+  - "Invoices, or titles starting with Q1 not written by bot" → where: {or: [{field: "dDocType", operator: "matches", value: "Invoice"}, {and: [{field: "dDocTitle", operator: "starts", value: "Q1"}, {not: {field: "dDocAuthor", operator: "ends", value: "bot"}}]}]}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: {
+          type: 'string',
+          description: 'Simple text to search for (optional)',
+        },
+        filters: {
+          type: 'object',
+          description: 'Metadata filters keyed by field name, all of which must match (optional)',
+          properties: {
+            dSecurityGroup: QUERY_FILTER_SCHEMA,
+            dDocAuthor: QUERY_FILTER_SCHEMA,
+            dDocTitle: QUERY_FILTER_SCHEMA,
+            dOriginalName: QUERY_FILTER_SCHEMA,
+            dDocType: QUERY_FILTER_SCHEMA,
+            dInDate: QUERY_FILTER_SCHEMA,
+            dOutDate: QUERY_FILTER_SCHEMA,
+          },
+          additionalProperties: QUERY_FILTER_SCHEMA,
+        },
+        where: {
+          type: 'object',
+          description: 'Nested conditions for OR, NOT and grouping (optional). A clause is {and: [clauses]}, {or: [clauses]}, {not: clause}, {text: "full text"} or {field, operator, value} (from/to for between)',
+          properties: {
+            and: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'All of these clauses must match',
+            },
+            or: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Any of these clauses must match',
+            },
+            not: {
+              type: 'object',
+              description: 'This clause must not match',
+            },
+            ...QUERY_FILTER_SCHEMA.properties,
+            field: {
+              type: 'string',
+              description: 'Metadata field name for a single condition',
+            },
+          },
+        },
+        match: {
+          type: 'string',
+          enum: ['all', 'any'],
+          description: 'Whether text, filters and where must all match or any may match (optional, default: all)',
+        },
+      },
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    dynamicSchema: (inputSchema, model) => withQueryFields(inputSchema, model, QUERY_FILTER_SCHEMA),
+    handler: (client, args) => client.buildSearchQuery(args),
+  },
+  {
+    name: 'validate-search-query',
+    category: 'documents',
+    description: 'Check a hand-written WebCenter Content query before running it: reports syntax errors with their character position, flags unknown metadata fields, and returns the parsed query and a normalized query string',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Query string, e.g. dDocType <matches> `Invoice` <AND> dInDate >= `01/01/2024`',
+        },
+        checkFields: {
+          type: 'boolean',
+          description: 'Check field names against the server metadata definitions (optional, default: true)',
+        },
+      },
+      required: ['query'],
+    },
+    annotations: READ_ONLY,
+    handler: async (client, args) => {
+      const knownFields = args.checkFields === false
+        ? null
+        : metadataFieldNames(await client.getDocumentMetaInfo());
+      return validateQuery(args.query, knownFields);
+    },
+    formatResults: false,
+  },
+];
+
+const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+
+/**
+ * Get a tool definition by name
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} Tool definition
+ */
+export function getTool(name) {
+  return toolsByName.get(name);
+}
+
+/**
+ * List tool descriptors in the shape expected by tools/list
+ * @param {Function} filter - Predicate deciding which tool definitions to include (optional)
+ * @param {Object} options - Options (optional)
+ * @param {Object} options.metadataModel - Metadata model of the server; tools with a
+ *   dynamicSchema hook then describe its custom fields
+ * @param {boolean} options.sharedSchemas - Calls may name other connections than the one the
+ *   model came from, so the schemas only suggest its values instead of enforcing them
+ * @param {Function} options.requiresConfirmation - Predicate for tools that take a confirmationToken
+ * @returns {Array<Object>} Tool descriptors without handlers
+ */
+export function listTools(filter = () => true, { metadataModel = null, sharedSchemas = false, requiresConfirmation = () => false } = {}) {
+  return tools.filter(filter).map((tool) => {
+    let inputSchema = metadataModel && tool.dynamicSchema
+      ? tool.dynamicSchema(tool.inputSchema, metadataModel, { strict: !sharedSchemas })
+      : tool.inputSchema;
+    if (tool.usesConnection !== false) {
+      inputSchema = withConnectionArgument(inputSchema);
+    }
+    if (isFormattable(tool)) {
+      inputSchema = withFormatArgument(inputSchema);
+    }
+    const alternatives = [];
+    if (requiresConfirmation(tool)) {
+      inputSchema = withConfirmationArgument(inputSchema);
+      alternatives.push(CONFIRMATION_PREVIEW_SCHEMA);
+    }
+    if (changesServer(tool)) {
+      inputSchema = withDryRunArgument(inputSchema);
+      alternatives.push(DRY_RUN_SCHEMA);
+    }
+    return {
+      name: tool.name,
+      description: tool.description,
+      inputSchema,
+      ...(tool.outputSchema && { outputSchema: withAlternativeResults(tool.outputSchema, alternatives) }),
+      annotations: tool.annotations,
+    };
+  });
+}
+
+/**
+ * Whether a tool sends writes to WebCenter Content, and so accepts `dryRun`
+ * @param {Object} tool - Tool definition
+ * @returns {boolean} True unless the tool is read-only, local-only or opts out
+ */
+export function changesServer(tool) {
+  return tool.annotations?.readOnlyHint !== true && tool.annotations?.openWorldHint !== false && tool.changesServer !== false;
+}
+
+/**
+ * Whether a tool's result goes through formatResult and accepts `format`
+ * @param {Object} tool - Tool definition
+ * @returns {boolean} True unless the tool returns content items or opts out
+ */
+export function isFormattable(tool) {
+  return !tool.returnsContent && tool.formatResults !== false;
+}
+
+/**
+ * Add the optional `connection` argument shared by every WebCenter tool
+ * @param {Object} inputSchema - Tool input schema
+ * @returns {Object} Schema including the connection property
+ */
+function withConnectionArgument(inputSchema) {
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      connection: {
+        type: 'string',
+        description: 'Name of the WebCenter Content connection to use (optional, see list-connections)',
+      },
+    },
+  };
+}
+
+/**
+ * Add the optional `format` argument for tools whose results are formatted
+ * @param {Object} inputSchema - Tool input schema
+ * @returns {Object} Schema including the format property
+ */
+function withFormatArgument(inputSchema) {
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      format: {
+        type: 'string',
+        enum: RESULT_FORMATS,
+        description: 'Result format: compact (key fields, one JSON line per row), table (markdown), summary (a few lines) or raw (full JSON) (optional, defaults to the server setting, normally compact)',
+      },
+    },
+  };
+}
+
+/**
+ * Add the optional `confirmationToken` argument for tools that need confirmation
+ * @param {Object} inputSchema - Tool input schema
+ * @returns {Object} Schema including the confirmationToken property
+ */
+function withConfirmationArgument(inputSchema) {
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      confirmationToken: {
+        type: 'string',
+        description: 'Token from this tool\'s confirmation preview. Without it the call only returns a preview; show it to the user and resubmit the same arguments with the token once they agree',
+      },
+    },
+  };
+}
+
+/**
+ * Add the optional `dryRun` argument for tools that send writes
+ * @param {Object} inputSchema - Tool input schema
+ * @returns {Object} Schema including the dryRun property
+ */
+function withDryRunArgument(inputSchema) {
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      dryRun: {
+        type: 'boolean',
+        description: 'Return the HTTP requests this call would send instead of sending them; reads still run (optional, default: false; always on when the server sets WCC_DRY_RUN)',
+      },
+    },
+  };
+}
@@ -1,36 +1,312 @@
 import axios from 'axios';
 import FormData from 'form-data';
 import { createReadStream } from 'fs';
+import { ResponseCache } from './cache.js';
+import { AuthExpiredError, toWebCenterError } from './errors.js';
+import { createDryRunAdapter, isDryRun } from './dry-run.js';
+import { traceResponseStatus } from './audit-log.js';
+import { DEFAULT_HTTP_OPTIONS, DEFAULT_MAX_CONCURRENT_REQUESTS, createLimiter, createPolicyAdapter } from './http-policy.js';
+import { buildQueryAst, serializeQuery } from './search-query.js';
+
+// Supported ways of authenticating to WebCenter Content
+const AUTH_TYPES = ['basic', 'bearer', 'oauth2-client-credentials', 'oauth2-password'];
+
+// Refresh OAuth tokens this long before they expire
+const TOKEN_REFRESH_SKEW_MS = 60 * 1000;
+
+// fFolderGUID of the top of the folder hierarchy (FrameworkFolders)
+export const ROOT_FOLDER_GUID = 'FLD_ROOT';
+
+/**
+ * Read authentication settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @param {string} prefix - Variable prefix, e.g. WCC_ or WCC_PROD_ for a named connection
+ * @returns {Object} Auth options for the WebCenterContentClient constructor
+ */
+export function getAuthOptionsFromEnv(env = process.env, prefix = 'WCC_') {
+  return {
+    type: env[`${prefix}AUTH_TYPE`] || 'basic',
+    token: env[`${prefix}ACCESS_TOKEN`],
+    tokenUrl: env[`${prefix}OAUTH_TOKEN_URL`],
+    clientId: env[`${prefix}OAUTH_CLIENT_ID`],
+    clientSecret: env[`${prefix}OAUTH_CLIENT_SECRET`],
+    scope: env[`${prefix}OAUTH_SCOPE`],
+  };
+}
+
+/**
+ * Whether a search response has more results after this page. Uses the REST
+ * hasMore flag when present, otherwise assumes more when the page was full.
+ * @param {Object} response - searchDocuments response
+ * @param {number} limit - Page size that was requested
+ * @returns {boolean} True if another page should be fetched
+ */
+export function hasMoreResults(response, limit) {
+  if (typeof response?.hasMore === 'boolean') {
+    return response.hasMore;
+  }
+  return (response?.items?.length || 0) >= limit;
+}
+
+/**
+ * Cache tag for one document; content IDs are case-insensitive in WebCenter Content
+ * @param {string} dDocName - Document name
+ * @returns {string} Tag
+ */
+function documentTag(dDocName) {
+  return `doc:${String(dDocName).toUpperCase()}`;
+}
 
 export class WebCenterContentClient {
-  constructor(baseUrl, username, password) {
+  /**
+   * @param {string} baseUrl - WebCenter Content REST API base URL
+   * @param {string} username - Username (basic auth and the OAuth2 password grant)
+   * @param {string} password - Password (basic auth and the OAuth2 password grant)
+   * @param {Object} authOptions - Authentication options (optional, defaults to basic auth)
+   * @param {string} authOptions.type - basic, bearer, oauth2-client-credentials or oauth2-password
+   * @param {string} authOptions.token - Static access token for bearer auth
+   * @param {string} authOptions.tokenUrl - OAuth2 token endpoint, e.g. https://idcs-xxx.identity.oraclecloud.com/oauth2/v1/token
+   * @param {string} authOptions.clientId - OAuth2 client ID
+   * @param {string} authOptions.clientSecret - OAuth2 client secret
+   * @param {string} authOptions.scope - OAuth2 scope (optional)
+   * @param {Object} httpOptions - Timeouts, retries and concurrency (optional, see getHttpOptionsFromEnv)
+   * @param {number} httpOptions.timeoutMs - Timeout for API calls
+   * @param {number} httpOptions.downloadTimeoutMs - Idle timeout for downloads
+   * @param {number} httpOptions.uploadTimeoutMs - Timeout for file uploads
+   * @param {number} httpOptions.maxRetries - Retries for idempotent requests
+   * @param {number} httpOptions.retryBaseDelayMs - First backoff delay
+   * @param {number} httpOptions.retryMaxDelayMs - Longest backoff or Retry-After delay
+   * @param {Object} httpOptions.limiter - Limiter shared with other clients (optional, see createLimiter)
+   * @param {Object} cacheOptions - Response cache TTLs and size (optional, see getCacheOptionsFromEnv)
+   */
+  constructor(baseUrl, username, password, authOptions = {}, httpOptions = {}, cacheOptions = {}) {
+    const authType = authOptions.type || 'basic';
+
     // Validate required parameters
     if (!baseUrl) {
       throw new Error('WebCenter Content base URL is required');
     }
-    if (!username) {
-      throw new Error('WebCenter Content username is required');
+    if (!AUTH_TYPES.includes(authType)) {
+      throw new Error(`Unsupported WebCenter Content auth type "${authType}". Use one of: ${AUTH_TYPES.join(', ')}`);
     }
-    if (!password) {
-      throw new Error('WebCenter Content password is required');
+    if (authType === 'basic' || authType === 'oauth2-password') {
+      if (!username) {
+        throw new Error('WebCenter Content username is required');
+      }
+      if (!password) {
+        throw new Error('WebCenter Content password is required');
+      }
+    }
+    if (authType === 'bearer' && !authOptions.token) {
+      throw new Error('WebCenter Content access token is required for bearer auth');
+    }
+    if (authType.startsWith('oauth2-')) {
+      if (!authOptions.tokenUrl) {
+        throw new Error('OAuth2 token URL is required');
+      }
+      if (!authOptions.clientId || !authOptions.clientSecret) {
+        throw new Error('OAuth2 client ID and client secret are required');
+      }
     }
 
     this.baseUrl = baseUrl;
     this.username = username;
     this.password = password;
-    this.authToken = null;
-    
-    // Create axios instance with basic auth
+    this.authType = authType;
+    this.authOptions = authOptions;
+    this.authToken = authType === 'bearer' ? authOptions.token : null;
+    this.refreshToken = null;
+    this.tokenExpiresAt = null;
+    this.tokenRequest = null;
+    this.httpOptions = { ...DEFAULT_HTTP_OPTIONS, ...httpOptions };
+    this.cache = new ResponseCache(cacheOptions);
+
+    // Create axios instance; basic auth is handled by axios, token auth by interceptors,
+    // retries and the concurrency limit by the adapter, which also holds back writes in a dry run
     this.axiosInstance = axios.create({
       baseURL: baseUrl,
-      auth: {
-        username: username,
-        password: password
-      },
+      timeout: this.httpOptions.timeoutMs,
+      adapter: createDryRunAdapter(createPolicyAdapter(
+        this.httpOptions,
+        httpOptions.limiter || createLimiter(DEFAULT_MAX_CONCURRENT_REQUESTS)
+      )),
+      ...(authType === 'basic' && {
+        auth: {
+          username: username,
+          password: password
+        }
+      }),
       headers: {
         'Content-Type': 'application/json'
       }
     });
+
+    if (authType !== 'basic') {
+      this.setupTokenInterceptors();
+    }
+
+    // Registered last so the token retry above still sees the raw 401
+    this.axiosInstance.interceptors.response.use((response) => {
+      if (!isDryRun()) {
+        this.invalidateAfterWrite(response.config);
+        traceResponseStatus(response.status);
+      }
+      return response;
+    }, async (error) => {
+      const typed = await toWebCenterError(error);
+      traceResponseStatus(typed.status);
+      throw typed;
+    });
+  }
+
+  /**
+   * GET a JSON resource through the response cache
+   * @param {string} url - API path
+   * @param {Object} config - axios request config (optional)
+   * @param {Object} options - Caching options (optional)
+   * @param {boolean} options.schema - Schema data, cached with the long TTL
+   * @param {Array<string>} options.tags - Tags that writes use to evict the entry
+   * @returns {Promise<Object>} Response data
+   */
+  async cachedGet(url, config = {}, { schema = false, tags = [] } = {}) {
+    const key = `${url}?${JSON.stringify(config.params || {})}`;
+    const ttlMs = schema ? this.cache.options.schemaTtlMs : this.cache.options.ttlMs;
+    return this.cache.wrap(key, { ttlMs, tags: schema ? ['schema', ...tags] : tags }, async () => {
+      const response = await this.axiosInstance.get(url, config);
+      return response.data;
+    });
+  }
+
+  /**
+   * Drop cached metadata for one document
+   * @param {string} dDocName - Document name
+   * @returns {number} Entries removed
+   */
+  evictDocument(dDocName) {
+    return this.cache.invalidateTag(documentTag(dDocName));
+  }
+
+  /**
+   * Evict cached reads a successful write may have changed. Every write can
+   * change search results; writes under /files/{dDocName} evict that document,
+   * writes by revision ID or in bulk evict all documents, and /system writes
+   * evict schema data.
+   * @param {Object} config - axios request config of the write
+   */
+  invalidateAfterWrite(config) {
+    const method = (config?.method || 'get').toLowerCase();
+    if (['get', 'head', 'options'].includes(method)) return;
+
+    const url = config.url || '';
+    this.cache.invalidateTag('search');
+    if (url.startsWith('/system/')) {
+      this.cache.invalidateTag('schema');
+    }
+    const byName = url.match(/^\/files\/([^/.][^/]*)/);
+    if (byName && byName[1] !== 'data') {
+      this.cache.invalidateTag(documentTag(decodeURIComponent(byName[1])));
+    } else if (/^\/(files\/\.by\.did|\.bulk|folders)\//.test(url)) {
+      this.cache.invalidateTag('doc');
+    }
+  }
+
+  /**
+   * Attach bearer tokens to every request and retry once with a fresh token on 401
+   */
+  setupTokenInterceptors() {
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      config.headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+      return config;
+    });
+
+    this.axiosInstance.interceptors.response.use(null, async (error) => {
+      const config = error.config;
+      if (error.response?.status !== 401 || !config || config.authRetried || this.authType === 'bearer') {
+        throw error;
+      }
+
+      // Token was revoked or expired early: drop it and try once more
+      config.authRetried = true;
+      this.authToken = null;
+      this.tokenExpiresAt = null;
+      return this.axiosInstance.request(config);
+    });
+  }
+
+  /**
+   * Get a valid access token, requesting or refreshing one when needed
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.authType === 'bearer') {
+      return this.authToken;
+    }
+    if (this.authToken && this.tokenExpiresAt && Date.now() < this.tokenExpiresAt - TOKEN_REFRESH_SKEW_MS) {
+      return this.authToken;
+    }
+
+    // Share one in-flight token request between concurrent API calls
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.requestAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+    return this.tokenRequest;
+  }
+
+  /**
+   * Request a token from the OAuth2 token endpoint (IDCS / OCI IAM)
+   * @returns {Promise<string>} Access token
+   */
+  async requestAccessToken() {
+    const { tokenUrl, clientId, clientSecret, scope } = this.authOptions;
+    const form = new URLSearchParams();
+
+    if (this.refreshToken) {
+      form.append('grant_type', 'refresh_token');
+      form.append('refresh_token', this.refreshToken);
+    } else if (this.authType === 'oauth2-password') {
+      form.append('grant_type', 'password');
+      form.append('username', this.username);
+      form.append('password', this.password);
+    } else {
+      form.append('grant_type', 'client_credentials');
+    }
+    if (scope) form.append('scope', scope);
+
+    let response;
+    try {
+      response = await axios.post(tokenUrl, form.toString(), {
+        auth: {
+          username: clientId,
+          password: clientSecret
+        },
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+    } catch (error) {
+      if (this.refreshToken) {
+        // Refresh token expired: fall back to the original grant
+        this.refreshToken = null;
+        return this.requestAccessToken();
+      }
+      const detail = error.response?.data?.error_description || error.message;
+      throw new AuthExpiredError(`OAuth2 token request failed: ${detail}`, {
+        status: error.response?.status,
+        serverCode: error.response?.data?.error,
+        serverMessage: error.response?.data?.error_description,
+        operation: `POST ${tokenUrl}`,
+        hint: 'Check the OAuth token URL, client ID, client secret and scope for this connection',
+      });
+    }
+
+    const { access_token, expires_in, refresh_token } = response.data;
+    this.authToken = access_token;
+    this.tokenExpiresAt = Date.now() + (expires_in || 3600) * 1000;
+    if (refresh_token) this.refreshToken = refresh_token;
+
+    return this.authToken;
   }
 
   /**
@@ -61,24 +337,44 @@ export class WebCenterContentClient {
         return {
           success: false,
           message: `Connection failed: ${error.message}`,
-          error: error.response?.data || error.message
+          error: error.serverMessage || error.message
         };
       }
     }
   }
 
+  /**
+   * Append a file part to a multipart form
+   * @param {FormData} formData - Form to append to
+   * @param {string} field - Form field name
+   * @param {string|Object} file - Local file path, or { fileName, content } with base64 content
+   */
+  appendFile(formData, field, file) {
+    if (typeof file === 'string') {
+      formData.append(field, createReadStream(file));
+      return;
+    }
+    if (!file || !file.content || !file.fileName) {
+      throw new Error(`${field} requires either a file path or both fileName and base64 content`);
+    }
+    formData.append(field, Buffer.from(file.content, 'base64'), { filename: file.fileName });
+  }
+
   /**
    * Upload a new document to WebCenter Content
-   * @param {string} filePath - Path to the file to upload
-   * @param {Object} metadata - Document metadata
+   * @param {string|Object} primaryFile - Path to the file to upload, or { fileName, content } with base64 content
+   * @param {Object} metadata - Document metadata (dDocTitle, dDocType, dSecurityGroup, xFields, fParentGUID...)
+   * @param {string|Object} alternateFile - Alternate file path or { fileName, content } (optional)
    * @returns {Promise<Object>} Upload response
    */
-  async uploadDocument(filePath, metadata) {
+  async uploadDocument(primaryFile, metadata, alternateFile = null) {
     const formData = new FormData();
-    formData.append('primaryFile', createReadStream(filePath));
+    this.appendFile(formData, 'primaryFile', primaryFile);
+    if (alternateFile) this.appendFile(formData, 'alternateFile', alternateFile);
     formData.append('metadataValues', JSON.stringify(metadata));
 
     const response = await this.axiosInstance.post('/files/data', formData, {
+      timeout: this.httpOptions.uploadTimeoutMs,
       headers: {
         ...formData.getHeaders(),
         'Content-Type': 'multipart/form-data'
@@ -88,67 +384,70 @@ export class WebCenterContentClient {
     return response.data;
   }
 
+  /**
+   * Start a streamed download
+   * @param {string} url - API path to download from
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Download options (optional)
+   * @param {number} options.start - Byte offset to resume from with a Range request (optional)
+   * @param {string} options.ifRange - ETag or Last-Modified the range must match; otherwise the whole file is sent (optional)
+   * @returns {Promise<Object>} { stream, status, headers }; status is 206 when a range was served
+   */
+  async openDownload(url, params = {}, options = {}) {
+    const headers = {};
+    if (options.start > 0) {
+      headers.Range = `bytes=${options.start}-`;
+      if (options.ifRange) headers['If-Range'] = options.ifRange;
+    }
+    const response = await this.axiosInstance.get(url, {
+      params,
+      responseType: 'stream',
+      timeout: this.httpOptions.downloadTimeoutMs,
+      headers
+    });
+
+    return {
+      stream: response.data,
+      status: response.status,
+      headers: response.headers
+    };
+  }
+
   /**
    * Download document content
    * @param {string} dDocName - Document name
    * @param {string} version - Document version (optional)
    * @param {string} rendition - Rendition type (optional)
-   * @returns {Promise<Buffer>} File content
+   * @param {Object} options - Download options, see openDownload (optional)
+   * @returns {Promise<Object>} { stream, status, headers }
    */
-  async downloadDocument(dDocName, version = null, rendition = null) {
+  async downloadDocument(dDocName, version = null, rendition = null, options = {}) {
     const params = {};
     if (version) params.version = version;
     if (rendition) params.rendition = rendition;
 
-    const response = await this.axiosInstance.get(`/files/${dDocName}/data`, {
-      params,
-      responseType: 'stream'
-    });
-
-    return response.data;
+    return this.openDownload(`/files/${dDocName}/data`, params, options);
   }
 
   /**
    * Build a properly formatted search query for WebCenter Content
    * @param {Object} querySpec - Query specification
    * @param {string} querySpec.text - Simple text to search for (optional)
-   * @param {Object} querySpec.filters - Metadata filters (optional)
+   * @param {Object} querySpec.filters - Metadata filters keyed by field, each { operator, value } or
+   *   { operator: 'between', from, to } (optional)
+   * @param {Object} querySpec.where - Nested conditions: { and: [...] }, { or: [...] }, { not: {...} },
+   *   { text } or { field, operator, value } (optional)
+   * @param {string} querySpec.match - How text, filters and where combine: all (default) or any
    * @returns {string} Formatted query string
    */
   buildSearchQuery(querySpec) {
-    const { text, filters } = querySpec;
-    let queryParts = [];
-    
-    // Add text search if provided
-    if (text) {
-      queryParts.push(`<qsch>${text}</qsch>`);
-    }
-    
-    // Add metadata filters if provided
-    if (filters && Object.keys(filters).length > 0) {
-      const filterClauses = [];
-      
-      for (const [field, criteria] of Object.entries(filters)) {
-        if (criteria.operator === 'contains') {
-          filterClauses.push(`${field} <contains> \`${criteria.value}\``);
-        } else if (criteria.operator === 'equals') {
-          filterClauses.push(`${field} <equals> \`${criteria.value}\``);
-        }
-      }
-      
-      if (filterClauses.length > 0) {
-        queryParts.push(filterClauses.join(' <AND> '));
-      }
-    }
-    
-    // Join all parts with AND
-    return queryParts.join(' <AND> ');
+    return serializeQuery(buildQueryAst(querySpec));
   }
 
   /**
    * Search for documents globally
    * @param {string} query - Search query (use buildSearchQuery for complex queries)
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options: limit, offset, orderBy, fields (comma-separated)
    * @returns {Promise<Object>} Search results
    */
   async searchDocuments(query, options = {}) {
@@ -163,8 +462,38 @@ export class WebCenterContentClient {
       ...options
     };
     
-    const response = await this.axiosInstance.get('/files/search/items', { params });
-    return response.data;
+    return this.cachedGet('/files/search/items', { params }, { tags: ['search'] });
+  }
+
+  /**
+   * Iterate over every search hit, fetching pages as needed
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (optional)
+   * @param {number} options.pageSize - Results per request (default: 100)
+   * @param {number} options.max - Stop after this many results (default: 1000)
+   * @param {number} options.offset - Result to start from (default: 0)
+   * @param {string} options.orderBy - Sort order (optional)
+   * @param {string} options.fields - Comma-separated fields to return (optional)
+   * @returns {AsyncGenerator<Object>} Search result items
+   */
+  async *searchAll(query, options = {}) {
+    const { pageSize = 100, max = 1000, offset: start = 0, ...searchOptions } = options;
+    let offset = start;
+    let count = 0;
+
+    while (count < max) {
+      const limit = Math.min(pageSize, max - count);
+      const page = await this.searchDocuments(query, { ...searchOptions, limit, offset });
+      const items = page?.items || [];
+
+      for (const item of items) {
+        yield item;
+        count++;
+        if (count >= max) return;
+      }
+      if (items.length === 0 || !hasMoreResults(page, limit)) return;
+      offset += items.length;
+    }
   }
 
   /**
@@ -173,8 +502,7 @@ export class WebCenterContentClient {
    * @returns {Promise<Object>} Document metadata
    */
   async getDocumentMetadata(dDocName) {
-    const response = await this.axiosInstance.get(`/files/${dDocName}`);
-    return response.data;
+    return this.cachedGet(`/files/${dDocName}`, {}, { tags: ['doc', documentTag(dDocName)] });
   }
 
   /**
@@ -291,6 +619,7 @@ export class WebCenterContentClient {
     formData.append('metadataValues', JSON.stringify(metadata));
 
     const response = await this.axiosInstance.post(`/files/${dDocName}/data`, formData, {
+      timeout: this.httpOptions.uploadTimeoutMs,
       headers: {
         ...formData.getHeaders(),
         'Content-Type': 'multipart/form-data'
@@ -304,18 +633,14 @@ export class WebCenterContentClient {
    * Download document by revision ID
    * @param {string} dID - Document revision ID
    * @param {string} rendition - Rendition type (optional)
-   * @returns {Promise<Buffer>} File content
+   * @param {Object} options - Download options, see openDownload (optional)
+   * @returns {Promise<Object>} { stream, status, headers }
    */
-  async downloadDocumentByRevisionId(dID, rendition = null) {
+  async downloadDocumentByRevisionId(dID, rendition = null, options = {}) {
     const params = {};
     if (rendition) params.rendition = rendition;
 
-    const response = await this.axiosInstance.get(`/files/.by.did/${dID}/data`, {
-      params,
-      responseType: 'stream'
-    });
-
-    return response.data;
+    return this.openDownload(`/files/.by.did/${dID}/data`, params, options);
   }
 
   /**
@@ -722,13 +1047,11 @@ export class WebCenterContentClient {
   /**
    * Download background job package
    * @param {string} dJobID - Job ID
-   * @returns {Promise<Buffer>} Package content
+   * @param {Object} options - Download options, see openDownload (optional)
+   * @returns {Promise<Object>} { stream, status, headers }
    */
-  async downloadBackgroundJobPackage(dJobID) {
-    const response = await this.axiosInstance.get(`/.bulk/${dJobID}/package`, {
-      responseType: 'stream'
-    });
-    return response.data;
+  async downloadBackgroundJobPackage(dJobID, options = {}) {
+    return this.openDownload(`/.bulk/${dJobID}/package`, {}, options);
   }
 
   // TAXONOMIES
@@ -786,8 +1109,7 @@ export class WebCenterContentClient {
    * @returns {Promise<Object>} Profile information
    */
   async getDocumentProfile(dpName) {
-    const response = await this.axiosInstance.get(`/system/docProfiles/${dpName}`);
-    return response.data;
+    return this.cachedGet(`/system/docProfiles/${dpName}`, {}, { schema: true });
   }
 
   /**
@@ -840,8 +1162,7 @@ export class WebCenterContentClient {
    * @returns {Promise<Object>} Document types list
    */
   async getDocumentTypes() {
-    const response = await this.axiosInstance.get('/system/doctypes');
-    return response.data;
+    return this.cachedGet('/system/doctypes', {}, { schema: true });
   }
 
   /**
@@ -894,8 +1215,7 @@ export class WebCenterContentClient {
     if (rowLimit !== null) params.rowLimit = rowLimit;
     if (includeResultSets) params.includeResultSets = includeResultSets;
 
-    const response = await this.axiosInstance.get('/system/docConfigInfo', { params });
-    return response.data;
+    return this.cachedGet('/system/docConfigInfo', { params }, { schema: true });
   }
 
   /**
@@ -903,8 +1223,7 @@ export class WebCenterContentClient {
    * @returns {Promise<Object>} Metadata info
    */
   async getDocumentMetaInfo() {
-    const response = await this.axiosInstance.get('/system/docMetaInfo');
-    return response.data;
+    return this.cachedGet('/system/docMetaInfo', {}, { schema: true });
   }
 
   // WORKFLOW OPERATIONS
@@ -993,6 +1312,7 @@ export class WebCenterContentClient {
     if (version) formData.append('version', version);
 
     const response = await this.axiosInstance.post(`/files/${dDocName}/attachments/data`, formData, {
+      timeout: this.httpOptions.uploadTimeoutMs,
       headers: {
         ...formData.getHeaders(),
         'Content-Type': 'multipart/form-data'
@@ -1015,13 +1335,11 @@ export class WebCenterContentClient {
    * Download attachment
    * @param {string} dDocName - Document name
    * @param {string} extRenditionName - External rendition name
-   * @returns {Promise<Buffer>} Attachment content
+   * @param {Object} options - Download options, see openDownload (optional)
+   * @returns {Promise<Object>} { stream, status, headers }
    */
-  async downloadAttachment(dDocName, extRenditionName) {
-    const response = await this.axiosInstance.get(`/files/${dDocName}/attachments/${extRenditionName}/data`, {
-      responseType: 'stream'
-    });
-    return response.data;
+  async downloadAttachment(dDocName, extRenditionName, options = {}) {
+    return this.openDownload(`/files/${dDocName}/attachments/${extRenditionName}/data`, {}, options);
   }
 
   /**
@@ -0,0 +1,63 @@
+import { ResponseCache } from '../src/cache.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('ResponseCache', () => {
+  test('callers changing a returned value do not change the cache', async () => {
+    const cache = new ResponseCache();
+    const loaded = await cache.wrap('k', { ttlMs: 1000 }, async () => ({ item: { dDocTitle: 'Original' } }));
+    loaded.item.dDocTitle = 'Changed';
+
+    const first = await cache.wrap('k', { ttlMs: 1000 }, async () => null);
+    first.item.dDocTitle = 'Changed again';
+    expect(cache.get('k')).toEqual({ item: { dDocTitle: 'Original' } });
+  });
+
+  test('drops a load that was in flight when one of its tags was invalidated', async () => {
+    const cache = new ResponseCache();
+    const load = deferred();
+    const pending = cache.wrap('k', { ttlMs: 1000, tags: ['doc:A', 'doc'] }, () => load.promise);
+    cache.invalidateTag('doc:A');
+    load.resolve('stale');
+
+    expect(await pending).toBe('stale');
+    expect(cache.get('k')).toBeUndefined();
+  });
+
+  test('drops a load that was in flight when the cache was cleared', async () => {
+    const cache = new ResponseCache();
+    const load = deferred();
+    const pending = cache.wrap('k', { ttlMs: 1000, tags: ['search'] }, () => load.promise);
+    cache.clear();
+    load.resolve('stale');
+
+    await pending;
+    expect(cache.get('k')).toBeUndefined();
+  });
+
+  test('keeps a load when only unrelated tags were invalidated', async () => {
+    const cache = new ResponseCache();
+    const load = deferred();
+    const pending = cache.wrap('k', { ttlMs: 1000, tags: ['doc:A'] }, () => load.promise);
+    cache.invalidateTag('doc:B');
+    load.resolve('fresh');
+
+    await pending;
+    expect(cache.get('k')).toBe('fresh');
+  });
+
+  test('evicts the least recently used entry past the size cap', () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    cache.set('a', 1, 1000);
+    cache.set('b', 2, 1000);
+    cache.get('a');
+    cache.set('c', 3, 1000);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.stats().evictions).toBe(1);
+  });
+});
@@ -0,0 +1,56 @@
+import { ConfirmationStore, loadConfirmationConfig, requiresConfirmation } from '../src/confirmation.js';
+
+const args = { dDocName: 'DOC1', options: { force: true, reason: 'cleanup' } };
+
+describe('ConfirmationStore', () => {
+  const realNow = Date.now;
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  test('accepts the previewed call once, with argument keys in any order', () => {
+    const store = new ConfirmationStore();
+    const { token } = store.issue('delete-document', args, 'ci');
+    expect(() => store.consume(token, 'delete-document', { options: { reason: 'cleanup', force: true }, dDocName: 'DOC1' }, 'ci')).not.toThrow();
+    expect(() => store.consume(token, 'delete-document', args, 'ci')).toThrow(/unknown or expired/);
+  });
+
+  test('is bound to the tool, the arguments and the caller', () => {
+    const store = new ConfirmationStore();
+    const { token } = store.issue('delete-document', args, 'ci');
+    expect(() => store.consume(token, 'delete-folder', args, 'ci')).toThrow(/issued for a different delete-folder call/);
+    expect(() => store.consume(token, 'delete-document', { ...args, dDocName: 'DOC2' }, 'ci')).toThrow(/different delete-document call/);
+    expect(() => store.consume(token, 'delete-document', args, 'other')).toThrow(/different delete-document call/);
+    expect(() => store.consume(token, 'delete-document', args, null)).toThrow(/different delete-document call/);
+
+    // A mismatch does not use the token up
+    expect(() => store.consume(token, 'delete-document', args, 'ci')).not.toThrow();
+  });
+
+  test('expires after its lifetime', () => {
+    const store = new ConfirmationStore(1000);
+    Date.now = () => 10_000;
+    const { token, expiresAt } = store.issue('delete-document', args);
+    expect(expiresAt).toBe(new Date(11_000).toISOString());
+
+    Date.now = () => 11_000;
+    expect(() => store.consume(token, 'delete-document', args)).toThrow(/unknown or expired/);
+  });
+
+  test('rejects tokens it never issued', () => {
+    expect(() => new ConfirmationStore().consume('made-up', 'delete-document', args)).toThrow(/unknown or expired/);
+  });
+});
+
+describe('requiresConfirmation', () => {
+  const destructive = { name: 'delete-document', annotations: { destructiveHint: true } };
+  const plain = { name: 'update-document-info', annotations: { destructiveHint: false } };
+
+  test('covers destructive tools and MCP_CONFIRM_TOOLS, minus MCP_CONFIRM_SKIP_TOOLS', () => {
+    expect(requiresConfirmation(destructive, loadConfirmationConfig({}))).toBe(true);
+    expect(requiresConfirmation(plain, loadConfirmationConfig({}))).toBe(false);
+    expect(requiresConfirmation(plain, loadConfirmationConfig({ MCP_CONFIRM_TOOLS: ' update-document-info ' }))).toBe(true);
+    expect(requiresConfirmation(destructive, loadConfirmationConfig({ MCP_CONFIRM_SKIP_TOOLS: 'delete-document' }))).toBe(false);
+    expect(requiresConfirmation(destructive, loadConfirmationConfig({ MCP_CONFIRM_DESTRUCTIVE: 'false' }))).toBe(false);
+  });
+});
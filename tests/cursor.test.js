@@ -0,0 +1,32 @@
+import { decodeCursor, encodeCursor } from '../src/cursor.js';
+import { ValidationError } from '../src/errors.js';
+
+describe('cursors', () => {
+  test('round-trip the paging state for the same tool', () => {
+    const cursor = encodeCursor('search-documents', { query: '*', offset: 10, limit: 10 });
+    expect(decodeCursor(cursor, 'search-documents')).toEqual({ query: '*', offset: 10, limit: 10 });
+  });
+
+  test('reject a cursor from another tool', () => {
+    const cursor = encodeCursor('list-folder-children', { fFolderGUID: 'F1', offset: 50, limit: 50 });
+    expect(() => decodeCursor(cursor, 'search-documents')).toThrow(ValidationError);
+    expect(() => decodeCursor(cursor, 'search-documents')).toThrow(/but by list-folder-children/);
+  });
+
+  test('reject cursors without a kind and malformed cursors', () => {
+    const untagged = Buffer.from(JSON.stringify({ offset: 10 })).toString('base64url');
+    expect(() => decodeCursor(untagged, 'search-documents')).toThrow(ValidationError);
+    expect(() => decodeCursor('not a cursor', 'search-documents')).toThrow(/Invalid cursor/);
+  });
+
+  test('carry a cursor hint instead of the metadata hint', () => {
+    let error;
+    try {
+      decodeCursor('garbage', 'search-documents');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.hint).toMatch(/nextCursor unchanged/);
+    expect(error.hint).not.toMatch(/get-document-meta-info/);
+  });
+});
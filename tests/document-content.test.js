@@ -0,0 +1,43 @@
+import { assertRevisionOf, documentUri } from '../src/document-content.js';
+import { NotFoundError } from '../src/errors.js';
+
+const fakeClient = ({ latest, found = [] }) => {
+  const queries = [];
+  return {
+    queries,
+    getDocumentMetadata: async () => latest,
+    searchDocuments: async (query) => {
+      queries.push(query);
+      return { items: found };
+    },
+  };
+};
+
+describe('assertRevisionOf', () => {
+  test('accepts the latest revision without searching', async () => {
+    const client = fakeClient({ latest: { dDocName: 'DOC1', dID: 42 } });
+    await expect(assertRevisionOf(client, 'DOC1', '42')).resolves.toBeUndefined();
+    expect(client.queries).toEqual([]);
+  });
+
+  test('finds older revisions by searching on both IDs', async () => {
+    const client = fakeClient({ latest: { dDocName: 'DOC1', dID: 42 }, found: [{ dDocName: 'doc1', dID: '40' }] });
+    await expect(assertRevisionOf(client, 'DOC1', '40')).resolves.toBeUndefined();
+    expect(client.queries).toEqual(['dDocName <matches> `DOC1` <AND> dID = 40']);
+  });
+
+  test('rejects a revision of another document', async () => {
+    const client = fakeClient({ latest: { dDocName: 'DOC1', dID: 42 }, found: [] });
+    await expect(assertRevisionOf(client, 'DOC1', '7')).rejects.toThrow(NotFoundError);
+    await expect(assertRevisionOf(client, 'DOC1', '7')).rejects.toThrow('Revision 7 is not a revision of document DOC1');
+  });
+
+  test('rejects a dID that is not a number', async () => {
+    await expect(assertRevisionOf(fakeClient({ latest: {} }), 'DOC1', '1 <OR> x')).rejects.toThrow(NotFoundError);
+  });
+});
+
+test('documentUri names the revision under its document', () => {
+  expect(documentUri('DOC 1', '40')).toBe('webcenter://files/DOC%201/revisions/40');
+  expect(documentUri('DOC1')).toBe('webcenter://files/DOC1');
+});
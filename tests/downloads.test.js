@@ -0,0 +1,129 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileNameFromContentDisposition, saveDownload } from '../src/downloads.js';
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+/**
+ * A stand-in for the client download method, serving CONTENT as one version
+ * of a remote file. It records the options of each call.
+ */
+const createRemote = ({ etag = '"v1"', honorRange = true, failAfter = null } = {}) => {
+  const calls = [];
+  const openDownload = async (options) => {
+    calls.push(options);
+    const ranged = honorRange && options.start > 0 && options.ifRange === etag;
+    const body = ranged ? CONTENT.subarray(options.start) : CONTENT;
+    const stream = failAfter === null
+      ? Readable.from([body])
+      : Readable.from((async function* () {
+        yield body.subarray(0, failAfter);
+        // Let the first chunk reach the disk before the connection drops
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        throw new Error('connection reset');
+      })());
+    return {
+      stream,
+      status: ranged ? 206 : 200,
+      headers: { ...(etag && { etag }), 'content-disposition': 'attachment; filename="report.pdf"' },
+    };
+  };
+  return { openDownload, calls };
+};
+
+let dir;
+let target;
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+  target = path.join(dir, 'report.pdf');
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('saveDownload', () => {
+  test('writes the file with its size and sha256, leaving no partial file', async () => {
+    const { openDownload } = createRemote();
+    expect(await saveDownload(openDownload, target, { resume: true }))
+      .toEqual({ path: target, bytes: CONTENT.length, sha256: sha256(CONTENT), resumedFrom: 0 });
+    expect(readFileSync(target)).toEqual(CONTENT);
+    expect(existsSync(`${target}.part`)).toBe(false);
+    expect(existsSync(`${target}.part.json`)).toBe(false);
+  });
+
+  test('keeps a failed partial file and resumes it with Range and If-Range', async () => {
+    await expect(saveDownload(createRemote({ failAfter: 8 }).openDownload, target, { resume: true }))
+      .rejects.toThrow(/partial file kept for resume\): connection reset/);
+    expect(readFileSync(`${target}.part`)).toEqual(CONTENT.subarray(0, 8));
+    expect(JSON.parse(readFileSync(`${target}.part.json`, 'utf8'))).toEqual({ validator: '"v1"' });
+
+    const { openDownload, calls } = createRemote();
+    const result = await saveDownload(openDownload, target, { resume: true });
+    expect(calls).toEqual([{ start: 8, ifRange: '"v1"' }]);
+    // The checksum and size cover the whole file, not just the resumed range
+    expect(result).toEqual({ path: target, bytes: CONTENT.length, sha256: sha256(CONTENT), resumedFrom: 8 });
+    expect(readFileSync(target)).toEqual(CONTENT);
+    expect(existsSync(`${target}.part.json`)).toBe(false);
+  });
+
+  test('starts over when the server ignores the range and sends the whole file', async () => {
+    writeFileSync(`${target}.part`, CONTENT.subarray(0, 8));
+    writeFileSync(`${target}.part.json`, JSON.stringify({ validator: '"v1"' }));
+
+    const result = await saveDownload(createRemote({ honorRange: false }).openDownload, target, { resume: true });
+    expect(result.resumedFrom).toBe(0);
+    expect(result.sha256).toBe(sha256(CONTENT));
+    expect(readFileSync(target)).toEqual(CONTENT);
+  });
+
+  test('starts over when a range comes from a different version', async () => {
+    writeFileSync(`${target}.part`, Buffer.from('stale'));
+    writeFileSync(`${target}.part.json`, JSON.stringify({ validator: '"v0"' }));
+
+    // This server answers any range with 206, whatever If-Range says
+    const calls = [];
+    const openDownload = async (options) => {
+      calls.push(options);
+      return {
+        stream: Readable.from([CONTENT.subarray(options.start)]),
+        status: options.start > 0 ? 206 : 200,
+        headers: { etag: '"v2"' },
+      };
+    };
+    const result = await saveDownload(openDownload, target, { resume: true });
+    expect(calls).toEqual([{ start: 5, ifRange: '"v0"' }, { start: 0 }]);
+    expect(result).toMatchObject({ bytes: CONTENT.length, sha256: sha256(CONTENT), resumedFrom: 0 });
+    expect(readFileSync(target)).toEqual(CONTENT);
+  });
+
+  test('does not resume a partial file without a recorded validator', async () => {
+    await expect(saveDownload(createRemote({ etag: null, failAfter: 8 }).openDownload, target, { resume: true }))
+      .rejects.toThrow(/report\.pdf failed: connection reset/);
+    expect(existsSync(`${target}.part`)).toBe(false);
+
+    writeFileSync(`${target}.part`, CONTENT.subarray(0, 8));
+    const { openDownload, calls } = createRemote();
+    expect((await saveDownload(openDownload, target, { resume: true })).resumedFrom).toBe(0);
+    expect(calls).toEqual([{ start: 0 }]);
+  });
+
+  test('saves under the server file name in a directory, and refuses to overwrite when asked', async () => {
+    const { openDownload } = createRemote();
+    expect((await saveDownload(openDownload, `${dir}${path.sep}`)).path).toBe(target);
+    await expect(saveDownload(openDownload, dir, { overwrite: false })).rejects.toThrow(/already exists/);
+  });
+});
+
+describe('fileNameFromContentDisposition', () => {
+  test('prefers filename* and keeps only the base name', () => {
+    expect(fileNameFromContentDisposition(`attachment; filename="plain.pdf"; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf`)).toBe('résumé.pdf');
+    expect(fileNameFromContentDisposition('attachment; filename="..\\..\\etc\\passwd"')).toBe('passwd');
+    expect(fileNameFromContentDisposition('attachment; filename=".."')).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import { createReadStream, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDryRunAdapter, isDryRun, isDryRunEnabled, runDryRun } from '../src/dry-run.js';
+
+// An axios instance whose transport records what reaches it
+const createHttp = () => {
+  const sent = [];
+  const http = axios.create({
+    baseURL: 'https://wcc.example.com/api/',
+    adapter: createDryRunAdapter(async (config) => {
+      sent.push(`${config.method.toUpperCase()} ${config.url}`);
+      return { data: { sent: true }, status: 200, statusText: 'OK', headers: {}, config, request: null };
+    }),
+  });
+  return { http, sent };
+};
+
+let dir;
+
+beforeAll(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+});
+
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('dry run adapter', () => {
+  test('records writes without sending them, and sends reads', async () => {
+    const { http, sent } = createHttp();
+    const { result, requests } = await runDryRun(async () => {
+      const lookup = await http.get('/documents/DOC1', { params: { fields: 'dID' } });
+      const update = await http.put('/documents/DOC1', { dDocTitle: 'New' }, { params: { dID: 7 } });
+      await http.delete('documents/DOC2');
+      return { lookup: lookup.data, update: update.data, inside: isDryRun() };
+    });
+
+    expect(sent).toEqual(['GET /documents/DOC1']);
+    expect(result.lookup).toEqual({ sent: true });
+    expect(result.inside).toBe(true);
+    expect(result.update).toMatchObject({ dryRun: true, method: 'PUT' });
+    expect(requests).toEqual([
+      { method: 'PUT', url: 'https://wcc.example.com/api/documents/DOC1', params: { dID: 7 }, body: { dDocTitle: 'New' } },
+      { method: 'DELETE', url: 'https://wcc.example.com/api/documents/DOC2', params: null, body: null },
+    ]);
+  });
+
+  test('sends everything outside a dry run', async () => {
+    const { http, sent } = createHttp();
+    await http.post('/documents', { dDocTitle: 'Real' });
+    expect(isDryRun()).toBe(false);
+    expect(sent).toEqual(['POST /documents']);
+  });
+
+  test('summarizes multipart bodies instead of reading the files', async () => {
+    const filePath = path.join(dir, 'report.pdf');
+    writeFileSync(filePath, 'pdf content');
+    const stream = createReadStream(filePath);
+    const form = new FormData();
+    form.append('metadataValues', JSON.stringify({ dDocTitle: 'Report' }));
+    form.append('comment', 'first draft');
+    form.append('primaryFile', stream, { filename: 'report.pdf' });
+    form.append('alternateFile', Buffer.from('abc'), { filename: 'report.txt' });
+
+    const { http, sent } = createHttp();
+    const { requests } = await runDryRun(() => http.post('/documents', form, { headers: form.getHeaders() }));
+
+    expect(sent).toEqual([]);
+    expect(requests[0].body).toEqual({
+      multipart: {
+        metadataValues: { dDocTitle: 'Report' },
+        comment: 'first draft',
+        primaryFile: { file: 'report.pdf', path: filePath },
+        alternateFile: { file: 'report.txt', bytes: 3 },
+      },
+    });
+    expect(stream.destroyed).toBe(true);
+  });
+});
+
+describe('isDryRunEnabled', () => {
+  test('accepts true, 1 and yes in any case', () => {
+    expect(['true', '1', 'YES'].map((value) => isDryRunEnabled({ WCC_DRY_RUN: value }))).toEqual([true, true, true]);
+    expect(['false', '', undefined].map((value) => isDryRunEnabled({ WCC_DRY_RUN: value }))).toEqual([false, false, false]);
+  });
+});
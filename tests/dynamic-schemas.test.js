@@ -0,0 +1,32 @@
+import { withMetadataFields } from '../src/dynamic-schemas.js';
+
+const inputSchema = {
+  type: 'object',
+  properties: {
+    metadata: { type: 'object', description: 'Document metadata', properties: { dDocTitle: { type: 'string' } }, required: ['dDocTitle'] },
+  },
+};
+
+const model = {
+  docTypes: ['Document', 'Contract'],
+  fields: [
+    { name: 'xRegion', caption: 'Region', type: 'text', schemaType: 'string', options: ['EMEA', 'APAC'], validatedOptions: true, maxLength: 30, defaultValue: 'EMEA', required: true },
+  ],
+};
+
+describe('withMetadataFields', () => {
+  test('enforces the option lists and required fields of the only connection', () => {
+    const { metadata } = withMetadataFields(inputSchema, model, { required: true }).properties;
+    expect(metadata.properties.xRegion).toMatchObject({ enum: ['EMEA', 'APAC'], maxLength: 30, default: 'EMEA' });
+    expect(metadata.properties.dDocType.enum).toEqual(['Document', 'Contract']);
+    expect(metadata.required).toEqual(['dDocTitle', 'xRegion']);
+  });
+
+  test('only suggests values when the schema is shared by several connections', () => {
+    const { metadata } = withMetadataFields(inputSchema, model, { required: true, strict: false }).properties;
+    expect(metadata.properties.xRegion).toEqual({ type: 'string', description: 'Region', examples: ['EMEA', 'APAC'] });
+    expect(metadata.properties.dDocType).toEqual({ type: 'string', description: 'Document type', examples: ['Document', 'Contract'] });
+    expect(metadata.required).toEqual(['dDocTitle']);
+    expect(metadata.description).toMatch(/default connection/);
+  });
+});
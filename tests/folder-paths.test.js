@@ -0,0 +1,68 @@
+import { ValidationError } from '../src/errors.js';
+import { getFolderPath, joinFolderPath, listFolderChildren, resolveFolderPath, splitFolderPath } from '../src/folder-paths.js';
+
+// Folders keyed by GUID, with children as folder search items
+const FOLDERS = {
+  FLD_ROOT: { children: [{ fFolderGUID: 'F1', fFolderName: 'Q1/Q2 reports', fParentGUID: 'FLD_ROOT' }] },
+  F1: {
+    info: { fFolderGUID: 'F1', fFolderName: 'Q1/Q2 reports', fParentGUID: 'FLD_ROOT' },
+    children: [
+      { fFolderGUID: 'F2', fFolderName: ' padded ', fParentGUID: 'F1' },
+      { fFileGUID: 'FILE1', fFileName: 'a\\b.txt', dDocName: 'DOC1', fParentGUID: 'F1', type: 'custom' },
+    ],
+  },
+  F2: { info: { fFolderGUID: 'F2', fFolderName: ' padded ', fParentGUID: 'F1' }, children: [] },
+};
+
+const client = {
+  searchInFolder: async (fFolderGUID) => ({ items: FOLDERS[fFolderGUID].children, hasMore: false }),
+  getFolderInfo: async (fFolderGUID) => FOLDERS[fFolderGUID].info,
+  getFolderFileInfo: async () => ({ fFileName: 'a\\b.txt', dDocName: 'DOC1', fParentGUID: 'F1' }),
+};
+
+describe('splitFolderPath / joinFolderPath', () => {
+  test('keep slashes, backslashes and spaces inside names', () => {
+    const names = ['Q1/Q2 reports', ' padded ', 'a\\b.txt'];
+    const path = joinFolderPath(names);
+    expect(path).toBe('/Q1\\/Q2 reports/ padded /a\\\\b.txt');
+    expect(splitFolderPath(path)).toEqual(names);
+  });
+
+  test('ignore empty segments and treat "/" as the root', () => {
+    expect(splitFolderPath('//Contracts//2024/')).toEqual(['Contracts', '2024']);
+    expect(splitFolderPath('/')).toEqual([]);
+    expect(joinFolderPath([])).toBe('/');
+  });
+
+  test('reject unknown escapes and a trailing backslash', () => {
+    expect(() => splitFolderPath('/a\\b')).toThrow(ValidationError);
+    expect(() => splitFolderPath('/a\\')).toThrow(/Invalid escape "\\" at position 2/);
+  });
+
+  test('explain the path syntax instead of giving the metadata hint', () => {
+    let error;
+    try {
+      splitFolderPath('/a\\b');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.hint).toMatch(/inside a name write/);
+    expect(error.hint).not.toMatch(/get-document-meta-info/);
+  });
+});
+
+describe('folder paths against a folder tree', () => {
+  test('get-folder-path output resolves back to the same item', async () => {
+    const folder = await getFolderPath(client, { fFolderGUID: 'F2' });
+    expect(folder.path).toBe('/Q1\\/Q2 reports/ padded ');
+    expect(await resolveFolderPath(client, folder.path)).toMatchObject({ type: 'folder', fFolderGUID: 'F2' });
+
+    const file = await getFolderPath(client, { fFileGUID: 'FILE1' });
+    expect(await resolveFolderPath(client, file.path)).toMatchObject({ type: 'file', fFileGUID: 'FILE1', path: file.path });
+  });
+
+  test('the computed type wins over a type field from the server', async () => {
+    const { items } = await listFolderChildren(client, 'F1');
+    expect(items.map((item) => item.type)).toEqual(['folder', 'file']);
+  });
+});
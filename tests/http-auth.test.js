@@ -0,0 +1,87 @@
+import { authenticateRequest, isToolAllowed, loadHttpAuthConfig } from '../src/http-auth.js';
+
+const readTool = { name: 'search-documents', category: 'documents', annotations: { readOnlyHint: true } };
+const writeTool = { name: 'update-document-info', category: 'documents', annotations: { readOnlyHint: false } };
+const folderTool = { name: 'create-folder', category: 'folders', annotations: { readOnlyHint: false } };
+const adminTool = { name: 'get-server-stats', category: 'documents', adminOnly: true, annotations: { readOnlyHint: true } };
+
+const request = (headers = {}) => ({ headers });
+
+describe('MCP_API_KEYS parsing', () => {
+  test('keeps colons inside the key when scopes follow it', () => {
+    expect(loadHttpAuthConfig({ MCP_API_KEYS: 'ci:k:e:y:documents, folders; ops:plain' }).apiKeys).toEqual([
+      { name: 'ci', key: 'k:e:y', scopes: ['documents', 'folders'] },
+      { name: 'ops', key: 'plain', scopes: ['read-only'] },
+    ]);
+  });
+
+  test('rejects an empty key', () => {
+    expect(() => loadHttpAuthConfig({ MCP_API_KEYS: 'ci::admin' })).toThrow(/entry "ci": the key is empty/);
+    expect(() => loadHttpAuthConfig({ MCP_API_KEYS: 'ci' })).toThrow(/the key is empty/);
+  });
+
+  test('names an entry without a name by position and never echoes the key', () => {
+    let error;
+    try {
+      loadHttpAuthConfig({ MCP_API_KEYS: 'ok:one; :s3cret:admin' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toMatch(/entry 2: the name before the first ":" is empty/);
+    expect(error.message).not.toMatch(/s3cret/);
+  });
+
+  test('rejects unknown scopes, which also catches a colon key given without scopes', () => {
+    expect(() => loadHttpAuthConfig({ MCP_API_KEYS: 'ci:key:everything' })).toThrow(/Unknown scope\(s\) for API key "ci": everything/);
+    expect(() => loadHttpAuthConfig({ MCP_API_KEYS: 'ci:k:ey' })).toThrow(/must be followed by :scopes/);
+  });
+});
+
+describe('authenticateRequest', () => {
+  const config = loadHttpAuthConfig({ MCP_API_KEYS: 'ci:k:e:y:documents' });
+
+  test('treats every caller as the local admin when no keys are configured', () => {
+    expect(authenticateRequest(request(), loadHttpAuthConfig({}))).toEqual({ name: 'local', scopes: ['admin'] });
+  });
+
+  test('accepts the key as a bearer token or an X-API-Key header', () => {
+    expect(authenticateRequest(request({ authorization: 'Bearer k:e:y' }), config)).toEqual({ name: 'ci', scopes: ['documents'] });
+    expect(authenticateRequest(request({ 'x-api-key': 'k:e:y' }), config)).toEqual({ name: 'ci', scopes: ['documents'] });
+  });
+
+  test('returns null for a missing or wrong key', () => {
+    expect(authenticateRequest(request(), config)).toBeNull();
+    expect(authenticateRequest(request({ authorization: 'Bearer k:e' }), config)).toBeNull();
+    expect(authenticateRequest(request({ 'x-api-key': 'k:e:y:documents' }), config)).toBeNull();
+  });
+});
+
+describe('isToolAllowed', () => {
+  const caller = (...scopes) => ({ name: 'ci', scopes });
+
+  test('read-only allows only tools annotated readOnlyHint', () => {
+    expect(isToolAllowed(readTool, caller('read-only'))).toBe(true);
+    expect(isToolAllowed(writeTool, caller('read-only'))).toBe(false);
+  });
+
+  test('category scopes allow the tools in their categories', () => {
+    expect(isToolAllowed(writeTool, caller('documents'))).toBe(true);
+    expect(isToolAllowed(folderTool, caller('documents'))).toBe(false);
+    expect(isToolAllowed(folderTool, caller('folders'))).toBe(true);
+    expect(isToolAllowed(folderTool, caller('read-only', 'folders'))).toBe(true);
+  });
+
+  test('admin-only tools need the admin scope, even when read-only', () => {
+    expect(isToolAllowed(adminTool, caller('read-only', 'documents'))).toBe(false);
+    expect(isToolAllowed(adminTool, caller('admin'))).toBe(true);
+    expect(isToolAllowed(folderTool, caller('admin'))).toBe(true);
+  });
+
+  test('a null caller (stdio) and the local admin are unrestricted', () => {
+    const local = authenticateRequest(request(), loadHttpAuthConfig({}));
+    for (const tool of [readTool, writeTool, folderTool, adminTool]) {
+      expect(isToolAllowed(tool, null)).toBe(true);
+      expect(isToolAllowed(tool, local)).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,32 @@
+import { ForbiddenError, NotFoundError } from '../src/errors.js';
+import { loadValidationRules } from '../src/metadata-validation.js';
+
+const forbidden = () => Promise.reject(new ForbiddenError('Access denied (HTTP 403)'));
+
+const fakeClient = (overrides = {}) => ({
+  getDocumentMetaInfo: forbidden,
+  getDocumentTypes: async () => null,
+  getDocumentConfigInfo: async () => null,
+  getDocumentProfile: async () => ({}),
+  ...overrides,
+});
+
+describe('loadValidationRules', () => {
+  test('notes skipped security group and account checks when the configuration info cannot be read', async () => {
+    const rules = await loadValidationRules(fakeClient({ getDocumentConfigInfo: forbidden }), {});
+    expect(rules.skipped).toContainEqual(expect.stringMatching(/^Security group and account checks were skipped: .*HTTP 403/));
+    expect(rules.securityGroups).toEqual([]);
+  });
+
+  test('skips profile checks when the profile cannot be read for another reason than not found', async () => {
+    const rules = await loadValidationRules(fakeClient({ getDocumentProfile: forbidden }), { xIdcProfile: 'Contracts' });
+    expect(rules.profile).toBeNull();
+    expect(rules.skipped).toContainEqual(expect.stringMatching(/^Profile checks were skipped: profile Contracts/));
+  });
+
+  test('still reports a profile that does not exist', async () => {
+    const missing = () => Promise.reject(new NotFoundError('Not found (HTTP 404)'));
+    const rules = await loadValidationRules(fakeClient({ getDocumentProfile: missing }), { xIdcProfile: 'Nope' });
+    expect(rules.profile).toEqual({ name: 'Nope', requiredFields: [], missing: true });
+  });
+});
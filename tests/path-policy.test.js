@@ -0,0 +1,84 @@
+import { mkdirSync, mkdtempSync, realpathSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadPathPolicy, resolveReadPath, resolveWritePath } from '../src/path-policy.js';
+
+let base;
+let root;
+let otherRoot;
+let outside;
+let policy;
+
+beforeAll(() => {
+  base = realpathSync(mkdtempSync(path.join(os.tmpdir(), 'path-policy-')));
+  root = path.join(base, 'root');
+  otherRoot = path.join(base, 'other');
+  outside = path.join(base, 'outside');
+  for (const dir of [root, otherRoot, outside, path.join(root, 'reports')]) mkdirSync(dir);
+  writeFileSync(path.join(root, 'reports', 'q1.pdf'), 'pdf');
+  writeFileSync(path.join(otherRoot, 'notes.txt'), 'notes');
+  writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+  symlinkSync(outside, path.join(root, 'escape'));
+  symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'secret-link.txt'));
+  symlinkSync(path.join(root, 'reports'), path.join(root, 'reports-link'));
+  policy = loadPathPolicy({ MCP_FILE_ROOTS: `${root}, ${otherRoot}` });
+});
+
+afterAll(() => {
+  rmSync(base, { recursive: true, force: true });
+});
+
+describe('loadPathPolicy', () => {
+  test('parses MCP_FILE_ROOTS as a trimmed, comma-separated list of absolute roots', () => {
+    expect(loadPathPolicy({ MCP_FILE_ROOTS: ' /data/in , ,relative/out ' }).roots)
+      .toEqual(['/data/in', path.resolve('relative/out')]);
+  });
+
+  test('falls back to Downloads and Documents, and overwrite only with "true"', () => {
+    const fallback = loadPathPolicy({});
+    expect(fallback.roots).toEqual([path.join(os.homedir(), 'Downloads'), path.join(os.homedir(), 'Documents')]);
+    expect(fallback.overwrite).toBe(false);
+    expect(loadPathPolicy({ MCP_FILE_OVERWRITE: 'true' }).overwrite).toBe(true);
+    expect(loadPathPolicy({ MCP_FILE_OVERWRITE: '1' }).overwrite).toBe(false);
+  });
+});
+
+describe('resolveReadPath', () => {
+  test('resolves relative paths against the first root and accepts any root', () => {
+    expect(resolveReadPath(policy, 'reports/q1.pdf')).toBe(path.join(root, 'reports', 'q1.pdf'));
+    expect(resolveReadPath(policy, path.join(otherRoot, 'notes.txt'))).toBe(path.join(otherRoot, 'notes.txt'));
+  });
+
+  test('refuses ".." segments even when they would stay inside a root', () => {
+    expect(() => resolveReadPath(policy, 'reports/../reports/q1.pdf')).toThrow(/must not contain ".." segments/);
+    expect(() => resolveReadPath(policy, '..\\outside\\secret.txt')).toThrow(/must not contain ".." segments/);
+  });
+
+  test('refuses absolute paths outside the roots', () => {
+    expect(() => resolveReadPath(policy, path.join(outside, 'secret.txt'))).toThrow(/outside the allowed file roots/);
+  });
+
+  test('refuses symlinks that point outside a root, but follows those that stay inside', () => {
+    expect(() => resolveReadPath(policy, 'secret-link.txt')).toThrow(/outside the allowed file roots/);
+    expect(() => resolveReadPath(policy, 'escape/secret.txt')).toThrow(/outside the allowed file roots/);
+    expect(resolveReadPath(policy, 'reports-link/q1.pdf')).toBe(path.join(root, 'reports', 'q1.pdf'));
+  });
+
+  test('requires an existing regular file', () => {
+    expect(() => resolveReadPath(policy, '')).toThrow(/A path is required/);
+    expect(() => resolveReadPath(policy, 'reports/missing.pdf')).toThrow(/File to upload not found/);
+    expect(() => resolveReadPath(policy, 'reports')).toThrow(/not a regular file/);
+  });
+});
+
+describe('resolveWritePath', () => {
+  test('allows files that do not exist yet, and keeps a trailing separator for directories', () => {
+    expect(resolveWritePath(policy, 'new/dir/file.pdf')).toBe(path.join(root, 'new', 'dir', 'file.pdf'));
+    expect(resolveWritePath(policy, 'reports/')).toBe(`${path.join(root, 'reports')}${path.sep}`);
+  });
+
+  test('refuses new files below a symlink that leaves the root', () => {
+    expect(() => resolveWritePath(policy, 'escape/new.txt')).toThrow(/outside the allowed file roots/);
+    expect(() => resolveWritePath(policy, path.join(base, 'rootless', 'x.txt'))).toThrow(/outside the allowed file roots/);
+  });
+});
@@ -0,0 +1,186 @@
+import {
+  QuerySyntaxError,
+  buildQueryAst,
+  parseQuery,
+  quoteValue,
+  serializeQuery,
+  toServerDate,
+  validateQuery,
+} from '../src/search-query.js';
+
+const build = (spec) => serializeQuery(buildQueryAst(spec));
+
+describe('toServerDate', () => {
+  test('converts dates and date-times to server format', () => {
+    expect(toServerDate('2024-03-31')).toBe('03/31/2024');
+    expect(toServerDate('2024-03-31T00:05:00')).toBe('03/31/2024 12:05:00 AM');
+    expect(toServerDate('2024-03-31T12:00')).toBe('03/31/2024 12:00:00 PM');
+    expect(toServerDate('2024-03-31 17:30:15.250')).toBe('03/31/2024 05:30:15 PM');
+  });
+
+  test('returns null for values that are not ISO dates', () => {
+    expect(toServerDate('03/31/2024')).toBeNull();
+    expect(toServerDate('yesterday')).toBeNull();
+  });
+
+  test('rejects time-zone offsets instead of dropping them', () => {
+    expect(() => toServerDate('2024-03-31T10:00:00Z')).toThrow(/time-zone offset/);
+    expect(() => toServerDate('2024-03-31T10:00:00+02:00')).toThrow(/2024-03-31T10:00:00\b/);
+    expect(() => toServerDate('2024-03-31T10:00:00-0500')).toThrow(/time-zone offset/);
+  });
+});
+
+describe('buildQueryAst / serializeQuery', () => {
+  test('quotes text values and leaves numbers bare', () => {
+    expect(build({ filters: { dDocTitle: { operator: 'contains', value: 'Q1 report' } } }))
+      .toBe('dDocTitle <contains> `Q1 report`');
+    expect(build({ filters: { xPages: { operator: '>', value: 10 } } })).toBe('xPages > 10');
+  });
+
+  test('uses double quotes for values containing a backtick', () => {
+    expect(quoteValue('a`b')).toBe('"a`b"');
+    expect(() => quoteValue('a`b"c')).toThrow(/backtick and a double quote/);
+  });
+
+  test('between with date-only bounds includes the whole last day', () => {
+    expect(build({ filters: { dInDate: { operator: 'between', from: '2024-01-01', to: '2024-03-31' } } }))
+      .toBe('dInDate >= `01/01/2024` <AND> dInDate < `04/01/2024`');
+  });
+
+  test('between rolls over month and year ends, and leap days', () => {
+    expect(build({ filters: { dInDate: { operator: 'between', to: '2024-12-31' } } })).toBe('dInDate < `01/01/2025`');
+    expect(build({ filters: { dInDate: { operator: 'between', to: '2024-02-28' } } })).toBe('dInDate < `02/29/2024`');
+    expect(build({ filters: { dInDate: { operator: 'between', to: '2023-02-28' } } })).toBe('dInDate < `03/01/2023`');
+  });
+
+  test('between keeps <= for a bound with a time, and for numbers', () => {
+    expect(build({ filters: { dInDate: { operator: 'between', from: '2024-01-01T08:00:00', to: '2024-03-31T17:00:00' } } }))
+      .toBe('dInDate >= `01/01/2024 08:00:00 AM` <AND> dInDate <= `03/31/2024 05:00:00 PM`');
+    expect(build({ filters: { xPages: { operator: 'between', from: 1, to: 5 } } })).toBe('xPages >= 1 <AND> xPages <= 5');
+  });
+
+  test('between needs at least one bound', () => {
+    expect(() => build({ filters: { dInDate: { operator: 'between' } } })).toThrow(/needs from and\/or to/);
+  });
+
+  test('comparisons reject values with a time-zone offset', () => {
+    expect(() => build({ filters: { dInDate: { operator: '>=', value: '2024-01-01T00:00:00Z' } } })).toThrow(/time-zone offset/);
+    expect(() => build({ filters: { dInDate: { operator: 'between', from: '2024-01-01', to: '2024-03-31T00:00:00+01:00' } } }))
+      .toThrow(/time-zone offset/);
+  });
+
+  test('comparisons reject values that are neither numbers nor dates', () => {
+    expect(() => build({ filters: { dInDate: { operator: '<', value: 'last week' } } })).toThrow(/number or an ISO date/);
+  });
+
+  test('combines text, filters and where, adding parentheses only where needed', () => {
+    expect(build({
+      text: 'budget',
+      filters: { dDocType: { operator: 'matches', value: 'Document' } },
+      where: { or: [{ field: 'dSecurityGroup', operator: 'matches', value: 'Public' }, { not: { field: 'xStatus', operator: 'equals', value: 'Draft' } }] },
+    })).toBe('<qsch>budget</qsch> <AND> dDocType <matches> `Document` <AND> (dSecurityGroup <matches> `Public` <OR> <NOT> xStatus <equals> `Draft`)');
+    expect(build({ text: 'a', filters: { dDocType: { operator: 'matches', value: 'B' } }, match: 'any' }))
+      .toBe('<qsch>a</qsch> <OR> dDocType <matches> `B`');
+  });
+
+  test('rejects invalid field names and operators', () => {
+    expect(() => build({ filters: { 'd Doc': { operator: 'contains', value: 'x' } } })).toThrow(/Invalid metadata field name/);
+    expect(() => build({ filters: { dDocTitle: { operator: 'like', value: 'x' } } })).toThrow(/Unsupported operator/);
+    expect(() => build({ text: 'a < b' })).toThrow(/cannot contain < or >/);
+  });
+
+  test('returns nothing for an empty spec', () => {
+    expect(buildQueryAst({})).toBeNull();
+    expect(serializeQuery(null)).toBe('');
+  });
+});
+
+describe('parseQuery', () => {
+  test('treats plain text as full-text and * as everything', () => {
+    expect(parseQuery('quarterly report')).toEqual({ type: 'fulltext', text: 'quarterly report' });
+    expect(parseQuery('*')).toBeNull();
+    expect(parseQuery('  ')).toBeNull();
+  });
+
+  test('gives <NOT> precedence over <AND> over <OR>', () => {
+    const ast = parseQuery('a <matches> `1` <OR> b <matches> `2` <AND> <NOT> c <matches> `3`');
+    expect(ast.type).toBe('or');
+    expect(ast.children[1].type).toBe('and');
+    expect(ast.children[1].children[1].type).toBe('not');
+  });
+
+  test('reads bare numbers as numbers and quoted values as strings', () => {
+    const ast = parseQuery('xPages >= 10 <AND> dDocName <equals> "A`B"');
+    expect(ast.children[0].value).toEqual({ kind: 'number', raw: '10' });
+    expect(ast.children[1].value).toEqual({ kind: 'string', raw: 'A`B' });
+  });
+
+  test('reports syntax errors with their position', () => {
+    const cases = [
+      ['dDocTitle <contains> `abc', /Unterminated backtick/, 21],
+      ['(dDocTitle <contains> `a`', /Expected \)/, 25],
+      ['dDocTitle <like> `a`', /Unknown operator <like>/, 10],
+      ['dDocTitle <contains> `a` dDocType <matches> `b`', /Expected <AND> or <OR>/, 25],
+      ['<qsch>open', /Unclosed <qsch>/, 0],
+    ];
+    for (const [query, message, position] of cases) {
+      let error;
+      try {
+        parseQuery(query);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(QuerySyntaxError);
+      expect(error.message).toMatch(message);
+      expect(error.position).toBe(position);
+    }
+  });
+});
+
+describe('round trips', () => {
+  const queries = [
+    'dDocTitle <contains> `Q1 report`',
+    'dInDate >= `01/01/2024` <AND> dInDate < `04/01/2024`',
+    '<qsch>budget</qsch> <AND> (dSecurityGroup <matches> `Public` <OR> dSecurityGroup <matches> `Secure`)',
+    '<NOT> (a <matches> `1` <AND> b <matches> `2`) <OR> c <matches> "x`y"',
+    'xPages > 10 <AND> <NOT> xStatus <equals> `Draft`',
+  ];
+
+  test.each(queries)('parse then serialize keeps %s', (query) => {
+    expect(serializeQuery(parseQuery(query))).toBe(query);
+  });
+
+  test('built queries parse back to the same string', () => {
+    const built = build({
+      text: 'contract',
+      filters: { dInDate: { operator: 'between', from: '2024-01-01', to: '2024-03-31' } },
+      where: { not: { field: 'dDocType', operator: 'matches', value: 'Tmp' } },
+    });
+    expect(serializeQuery(parseQuery(built))).toBe(built);
+  });
+
+  test('flattens nested groups of the same type', () => {
+    expect(serializeQuery(parseQuery('a <matches> `1` <AND> (b <matches> `2` <AND> c <matches> `3`)')))
+      .toBe('a <matches> `1` <AND> b <matches> `2` <AND> c <matches> `3`');
+  });
+});
+
+describe('validateQuery', () => {
+  test('flags unknown fields and wrong case, with positions', () => {
+    const result = validateQuery('dDocTitle <contains> `a` <AND> ddoctype <matches> `b` <AND> xNope <equals> `c`', ['dDocTitle', 'dDocType']);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { message: 'Field "ddoctype" should be written as "dDocType"', position: 31 },
+      { message: 'Unknown metadata field "xNope"', position: 60 },
+    ]);
+  });
+
+  test('returns the normalized query when valid', () => {
+    expect(validateQuery('(dDocTitle <contains> `a`)', ['dDocTitle'])).toMatchObject({ valid: true, errors: [], normalized: 'dDocTitle <contains> `a`' });
+    expect(validateQuery('*').normalized).toBe('*');
+  });
+
+  test('returns syntax errors instead of throwing', () => {
+    expect(validateQuery('dDocTitle <contains>')).toMatchObject({ valid: false, ast: null, normalized: null });
+  });
+});